@@ -6,6 +6,7 @@ const dotenv = require('dotenv');
 const logger = require('morgan');
 const cookieParser = require('cookie-parser');
 const createError = require('http-errors');
+const { PAGINATION_HEADERS } = require('./utils/pagination');
 
 dotenv.config();
 
@@ -25,7 +26,8 @@ app.use(logger('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
-app.use(cors());
+// Lets browsers read the totals of lists that send their pagination in headers
+app.use(cors({ exposedHeaders: PAGINATION_HEADERS }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Define Routes
@@ -38,6 +40,11 @@ app.use('/api/trainers', require('./routes/api/trainers'));
 app.use('/api/bookings', require('./routes/api/bookings'));
 app.use('/api/recommendations', require('./routes/api/recommendations'));
 app.use('/api/payments', require('./routes/api/payments'));
+app.use('/api/packages', require('./routes/api/packages'));
+app.use('/api/memberships', require('./routes/api/memberships'));
+app.use('/api/promo-codes', require('./routes/api/promoCodes'));
+app.use('/api/webhook', require('./routes/api/webhook'));
+app.use('/api/admin', require('./routes/api/admin'));
 
 app.get('/', (req, res) => {
   res.send('API Running');
@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const runMigrations = require('./migrations');
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    await runMigrations();
   } catch (err) {
     console.error(`Error: ${err.message}`);
     process.exit(1);
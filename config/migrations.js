@@ -0,0 +1,106 @@
+const Review = require('../models/Review');
+const Invoice = require('../models/Invoice');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const { getSessionTimes } = require('../utils/schedule');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { countBookedSeats } = require('../utils/bookingService');
+
+const BATCH_SIZE = 500;
+
+// Sessions and bookings from before times were stored as instants only have a wall-clock date and time
+const backfillStartEnd = async (Model) => {
+  const cursor = Model.find({ startAt: null })
+    .select('date startTime endTime timezone')
+    .lean()
+    .cursor();
+
+  let ops = [];
+
+  for await (const doc of cursor) {
+    const timezone = doc.timezone || DEFAULT_TIMEZONE;
+    const { startAt, endAt } = getSessionTimes(doc.date, doc.startTime, doc.endTime, timezone);
+
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { startAt, endAt, timezone } }
+      }
+    });
+
+    if (ops.length >= BATCH_SIZE) {
+      await Model.bulkWrite(ops);
+      ops = [];
+    }
+  }
+
+  if (ops.length > 0) {
+    await Model.bulkWrite(ops);
+  }
+};
+
+// Sessions from before seats were counted on the session take their count from their bookings
+const backfillBookedSeats = async () => {
+  const cursor = Session.find({ bookedSeats: { $exists: false } })
+    .select('_id')
+    .lean()
+    .cursor();
+
+  let ops = [];
+
+  for await (const session of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: session._id, bookedSeats: { $exists: false } },
+        update: { $set: { bookedSeats: await countBookedSeats(session._id) } }
+      }
+    });
+
+    if (ops.length >= BATCH_SIZE) {
+      await Session.bulkWrite(ops);
+      ops = [];
+    }
+  }
+
+  if (ops.length > 0) {
+    await Session.bulkWrite(ops);
+  }
+};
+
+// Idempotent data and index fixes, run on every startup after connecting
+const MIGRATIONS = [
+  {
+    // Replaces the old unique { trainerId, clientId } index with the per-class one
+    name: 'review-indexes',
+    up: () => Review.syncIndexes()
+  },
+  {
+    // Invoices are saved before they are numbered, so the number index skips missing numbers
+    name: 'invoice-indexes',
+    up: () => Invoice.syncIndexes()
+  },
+  {
+    name: 'session-start-end',
+    up: () => backfillStartEnd(Session)
+  },
+  {
+    name: 'booking-start-end',
+    up: () => backfillStartEnd(Booking)
+  },
+  {
+    name: 'session-booked-seats',
+    up: backfillBookedSeats
+  }
+];
+
+const runMigrations = async () => {
+  for (const migration of MIGRATIONS) {
+    try {
+      await migration.up();
+    } catch (err) {
+      console.error(`Migration ${migration.name} failed: ${err.message}`);
+    }
+  }
+};
+
+module.exports = runMigrations;
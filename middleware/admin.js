@@ -0,0 +1,3 @@
+const { requireRole } = require('./roles');
+
+module.exports = requireRole('admin');
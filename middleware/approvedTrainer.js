@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const { getPublishingEligibility } = require('../utils/trainerOnboarding');
+
+// Blocks class publishing until the trainer is approved and holds a valid certification
+module.exports = async function (req, res, next) {
+  try {
+    const trainer = await User.findById(req.user.id).select('trainerApproval profile.certifications');
+
+    if (!trainer) {
+      return res.status(401).json({ msg: 'User not found' });
+    }
+
+    const eligibility = getPublishingEligibility(trainer);
+
+    if (!eligibility.allowed) {
+      return res.status(403).json({ code: eligibility.code, msg: eligibility.msg });
+    }
+
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -1,17 +1,38 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { ACCESS_TOKEN_PURPOSE } = require('../utils/tokens');
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   const token = req.header('x-auth-token');
 
   if (!token) {
     return res.status(401).json({ msg: 'No token, authorization denied' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ msg: 'Token is not valid' });
+  }
+
+  // Other tokens signed with the same secret, such as email verification links, are not access tokens
+  if (decoded.purpose !== ACCESS_TOKEN_PURPOSE || !decoded.user) {
+    return res.status(401).json({ msg: 'Token is not valid' });
+  }
+
+  try {
+    // Tokens from before a logout-all, password reset or deactivation are rejected
+    const user = await User.findById(decoded.user.id).select('isActive tokenVersion');
+
+    if (!user || !user.isActive || (decoded.user.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({ msg: 'Token has been revoked' });
+    }
+
     req.user = decoded.user;
     next();
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    console.error(err.message);
+    res.status(500).send('Server error');
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,22 @@
+const { hasPermission } = require('../utils/permissions');
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const requireRole = (...roles) => function (req, res, next) {
+  if (!roles.includes(req.user.userType)) {
+    return res.status(403).json({ msg: `Access denied. ${roles.map(capitalize).join(' or ')} role required.` });
+  }
+  next();
+};
+
+const requirePermission = (permission) => function (req, res, next) {
+  if (!hasPermission(req.user.userType, permission)) {
+    return res.status(403).json({ msg: 'Access denied. You do not have permission to do this.' });
+  }
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,30 @@
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+module.exports = async function (req, res, next) {
+  const requested = req.header('x-timezone') || req.query.timezone;
+
+  if (requested) {
+    if (!isValidTimezone(requested)) {
+      return res.status(400).json({ msg: 'Invalid timezone' });
+    }
+
+    req.timezone = requested;
+    return next();
+  }
+
+  req.timezone = DEFAULT_TIMEZONE;
+
+  if (req.user) {
+    try {
+      const user = await User.findById(req.user.id).select('timezone');
+      if (user && user.timezone) {
+        req.timezone = user.timezone;
+      }
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+
+  next();
+};
@@ -1,6 +1,3 @@
-module.exports = function (req, res, next) {
-    if (req.user.userType !== 'trainer') {
-      return res.status(403).json({ msg: 'Access denied. Trainer role required.' });
-    }
-    next();
-  };
\ No newline at end of file
+const { requireRole } = require('./roles');
+
+module.exports = requireRole('trainer');
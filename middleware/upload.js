@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const CERTIFICATION_DIR = path.join(UPLOAD_DIR, 'certifications');
+const MAX_FILE_MB = parseInt(process.env.CERTIFICATION_MAX_FILE_MB, 10) || 5;
+const ALLOWED_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+// Documents are kept out of public/ and only served through authenticated routes
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(CERTIFICATION_DIR, { recursive: true }, err => cb(err, CERTIFICATION_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${ALLOWED_TYPES[file.mimetype]}`);
+  }
+});
+
+const certificationUpload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return cb(new Error('Document must be a PDF, JPEG or PNG'));
+    }
+    cb(null, true);
+  }
+}).single('document');
+
+// Turns multer errors into the usual 400 response instead of the HTML error page
+const uploadCertificationDocument = function (req, res, next) {
+  certificationUpload(req, res, err => {
+    if (err) {
+      const msg = err.code === 'LIMIT_FILE_SIZE'
+        ? `Document must be smaller than ${MAX_FILE_MB}MB`
+        : err.message;
+      return res.status(400).json({ msg });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  CERTIFICATION_DIR,
+  uploadCertificationDocument
+};
@@ -0,0 +1,29 @@
+const User = require('../models/User');
+const { isVerificationRequired } = require('../utils/emailVerification');
+
+// Blocks unverified accounts from actions that need a confirmed email, when REQUIRE_EMAIL_VERIFICATION is on
+module.exports = async function (req, res, next) {
+  if (!isVerificationRequired() || req.user.userType === 'admin') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('isVerified');
+
+    if (!user) {
+      return res.status(401).json({ msg: 'User not found' });
+    }
+
+    if (!user.isVerified) {
+      return res.status(403).json({
+        code: 'EMAIL_NOT_VERIFIED',
+        msg: 'Please verify your email address to continue'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -16,6 +16,10 @@ const BookingSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
   date: {
     type: Date,
     required: true
@@ -30,20 +34,122 @@ const BookingSchema = new mongoose.Schema({
     required: true,
     match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
   },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  startAt: {
+    type: Date
+  },
+  endAt: {
+    type: Date
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'cancelled', 'waitlisted'],
     default: 'pending'
   },
+  // Set when the booking was paid for with a package credit
+  creditPack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditPack'
+  },
+  // Set when the booking is covered by a membership
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  // Set when a waitlisted booking asked to pay with a credit, which is only taken once it gets a seat
+  payWithCredit: {
+    type: Boolean,
+    default: false
+  },
   paymentStatus: {
     type: String,
-    enum: ['unpaid', 'paid', 'refunded'],
+    enum: ['unpaid', 'paid', 'partially_refunded', 'refunded'],
     default: 'unpaid'
   },
   notes: {
     type: String,
     trim: true
   },
+  cancelledBy: {
+    type: String,
+    enum: ['client', 'trainer']
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  // Recorded by the trainer once the session has started
+  attendance: {
+    status: {
+      type: String,
+      enum: ['attended', 'late', 'no_show']
+    },
+    method: {
+      type: String,
+      enum: ['manual', 'code', 'token']
+    },
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    markedAt: Date
+  },
+  // Short code the client shows the trainer to check in; unique within the session
+  checkInCode: {
+    type: String
+  },
+  rescheduleRequests: [{
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['client', 'trainer'],
+      required: true
+    },
+    from: {
+      session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+      date: Date,
+      startTime: String,
+      endTime: String,
+      startAt: Date,
+      endAt: Date
+    },
+    to: {
+      session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+      date: Date,
+      startTime: String,
+      endTime: String,
+      startAt: Date,
+      endAt: Date
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+      default: 'pending'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -54,5 +160,10 @@ BookingSchema.index({ user: 1, date: 1 });
 BookingSchema.index({ trainer: 1, date: 1 });
 BookingSchema.index({ class: 1 });
 BookingSchema.index({ status: 1 });
+BookingSchema.index({ session: 1, status: 1 });
+BookingSchema.index({ user: 1, startAt: 1 });
+BookingSchema.index({ trainer: 1, startAt: 1 });
+BookingSchema.index({ session: 1, checkInCode: 1 });
+BookingSchema.index({ user: 1, 'attendance.status': 1, startAt: 1 });
 
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
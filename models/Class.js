@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 
 const ClassSchema = new mongoose.Schema({
   trainer: {
@@ -27,6 +28,17 @@ const ClassSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // ISO 4217 code the price is in
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY
+  },
+  capacity: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
   schedule: [{
     day: {
       type: String,
@@ -42,8 +54,31 @@ const ClassSchema = new mongoose.Schema({
       type: String,
       required: true,
       match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+    },
+    capacity: {
+      type: Number,
+      min: 1
+    }
+  }],
+  // Refund tiers by notice given; the first tier whose hoursBefore has been met applies
+  cancellationPolicy: [{
+    hoursBefore: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    refundPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
     }
   }],
+  // IANA zone the schedule's wall-clock times are expressed in
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
   location: {
     type: String,
     enum: ['Virtual', 'In-Person'],
@@ -53,6 +88,15 @@ const ClassSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Average of the class's reviews
+  rating: {
+    type: Number,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Named sequences for numbering documents, e.g. invoice-2026
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CreditPackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  creditsTotal: {
+    type: Number,
+    required: true
+  },
+  creditsRemaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  classTypes: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  purchasedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CreditPackSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('CreditPack', CreditPackSchema);
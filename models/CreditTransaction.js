@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const CreditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  creditPack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditPack',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Positive when credits are added to the pack, negative when spent or lost
+  amount: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['purchase', 'booking', 'return', 'expiry', 'revoked'],
+    required: true
+  },
+  note: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CreditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditTransaction', CreditTransactionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A snapshot of what was sold, taken when the payment completed.
+// Refunds are not stored here since they can keep changing; receipts read them from the Refund records.
+const InvoiceSchema = new mongoose.Schema({
+  // Set once the invoice is reserved for its payment, see issueInvoice
+  number: {
+    type: String
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  billTo: {
+    name: String,
+    email: String
+  },
+  trainerName: {
+    type: String
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lineItems: [{
+    description: {
+      type: String,
+      required: true
+    },
+    // e.g. the session date and time for class bookings
+    details: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitAmount: {
+      type: Number,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  promoCode: {
+    type: String
+  },
+  // Prices include tax, so these are the tax portions of the total rather than extra charges
+  taxLines: [{
+    name: String,
+    rate: Number,
+    amount: Number
+  }],
+  total: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedAt: {
+    type: Date
+  }
+});
+
+InvoiceSchema.index({ number: 1 }, { unique: true, sparse: true });
+InvoiceSchema.index({ payment: 1 }, { unique: true });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
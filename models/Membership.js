@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const MembershipSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MembershipPlan',
+    required: true
+  },
+  // Copied from the plan; unset for studio-wide memberships
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bookingLimit: {
+    type: Number
+  },
+  bookingsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['incomplete', 'active', 'past_due', 'cancelled'],
+    default: 'incomplete'
+  },
+  stripeCustomerId: {
+    type: String
+  },
+  stripeSubscriptionId: {
+    type: String
+  },
+  currentPeriodStart: {
+    type: Date
+  },
+  currentPeriodEnd: {
+    type: Date
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MembershipSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+MembershipSchema.index({ user: 1, status: 1 });
+MembershipSchema.index({ stripeSubscriptionId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Membership', MembershipSchema);
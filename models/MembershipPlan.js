@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const MembershipPlanSchema = new mongoose.Schema({
+  // Unset for studio-wide plans that cover every trainer's classes
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  interval: {
+    type: String,
+    enum: ['month', 'year'],
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY
+  },
+  // Bookings allowed per billing period; unset means unlimited
+  bookingLimit: {
+    type: Number,
+    min: 1
+  },
+  stripeProductId: {
+    type: String
+  },
+  stripePriceId: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MembershipPlanSchema.index({ trainer: 1, isActive: 1 });
+
+module.exports = mongoose.model('MembershipPlan', MembershipPlanSchema);
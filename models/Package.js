@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const PackageSchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  credits: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY
+  },
+  // Days a purchased pack stays valid; unset means it never expires
+  expiryDays: {
+    type: Number,
+    min: 1
+  },
+  // Class types the credits can be spent on; empty means any of the trainer's classes
+  classTypes: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PackageSchema.index({ trainer: 1, isActive: 1 });
+
+module.exports = mongoose.model('Package', PackageSchema);
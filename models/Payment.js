@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 
 const PaymentSchema = new mongoose.Schema({
   user: {
@@ -6,24 +7,63 @@ const PaymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for class bookings; package purchases reference the credit pack instead
   booking: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Booking',
-    required: true
+    ref: 'Booking'
+  },
+  creditPack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditPack'
+  },
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  // Trainer the payment is earned by; unset for studio-wide memberships
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   },
   amount: {
     type: Number,
     required: true
   },
+  // Price before any promo code discount; amount is what was charged
+  originalAmount: {
+    type: Number
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  platformFee: {
+    type: Number,
+    default: 0
+  },
+  // Connected account the charge was routed to, when the trainer had completed Stripe onboarding
+  transferDestination: {
+    type: String
+  },
   currency: {
     type: String,
-    default: 'USD'
+    uppercase: true,
+    default: DEFAULT_CURRENCY
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Sum of pending and succeeded refunds
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   paymentMethod: {
     type: String,
     required: true
@@ -44,6 +84,7 @@ const PaymentSchema = new mongoose.Schema({
 });
 
 PaymentSchema.index({ user: 1 });
+PaymentSchema.index({ trainer: 1, createdAt: 1 });
 PaymentSchema.index({ booking: 1 });
 PaymentSchema.index({ status: 1 });
 PaymentSchema.index({ createdAt: 1 });
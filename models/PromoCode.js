@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const PromoCodeSchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off for percentage codes, amount off in currency for fixed ones
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Fixed discounts only apply to classes priced in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Unset means unlimited
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Classes and class types the code is limited to; both empty means any of the trainer's classes
+  classes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  classTypes: {
+    type: [String],
+    default: []
+  },
+  // Redemptions currently held by pending or completed payments
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromoCodeSchema.index({ code: 1 }, { unique: true });
+PromoCodeSchema.index({ trainer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const PromoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  // pending until the payment completes; reversed when it fails, is abandoned or is fully refunded
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'reversed'],
+    default: 'pending'
+  },
+  reversedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+PromoRedemptionSchema.index({ payment: 1 });
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Only a hash of the token is stored; tokens issued by rotating the same login share a family
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'deactivated']
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
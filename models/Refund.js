@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const RefundSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: DEFAULT_CURRENCY
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  initiatorRole: {
+    type: String,
+    enum: ['client', 'trainer', 'admin', 'system'],
+    default: 'system'
+  },
+  stripeRefundId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'canceled'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefundSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RefundSchema.index({ payment: 1 });
+RefundSchema.index({ stripeRefundId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Refund', RefundSchema);
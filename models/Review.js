@@ -15,6 +15,21 @@ const ReviewSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set when the review is for one of the trainer's classes rather than the trainer overall
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  // Past booking that made the client eligible to review
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // The trainer recorded the client as attending that booking
+  verifiedAttendee: {
+    type: Boolean,
+    default: false
+  },
   rating: {
     type: Number,
     required: true,
@@ -29,6 +44,41 @@ const ReviewSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Flagged reviews stay visible until an admin hides them
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'hidden'],
+    default: 'published'
+  },
+  flags: [{
+    flaggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    action: {
+      type: String,
+      enum: ['hide', 'restore']
+    },
+    note: String,
+    moderatedAt: Date
+  },
+  editedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,6 +94,10 @@ ReviewSchema.pre('save', function(next) {
   next();
 });
 
-ReviewSchema.index({ trainerId: 1, clientId: 1 }, { unique: true });
+// One review of the trainer and one per class from each client
+ReviewSchema.index({ trainerId: 1, clientId: 1, class: 1 }, { unique: true });
+ReviewSchema.index({ class: 1, createdAt: -1 });
+ReviewSchema.index({ trainerId: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, updatedAt: 1 });
 
 module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The weekly schedule slot this occurrence was generated from
+  slotDate: {
+    type: Date,
+    required: true
+  },
+  slotStartTime: {
+    type: String,
+    required: true,
+    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  startAt: {
+    type: Date
+  },
+  endAt: {
+    type: Date
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Seats held by pending and confirmed bookings; bookings take and give back seats through reserveSeat and releaseSeat
+  bookedSeats: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  isRescheduled: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ class: 1, slotDate: 1, slotStartTime: 1 }, { unique: true });
+SessionSchema.index({ class: 1, date: 1 });
+SessionSchema.index({ trainer: 1, date: 1 });
+SessionSchema.index({ trainer: 1, startAt: 1 });
+
+module.exports = mongoose.model('Session', SessionSchema);
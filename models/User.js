@@ -16,9 +16,13 @@ const UserSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ['client', 'trainer'],
+    enum: ['client', 'trainer', 'admin'],
     required: true
   },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
   profile: {
     availability: [{
       day: {
@@ -75,7 +79,27 @@ const UserSchema = new mongoose.Schema({
       name: String,
       issuingOrganization: String,
       issueDate: Date,
-      expirationDate: Date
+      expirationDate: Date,
+      document: {
+        filename: String,
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        uploadedAt: Date
+      },
+      // Only verified, unexpired certifications count towards publishing classes
+      verificationStatus: {
+        type: String,
+        enum: ['pending', 'verified', 'rejected', 'expired'],
+        default: 'pending'
+      },
+      reviewNote: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      expiredAt: Date
     }],
     rating: {
       type: Number,
@@ -88,6 +112,78 @@ const UserSchema = new mongoose.Schema({
       default: 0
     }
   },
+  stripeCustomerId: String,
+  stripeConnect: {
+    accountId: String,
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Trainer accounts are reviewed by an admin before they are approved
+  trainerApproval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    note: String,
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  deactivatedAt: Date,
+  // Set when too many recent no-shows block new bookings
+  noShowRestrictedUntil: Date,
+  // Secrets and backup code hashes are never selected unless asked for
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrolment until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    enabledAt: Date
+  },
+  // Incremented to revoke every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   
@@ -99,6 +195,9 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedAt: Date,
+  // Last time a verification link was emailed, used to throttle resends
+  verificationSentAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const WebhookEventSchema = new mongoose.Schema({
+  stripeEventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Id of the Stripe object the event is about, used to detect out-of-order deliveries
+  objectId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'skipped', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  eventCreatedAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookEventSchema.index({ stripeEventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index({ objectId: 1, eventCreatedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
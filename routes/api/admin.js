@@ -0,0 +1,540 @@
+const path = require('path');
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/roles');
+const { CERTIFICATION_DIR } = require('../../middleware/upload');
+const User = require('../../models/User');
+const Booking = require('../../models/Booking');
+const Payment = require('../../models/Payment');
+const AuditLog = require('../../models/AuditLog');
+const { processRefund } = require('../../utils/stripeService');
+const { revokeAllSessions } = require('../../utils/tokens');
+const { recordAudit } = require('../../utils/auditLog');
+const { getPagination, paginationMeta } = require('../../utils/pagination');
+const { formatAmount } = require('../../utils/currency');
+const { isCertificationExpired, getPublishingEligibility } = require('../../utils/trainerOnboarding');
+
+const router = express.Router();
+
+// Credentials and 2FA secrets stay out of every user admins are shown
+const HIDDEN_USER_FIELDS = '-password -resetPasswordToken -resetPasswordExpire -twoFactor.secret -twoFactor.pendingSecret -twoFactor.backupCodes -twoFactor.lastUsedStep';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Applies ?from= and ?to= to a date field
+const addDateRange = (query, field, { from, to }) => {
+  if (from || to) {
+    query[field] = {};
+    if (from) query[field].$gte = new Date(from);
+    if (to) query[field].$lte = new Date(to);
+  }
+};
+
+const listValidators = [
+  check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+  check('limit', 'Limit must be a positive whole number').optional().isInt({ min: 1 }),
+  check('from', 'From must be a valid date').optional().isISO8601(),
+  check('to', 'To must be a valid date').optional().isISO8601()
+];
+
+// ?search= matches name or email
+router.get('/users', [
+  auth,
+  requirePermission('users:read'),
+  [
+    ...listValidators,
+    check('userType', 'User type must be client, trainer or admin').optional().isIn(['client', 'trainer', 'admin']),
+    check('isActive', 'isActive must be true or false').optional().isBoolean(),
+    check('trainerStatus', 'Trainer status must be pending, approved or rejected')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { search, userType, isActive, trainerStatus } = req.query;
+    const pagination = getPagination(req.query);
+
+    const query = {};
+    if (userType) query.userType = userType;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (trainerStatus) query['trainerApproval.status'] = trainerStatus;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(HIDDEN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({ users, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/users/:id', [auth, requirePermission('users:read')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const [bookings, payments] = await Promise.all([
+      Booking.countDocuments({ user: user._id }),
+      Payment.countDocuments({ user: user._id })
+    ]);
+
+    res.json({ user, stats: { bookings, payments } });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/users/:id/deactivate', [
+  auth,
+  requirePermission('users:manage'),
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ msg: 'You cannot deactivate your own account here' });
+    }
+
+    const user = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ msg: 'Account is already deactivated' });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = Date.now();
+    await user.save();
+
+    const sessions = await revokeAllSessions(user._id, 'deactivated');
+
+    await recordAudit(req, 'user.deactivate', {
+      targetType: 'User',
+      targetId: user._id,
+      details: { reason: req.body.reason, sessionsRevoked: sessions }
+    });
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/users/:id/reactivate', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ msg: 'Account is already active' });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+
+    await recordAudit(req, 'user.reactivate', {
+      targetType: 'User',
+      targetId: user._id,
+      details: { reason: req.body.reason }
+    });
+
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// Trainers registered before applications existed have no status and are listed as pending
+router.get('/trainers/applications', [
+  auth,
+  requirePermission('trainers:approve'),
+  [
+    ...listValidators,
+    check('status', 'Status must be pending, approved or rejected').optional().isIn(['pending', 'approved', 'rejected'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const status = req.query.status || 'pending';
+    const pagination = getPagination(req.query);
+
+    const query = {
+      userType: 'trainer',
+      'trainerApproval.status': status === 'pending' ? { $in: ['pending', null] } : status
+    };
+
+    const [trainers, total] = await Promise.all([
+      User.find(query)
+        .select('name email trainerApproval profile.certifications profile.qualifications createdAt')
+        .sort({ 'trainerApproval.submittedAt': 1, createdAt: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      applications: trainers.map(trainer => ({
+        ...trainer.toObject(),
+        publishing: getPublishingEligibility(trainer)
+      })),
+      pagination: paginationMeta(pagination, total)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/trainers/:id/certifications/:certId/document', [
+  auth,
+  requirePermission('trainers:approve')
+], async (req, res) => {
+  try {
+    const trainer = await User.findById(req.params.id).select('userType profile.certifications');
+    const certification = trainer && trainer.profile.certifications.id(req.params.certId);
+
+    if (!certification || !certification.document?.filename) {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+
+    res.download(path.join(CERTIFICATION_DIR, certification.document.filename), certification.document.originalName);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/trainers/:id/certifications/:certId', [
+  auth,
+  requirePermission('trainers:approve'),
+  [
+    check('status', 'Status must be verified or rejected').isIn(['verified', 'rejected']),
+    check('note', 'Note must be text').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const trainer = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+
+    if (!trainer || trainer.userType !== 'trainer') {
+      return res.status(404).json({ msg: 'Trainer not found' });
+    }
+
+    const certification = trainer.profile.certifications.id(req.params.certId);
+
+    if (!certification) {
+      return res.status(404).json({ msg: 'Certification not found' });
+    }
+
+    const { status, note } = req.body;
+
+    if (status === 'verified' && isCertificationExpired(certification)) {
+      return res.status(400).json({ msg: 'Expired certifications cannot be verified' });
+    }
+
+    const previousStatus = certification.verificationStatus;
+
+    certification.verificationStatus = status;
+    certification.reviewNote = note;
+    certification.reviewedBy = req.user.id;
+    certification.reviewedAt = Date.now();
+    await trainer.save();
+
+    await recordAudit(req, `certification.${status === 'verified' ? 'verify' : 'reject'}`, {
+      targetType: 'User',
+      targetId: trainer._id,
+      details: { certificationId: certification._id, name: certification.name, previousStatus, note }
+    });
+
+    res.json(certification);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Certification not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/trainers/:id/approval', [
+  auth,
+  requirePermission('trainers:approve'),
+  [
+    check('status', 'Status must be approved or rejected').isIn(['approved', 'rejected']),
+    check('note', 'Note must be text').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const trainer = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS);
+
+    if (!trainer || trainer.userType !== 'trainer') {
+      return res.status(404).json({ msg: 'Trainer not found' });
+    }
+
+    const { status, note } = req.body;
+    const previousStatus = trainer.trainerApproval?.status;
+
+    trainer.trainerApproval = {
+      status,
+      note,
+      submittedAt: trainer.trainerApproval?.submittedAt,
+      reviewedBy: req.user.id,
+      reviewedAt: Date.now()
+    };
+    await trainer.save();
+
+    await recordAudit(req, `trainer.${status === 'approved' ? 'approve' : 'reject'}`, {
+      targetType: 'User',
+      targetId: trainer._id,
+      details: { previousStatus, note }
+    });
+
+    res.json({ ...trainer.toObject(), publishing: getPublishingEligibility(trainer) });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Trainer not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/bookings', [
+  auth,
+  requirePermission('bookings:read'),
+  [
+    ...listValidators,
+    check('user', 'User ID must be valid').optional().isMongoId(),
+    check('trainer', 'Trainer ID must be valid').optional().isMongoId(),
+    check('class', 'Class ID must be valid').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { status, paymentStatus, user, trainer } = req.query;
+    const pagination = getPagination(req.query);
+
+    const query = {};
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (user) query.user = user;
+    if (trainer) query.trainer = trainer;
+    if (req.query.class) query.class = req.query.class;
+    addDateRange(query, 'startAt', req.query);
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate('user', 'name email')
+        .populate('trainer', 'name email')
+        .populate('class', 'title')
+        .sort({ startAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Booking.countDocuments(query)
+    ]);
+
+    res.json({ bookings, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/payments', [
+  auth,
+  requirePermission('payments:read'),
+  [
+    ...listValidators,
+    check('user', 'User ID must be valid').optional().isMongoId(),
+    check('trainer', 'Trainer ID must be valid').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { status, user, trainer } = req.query;
+    const pagination = getPagination(req.query);
+
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+    if (trainer) query.trainer = trainer;
+    addDateRange(query, 'createdAt', req.query);
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .populate('user', 'name email')
+        .populate('trainer', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Payment.countDocuments(query)
+    ]);
+
+    res.json({
+      payments: payments.map(payment => ({
+        ...payment.toObject(),
+        formattedAmount: formatAmount(payment.amount, payment.currency)
+      })),
+      pagination: paginationMeta(pagination, total)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/payments/:id/refund', [
+  auth,
+  requirePermission('payments:refund'),
+  [
+    check('reason', 'Reason is required').not().isEmpty(),
+    check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ msg: 'Payment not found' });
+    }
+
+    const { reason, amount } = req.body;
+
+    const refund = await processRefund(payment._id, reason, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      initiatedBy: req.user.id,
+      initiatorRole: 'admin'
+    });
+
+    await recordAudit(req, 'payment.refund', {
+      targetType: 'Payment',
+      targetId: payment._id,
+      details: { refundId: refund.refundId, amount: refund.amount, currency: payment.currency, reason, onBehalfOf: payment.user }
+    });
+
+    res.json(refund);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Payment not found' });
+    }
+    res.status(500).json({ msg: err.message || 'Server error' });
+  }
+});
+
+router.get('/audit-logs', [
+  auth,
+  requirePermission('audit:read'),
+  [
+    ...listValidators,
+    check('actor', 'Actor ID must be valid').optional().isMongoId(),
+    check('targetId', 'Target ID must be valid').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { actor, action, targetType, targetId } = req.query;
+    const pagination = getPagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    addDateRange(query, 'createdAt', req.query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({ logs, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,32 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const User = require('../../models/User');
 const crypto = require('crypto');
 const auth = require('../../middleware/auth');
 const sendEmail = require('../../utils/sendEmail');
+const { isValidTimezone } = require('../../utils/timezone');
+const {
+  verifyVerificationToken,
+  getResendWait,
+  sendVerificationEmail
+} = require('../../utils/emailVerification');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../../utils/tokens');
+const {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  findUserWithSecrets,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../../utils/twoFactor');
 
 const router = express.Router();
 
@@ -15,7 +36,8 @@ router.post(
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password must be at least 8 characters').isLength({ min: 8 }),
     check('name', 'Name is required').not().isEmpty(),
-    check('userType', 'User type is required').isIn(['client', 'trainer'])
+    check('userType', 'User type is required').isIn(['client', 'trainer']),
+    check('timezone', 'Timezone must be a valid IANA timezone').optional().custom(isValidTimezone)
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -23,7 +45,7 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, userType, fitnessPreferences, fitnessGoals, availability } = req.body;
+    const { name, email, password, userType, timezone, fitnessPreferences, fitnessGoals, availability } = req.body;
 
     try {
       let user = await User.findOne({ email });
@@ -36,6 +58,8 @@ router.post(
         email,
         password,
         userType,
+        timezone,
+        ...(userType === 'trainer' && { trainerApproval: { status: 'pending' } }),
         profile: {
           availability: availability || [],
           
@@ -58,22 +82,16 @@ router.post(
 
       await user.save();
 
-      const payload = {
-        user: {
-          id: user.id,
-          userType: user.userType
-        }
-      };
-
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }, 
-        (err, token) => {
-          if (err) throw err;
-          res.json({ token });
-        }
-      );
+      // Registration still succeeds if the email can't be sent; the link can be resent later
+      try {
+        await sendVerificationEmail(user);
+      } catch (err) {
+        console.error('Error sending verification email:', err.message);
+      }
+
+      const tokens = await issueTokens(user, req);
+
+      res.json({ ...tokens, isVerified: user.isVerified });
 
     } catch (err) {
       console.error(err.message);
@@ -107,30 +125,30 @@ router.post(
         return res.status(400).json({ errors: [{ msg: 'Invalid credentials' }] });
       }
 
-      const payload = {
+      if (!user.isActive) {
+        return res.status(403).json({ msg: 'This account has been deactivated' });
+      }
+
+      // With 2FA on, the password only earns a challenge token to exchange at /2fa/login
+      if (user.twoFactor.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        });
+      }
+
+      const tokens = await issueTokens(user, req);
+
+      res.json({ 
+        ...tokens,
         user: {
           id: user.id,
-          userType: user.userType
-        }
-      };
-
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' },
-        (err, token) => {
-          if (err) throw err;
-          res.json({ 
-            token,
-            user: {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-              userType: user.userType
-            }
-          });
+          name: user.name,
+          email: user.email,
+          userType: user.userType,
+          isVerified: user.isVerified
         }
-      );
+      });
 
     } catch (err) {
       console.error(err.message);
@@ -139,6 +157,55 @@ router.post(
   }
 );
 
+router.post(
+  '/2fa/login',
+  [
+    check('challengeToken', 'Challenge token is required').not().isEmpty(),
+    check('code', 'Authentication code is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const userId = verifyLoginChallenge(req.body.challengeToken);
+
+      if (!userId) {
+        return res.status(401).json({ msg: 'Login challenge is invalid or has expired' });
+      }
+
+      const user = await findUserWithSecrets(userId);
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({ msg: 'Login challenge is invalid or has expired' });
+      }
+
+      const { method, backupCodesRemaining } = await verifySecondFactor(user, req.body.code);
+      const tokens = await issueTokens(user, req);
+
+      res.json({
+        ...tokens,
+        ...(method === 'backup' && { backupCodesRemaining }),
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          userType: user.userType,
+          isVerified: user.isVerified
+        }
+      });
+    } catch (err) {
+      console.error(err.message);
+      if (err.status) {
+        return res.status(err.status).json({ code: err.code, msg: err.message });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 router.post(
   '/forgot-password',
   [
@@ -225,6 +292,7 @@ router.post(
       user.resetPasswordExpire = undefined;
 
       await user.save();
+      await revokeAllSessions(user._id, 'password_reset');
 
       res.json({ msg: 'Password updated successfully' });
 
@@ -235,6 +303,254 @@ router.post(
   }
 );
 
+router.post(
+  '/refresh',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+
+      if (!tokens) {
+        return res.status(401).json({ msg: 'Refresh token is not valid' });
+      }
+
+      res.json(tokens);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// Works with an expired access token, so only the refresh token is needed
+router.post(
+  '/logout',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      await revokeRefreshToken(req.body.refreshToken);
+
+      res.json({ msg: 'Logged out' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const sessions = await revokeAllSessions(req.user.id);
+
+    res.json({ msg: 'Logged out of all devices', sessions });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const decoded = verifyVerificationToken(req.params.token);
+
+    if (!decoded) {
+      return res.status(400).json({ msg: 'Invalid or expired verification link' });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ msg: 'Invalid or expired verification link' });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verifiedAt = Date.now();
+      await user.save();
+    }
+
+    res.json({ msg: 'Email verified successfully' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ msg: 'Email is already verified' });
+    }
+
+    const wait = getResendWait(user);
+
+    if (wait > 0) {
+      return res.status(429).json({ msg: `Please wait ${wait} seconds before requesting another verification email` });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ msg: 'Verification email sent' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(await startEnrollment(user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Backup codes are only ever returned here and when regenerated
+router.post(
+  '/2fa/enable',
+  [
+    auth,
+    [
+      check('code', 'Authentication code is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await findUserWithSecrets(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+      }
+
+      const backupCodes = await completeEnrollment(user, req.body.code);
+
+      res.json({ msg: 'Two-factor authentication enabled', backupCodes });
+    } catch (err) {
+      console.error(err.message);
+      if (err.status) {
+        return res.status(err.status).json({ code: err.code, msg: err.message });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+router.post(
+  '/2fa/disable',
+  [
+    auth,
+    [
+      check('password', 'Password is required').not().isEmpty(),
+      check('code', 'Authentication code is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await findUserWithSecrets(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
+      const isMatch = await bcrypt.compare(req.body.password, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ msg: 'Password is incorrect' });
+      }
+
+      await verifySecondFactor(user, req.body.code);
+      await disableTwoFactor(user);
+
+      res.json({ msg: 'Two-factor authentication disabled' });
+    } catch (err) {
+      console.error(err.message);
+      if (err.status) {
+        return res.status(err.status).json({ code: err.code, msg: err.message });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+router.post(
+  '/2fa/backup-codes',
+  [
+    auth,
+    [
+      check('code', 'Authentication code is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await findUserWithSecrets(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
+      await verifySecondFactor(user, req.body.code);
+      const backupCodes = await regenerateBackupCodes(user);
+
+      res.json({ backupCodes });
+    } catch (err) {
+      console.error(err.message);
+      if (err.status) {
+        return res.status(err.status).json({ code: err.code, msg: err.message });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
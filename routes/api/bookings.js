@@ -1,18 +1,102 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const requireVerified = require('../../middleware/verified');
 const checkTrainerRole = require('../../middleware/trainer');
+const resolveTimezone = require('../../middleware/timezone');
 const Booking = require('../../models/Booking');
 const Class = require('../../models/Class');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const Payment = require('../../models/Payment');
+const sendEmail = require('../../utils/sendEmail');
+const { findBookingConflicts } = require('../../utils/conflicts');
+const { resolveBookableSession, getSessionError } = require('../../utils/sessionService');
+const { withLocalTimes } = require('../../utils/timezone');
+const { roundAmount } = require('../../utils/currency');
+const { DEFAULT_POLICY, getRefundPercent } = require('../../utils/cancellationPolicy');
+const { hasUsableCredit, returnCredit } = require('../../utils/creditService');
+const { releaseMembershipBooking } = require('../../utils/membershipService');
+const {
+  reserveSeat,
+  releaseSeat,
+  getWaitlistPosition,
+  coverBooking,
+  promoteFromWaitlist,
+  cancelBooking
+} = require('../../utils/bookingService');
+const {
+  ATTENDANCE_STATUSES,
+  getCheckInWindow,
+  getAttendanceError,
+  getCheckInStatus,
+  getCheckInCode,
+  createCheckInToken,
+  verifyCheckInToken,
+  recordAttendance
+} = require('../../utils/attendanceService');
 const router = express.Router();
 
+const slotSnapshot = (item) => ({
+  session: item.session ? item.session._id || item.session : item._id,
+  date: item.date,
+  startTime: item.startTime,
+  endTime: item.endTime,
+  startAt: item.startAt,
+  endAt: item.endAt
+});
+
+// Returns { status, error } if the booking cannot move into the session, or null if it can
+const checkRescheduleTarget = async (booking, session) => {
+  if (session.bookedSeats >= session.capacity) {
+    return { status: 409, error: { code: 'SESSION_FULL', msg: 'The requested session has no seats left' } };
+  }
+
+  const conflicts = await findBookingConflicts({
+    userId: booking.user,
+    trainerId: booking.trainer,
+    classId: booking.class,
+    startAt: session.startAt,
+    endAt: session.endAt,
+    excludeBookingId: booking._id
+  });
+
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      error: { code: 'BOOKING_CONFLICT', msg: 'The requested session overlaps with existing sessions', conflicts }
+    };
+  }
+
+  return null;
+};
+
+const notifyUser = async (userId, subject, message) => {
+  try {
+    const user = await User.findById(userId).select('name email');
+    if (user) {
+      await sendEmail({ email: user.email, subject, message: `Hi ${user.name}, ${message}` });
+    }
+  } catch (err) {
+    console.error('Error sending reschedule email:', err.message);
+  }
+};
+
+const withoutSession = () => check('sessionId').not().exists();
+
 router.post('/', [
   auth,
+  requireVerified,
+  resolveTimezone,
   [
-    check('classId', 'Class ID is required').not().isEmpty(),
-    check('date', 'Date is required').isISO8601().toDate(),
-    check('startTime', 'Start time is required (HH:MM format)').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-    check('endTime', 'End time is required (HH:MM format)').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    check('sessionId', 'Session ID must be valid').optional().isMongoId(),
+    check('classId', 'Class ID is required').if(withoutSession()).not().isEmpty(),
+    check('date', 'Date is required').if(withoutSession()).isISO8601().toDate(),
+    check('startTime', 'Start time is required (HH:MM format)').if(withoutSession())
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('endTime', 'End time is required (HH:MM format)').if(withoutSession())
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('useCredit', 'useCredit must be a boolean').optional().isBoolean().toBoolean()
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -21,7 +105,26 @@ router.post('/', [
   }
 
   try {
-    const { classId, date, startTime, endTime, notes } = req.body;
+    const { sessionId, date, startTime, endTime, notes, useCredit } = req.body;
+
+    const client = await User.findById(req.user.id).select('noShowRestrictedUntil');
+    if (client && client.noShowRestrictedUntil && client.noShowRestrictedUntil > new Date()) {
+      return res.status(403).json({
+        code: 'BOOKING_RESTRICTED',
+        msg: `New bookings are paused until ${client.noShowRestrictedUntil.toDateString()} because of missed classes`,
+        restrictedUntil: client.noShowRestrictedUntil
+      });
+    }
+
+    let session = null;
+    if (sessionId) {
+      session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({ msg: 'Session not found' });
+      }
+    }
+
+    const classId = session ? session.class : req.body.classId;
 
     const classDetails = await Class.findById(classId);
     if (!classDetails) {
@@ -34,31 +137,121 @@ router.post('/', [
 
     const trainerId = classDetails.trainer;
 
+    const resolved = await resolveBookableSession(classDetails, { session, date, startTime, endTime });
+    if (resolved.error) {
+      return res.status(resolved.status).json(resolved.error);
+    }
+    session = resolved.session;
+
+    const existingBooking = await Booking.findOne({
+      user: req.user.id,
+      session: session._id,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (existingBooking) {
+      return res.status(400).json({ msg: 'You already have a booking for this session' });
+    }
+
+    const conflicts = await findBookingConflicts({
+      userId: req.user.id,
+      trainerId,
+      classId,
+      startAt: session.startAt,
+      endAt: session.endAt
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        code: 'BOOKING_CONFLICT',
+        msg: 'This booking overlaps with existing sessions',
+        conflicts
+      });
+    }
+
+    const isFull = !await reserveSeat(session._id);
+
     const newBooking = new Booking({
       user: req.user.id,
       class: classId,
       trainer: trainerId,
-      date,
-      startTime,
-      endTime,
-      notes
+      session: session._id,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      timezone: session.timezone,
+      startAt: session.startAt,
+      endAt: session.endAt,
+      notes,
+      status: isFull ? 'waitlisted' : 'pending'
     });
 
-    const booking = await newBooking.save();
+    // Gives back the seat and any credit or membership use when the booking isn't created after all
+    const undoBooking = async (note) => {
+      if (!isFull) {
+        await releaseSeat(session._id);
+      }
+      if (newBooking.creditPack) {
+        await returnCredit(newBooking, note);
+      }
+      if (newBooking.membership) {
+        await releaseMembershipBooking(newBooking);
+      }
+    };
+
+    let booking;
+    try {
+      if (isFull) {
+        // Nothing is used until the booking gets a seat, but a client asking to pay with a credit must have one
+        if (useCredit) {
+          if (!await hasUsableCredit(req.user.id, classDetails)) {
+            return res.status(400).json({
+              code: 'NO_CREDITS',
+              msg: 'You have no valid package credits for this class'
+            });
+          }
+
+          newBooking.payWithCredit = true;
+        }
+      } else {
+        await coverBooking(newBooking, classDetails, { useCredit });
+
+        if (useCredit && !newBooking.creditPack) {
+          await undoBooking();
+          return res.status(400).json({
+            code: 'NO_CREDITS',
+            msg: 'You have no valid package credits for this class'
+          });
+        }
+
+        // Bookings covered by a credit or membership need no separate payment
+        if (newBooking.paymentStatus === 'paid') {
+          newBooking.status = 'confirmed';
+        }
+      }
+
+      booking = await newBooking.save();
+    } catch (err) {
+      await undoBooking('Booking could not be created');
+      throw err;
+    }
 
     const populatedBooking = await Booking.findById(booking._id)
       .populate('class', 'title description type duration')
       .populate('trainer', 'name')
       .populate('user', 'name');
 
-    res.status(201).json(populatedBooking);
+    res.status(201).json({
+      ...withLocalTimes(populatedBooking, req.timezone),
+      waitlistPosition: await getWaitlistPosition(booking)
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, resolveTimezone], async (req, res) => {
   try {
     const { status, upcoming } = req.query;
     
@@ -69,22 +262,27 @@ router.get('/', auth, async (req, res) => {
     }
     
     if (upcoming === 'true') {
-      query.date = { $gte: new Date() };
+      query.startAt = { $gte: new Date() };
     }
     
     const bookings = await Booking.find(query)
       .populate('class', 'title type duration')
       .populate('trainer', 'name')
-      .sort({ date: 1, startTime: 1 });
+      .sort({ startAt: 1 });
+
+    const result = await Promise.all(bookings.map(async booking => ({
+      ...withLocalTimes(booking, req.timezone),
+      waitlistPosition: await getWaitlistPosition(booking)
+    })));
     
-    res.json(bookings);
+    res.json(result);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-router.get('/trainer', [auth, checkTrainerRole], async (req, res) => {
+router.get('/trainer', [auth, checkTrainerRole, resolveTimezone], async (req, res) => {
   try {
     const { status, upcoming } = req.query;
     
@@ -95,25 +293,65 @@ router.get('/trainer', [auth, checkTrainerRole], async (req, res) => {
     }
     
     if (upcoming === 'true') {
-      query.date = { $gte: new Date() };
+      query.startAt = { $gte: new Date() };
     }
     
     const bookings = await Booking.find(query)
       .populate('class', 'title type duration')
       .populate('user', 'name')
-      .sort({ date: 1, startTime: 1 });
+      .sort({ startAt: 1 });
     
-    res.json(bookings);
+    res.json(bookings.map(booking => withLocalTimes(booking, req.timezone)));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id/cancellation-quote', auth, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
-      .populate('class', 'title description type duration price')
+      .populate('class', 'title cancellationPolicy currency');
+
+    if (!booking) {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to access this booking' });
+    }
+
+    const payment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: ['completed', 'partially_refunded'] }
+    });
+
+    const refundPercent = getRefundPercent(booking.class.cancellationPolicy, booking.startAt);
+
+    res.json({
+      refundPercent,
+      refundAmount: payment
+        ? Math.min(
+          roundAmount(payment.amount * refundPercent / 100, payment.currency),
+          roundAmount(payment.amount - payment.refundedAmount, payment.currency)
+        )
+        : 0,
+      currency: payment ? payment.currency : booking.class.currency,
+      policy: booking.class.cancellationPolicy.length > 0 ? booking.class.cancellationPolicy : DEFAULT_POLICY
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/:id', [auth, resolveTimezone], async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('class', 'title description type duration price currency')
       .populate('trainer', 'name')
       .populate('user', 'name');
 
@@ -126,7 +364,7 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(401).json({ msg: 'Not authorized to access this booking' });
     }
 
-    res.json(booking);
+    res.json(withLocalTimes(booking, req.timezone));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -138,6 +376,7 @@ router.get('/:id', auth, async (req, res) => {
 
 router.put('/:id', [
   auth,
+  resolveTimezone,
   [
     check('status', 'Status is required').isIn(['cancelled'])
   ]
@@ -165,11 +404,13 @@ router.put('/:id', [
       return res.status(400).json({ msg: 'This booking is already cancelled' });
     }
 
-    booking.status = 'cancelled';
-    
-    await booking.save();
+    const cancellation = await cancelBooking(booking, {
+      initiator: 'client',
+      initiatedBy: req.user.id,
+      reason: req.body.reason
+    });
 
-    res.json(booking);
+    res.json({ ...withLocalTimes(booking, req.timezone), cancellation });
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -183,6 +424,7 @@ router.put('/:id', [
 router.put('/trainer/:id', [
   auth,
   checkTrainerRole,
+  resolveTimezone,
   [
     check('status', 'Status is required').isIn(['confirmed', 'cancelled'])
   ]
@@ -205,18 +447,393 @@ router.put('/trainer/:id', [
       return res.status(401).json({ msg: 'Not authorized to update this booking' });
     }
 
-    if (booking.status !== 'pending') {
+    const canCancel = req.body.status === 'cancelled' && booking.status !== 'cancelled';
+
+    if (booking.status !== 'pending' && !canCancel) {
       return res.status(400).json({ 
         msg: `This booking is already ${booking.status}` 
       });
     }
 
-    booking.status = req.body.status;
     if (req.body.notes) booking.notes = req.body.notes;
 
+    if (req.body.status === 'cancelled') {
+      const cancellation = await cancelBooking(booking, {
+        initiator: 'trainer',
+        initiatedBy: req.user.id,
+        reason: req.body.notes
+      });
+
+      return res.json({ ...withLocalTimes(booking, req.timezone), cancellation });
+    }
+
+    booking.status = req.body.status;
+
+    await booking.save();
+
+    res.json(withLocalTimes(booking, req.timezone));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// The client's check-in code and QR token, shown to the trainer at the session
+router.get('/:id/check-in', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to access this booking' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({ msg: 'Only confirmed bookings can be checked in' });
+    }
+
+    const { opensAt, closesAt } = getCheckInWindow(booking);
+
+    if (closesAt < new Date()) {
+      return res.status(400).json({ msg: 'This session has already ended' });
+    }
+
+    res.json({
+      code: await getCheckInCode(booking),
+      token: createCheckInToken(booking),
+      opensAt,
+      closesAt,
+      attendance: booking.attendance && booking.attendance.status ? booking.attendance : null
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/trainer/:id/attendance', [
+  auth,
+  checkTrainerRole,
+  resolveTimezone,
+  [
+    check('status', `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`).isIn(ATTENDANCE_STATUSES)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('class', 'title')
+      .populate('user', 'name');
+
+    if (!booking) {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+
+    if (booking.trainer.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to update this booking' });
+    }
+
+    const attendanceError = getAttendanceError(booking, req.body.status);
+    if (attendanceError) {
+      return res.status(400).json(attendanceError);
+    }
+
+    await recordAttendance(booking, {
+      status: req.body.status,
+      method: 'manual',
+      markedBy: req.user.id
+    });
+
+    res.json(withLocalTimes(booking, req.timezone));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// Checks a client in from the code they read out (with the session) or the token in their QR code
+router.post('/trainer/check-in', [
+  auth,
+  checkTrainerRole,
+  resolveTimezone,
+  [
+    check('token', 'A check-in token, or a code and session ID, is required')
+      .if(check('code').not().exists()).not().isEmpty(),
+    check('code', 'Check-in code must be 6 digits').optional().matches(/^\d{6}$/),
+    check('sessionId', 'Session ID is required with a check-in code').if(check('code').exists()).isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let filter;
+    let method;
+
+    if (req.body.code) {
+      filter = { session: req.body.sessionId, checkInCode: req.body.code };
+      method = 'code';
+    } else {
+      let checkIn;
+      try {
+        checkIn = verifyCheckInToken(req.body.token);
+      } catch (error) {
+        return res.status(400).json({ code: 'INVALID_CHECK_IN', msg: 'This check-in code is invalid or has expired' });
+      }
+
+      filter = { _id: checkIn.booking, session: checkIn.session };
+      method = 'token';
+    }
+
+    const booking = await Booking.findOne(filter)
+      .populate('class', 'title')
+      .populate('user', 'name');
+
+    if (!booking || booking.trainer.toString() !== req.user.id) {
+      return res.status(404).json({ code: 'INVALID_CHECK_IN', msg: 'No booking matches this check-in code' });
+    }
+
+    const status = getCheckInStatus(booking);
+
+    const attendanceError = getAttendanceError(booking, status);
+    if (attendanceError) {
+      return res.status(400).json(attendanceError);
+    }
+
+    await recordAttendance(booking, { status, method, markedBy: req.user.id });
+
+    res.json(withLocalTimes(booking, req.timezone));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/:id/reschedule', [
+  auth,
+  resolveTimezone,
+  [
+    check('sessionId', 'Session ID must be valid').optional().isMongoId(),
+    check('date', 'Date is required').if(withoutSession()).isISO8601().toDate(),
+    check('startTime', 'Start time is required (HH:MM format)').if(withoutSession())
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('endTime', 'End time is required (HH:MM format)').if(withoutSession())
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+
+    const isClient = booking.user.toString() === req.user.id;
+    const isTrainer = booking.trainer.toString() === req.user.id;
+
+    if (!isClient && !isTrainer) {
+      return res.status(401).json({ msg: 'Not authorized to reschedule this booking' });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({ msg: `A ${booking.status} booking cannot be rescheduled` });
+    }
+
+    if (booking.rescheduleRequests.some(request => request.status === 'pending')) {
+      return res.status(400).json({ msg: 'This booking already has a pending reschedule request' });
+    }
+
+    const classDetails = await Class.findById(booking.class);
+    if (!classDetails) {
+      return res.status(404).json({ msg: 'Class not found' });
+    }
+
+    const { sessionId, date, startTime, endTime, reason } = req.body;
+
+    let session = null;
+    if (sessionId) {
+      session = await Session.findOne({ _id: sessionId, class: booking.class });
+      if (!session) {
+        return res.status(404).json({ msg: 'Session not found' });
+      }
+    }
+
+    const resolved = await resolveBookableSession(classDetails, { session, date, startTime, endTime });
+    if (resolved.error) {
+      return res.status(resolved.status).json(resolved.error);
+    }
+    session = resolved.session;
+
+    if (booking.session && session._id.equals(booking.session)) {
+      return res.status(400).json({ msg: 'The booking is already for this session' });
+    }
+
+    const targetError = await checkRescheduleTarget(booking, session);
+    if (targetError) {
+      return res.status(targetError.status).json(targetError.error);
+    }
+
+    booking.rescheduleRequests.push({
+      proposedBy: req.user.id,
+      proposedByRole: isClient ? 'client' : 'trainer',
+      from: slotSnapshot(booking),
+      to: slotSnapshot(session),
+      reason
+    });
+
     await booking.save();
 
-    res.json(booking);
+    await notifyUser(
+      isClient ? booking.trainer : booking.user,
+      'A booking reschedule has been proposed',
+      `a new time has been proposed for ${classDetails.title}: ${session.date.toDateString()} from ${session.startTime} to ${session.endTime} (${session.timezone}). Please accept or decline it.`
+    );
+
+    res.status(201).json(withLocalTimes(booking, req.timezone));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/:id/reschedule/:requestId', [
+  auth,
+  resolveTimezone,
+  [
+    check('action', 'Action must be accept, decline or withdraw').isIn(['accept', 'decline', 'withdraw'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await Booking.findById(req.params.id).populate('class', 'title');
+
+    if (!booking) {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+
+    const isClient = booking.user.toString() === req.user.id;
+    const isTrainer = booking.trainer.toString() === req.user.id;
+
+    if (!isClient && !isTrainer) {
+      return res.status(401).json({ msg: 'Not authorized to update this booking' });
+    }
+
+    const request = booking.rescheduleRequests.id(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({ msg: 'Reschedule request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ msg: `This reschedule request is already ${request.status}` });
+    }
+
+    const { action } = req.body;
+    const isProposer = request.proposedBy.toString() === req.user.id;
+
+    if (action === 'withdraw' && !isProposer) {
+      return res.status(401).json({ msg: 'Only the party who proposed the change can withdraw it' });
+    }
+
+    if (action !== 'withdraw' && isProposer) {
+      return res.status(401).json({ msg: 'The other party must respond to this reschedule request' });
+    }
+
+    let previousSession = null;
+
+    if (action === 'accept') {
+      if (!['pending', 'confirmed'].includes(booking.status)) {
+        return res.status(400).json({ msg: `A ${booking.status} booking cannot be rescheduled` });
+      }
+
+      const session = await Session.findById(request.to.session);
+      if (!session) {
+        return res.status(404).json({ msg: 'Session not found' });
+      }
+
+      const sessionError = getSessionError(session);
+      if (sessionError) {
+        return res.status(400).json(sessionError);
+      }
+
+      const targetError = await checkRescheduleTarget(booking, session);
+      if (targetError) {
+        return res.status(targetError.status).json(targetError.error);
+      }
+
+      if (!await reserveSeat(session._id)) {
+        return res.status(409).json({ code: 'SESSION_FULL', msg: 'The requested session has no seats left' });
+      }
+
+      previousSession = booking.session;
+
+      booking.session = session._id;
+      booking.date = session.date;
+      booking.startTime = session.startTime;
+      booking.endTime = session.endTime;
+      booking.timezone = session.timezone;
+      booking.startAt = session.startAt;
+      booking.endAt = session.endAt;
+    }
+
+    request.status = { accept: 'accepted', decline: 'declined', withdraw: 'withdrawn' }[action];
+    request.respondedBy = req.user.id;
+    request.respondedAt = Date.now();
+
+    try {
+      await booking.save();
+    } catch (err) {
+      if (action === 'accept') {
+        await releaseSeat(booking.session);
+      }
+      throw err;
+    }
+
+    if (previousSession) {
+      await releaseSeat(previousSession);
+      await promoteFromWaitlist(previousSession);
+    }
+
+    await notifyUser(
+      isClient ? booking.trainer : booking.user,
+      `Booking reschedule ${request.status}`,
+      `the proposed new time for ${booking.class.title} on ${request.to.date.toDateString()} at ${request.to.startTime} was ${request.status}.`
+    );
+
+    res.json(withLocalTimes(booking, req.timezone));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -1,9 +1,29 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const requireVerified = require('../../middleware/verified');
 const checkTrainerRole = require('../../middleware/trainer');
+const requireApprovedTrainer = require('../../middleware/approvedTrainer');
+const resolveTimezone = require('../../middleware/timezone');
 const Class = require('../../models/Class');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
+const { findScheduleConflicts } = require('../../utils/conflicts');
+const { toDateOnly, toMinutes, fromMinutes, getSessionStart } = require('../../utils/schedule');
+const { isValidTimezone, isValidLocalTime, withLocalTimes } = require('../../utils/timezone');
+const { isValidCurrency } = require('../../utils/currency');
+const { getPublishingEligibility } = require('../../utils/trainerOnboarding');
+const {
+  SESSION_WINDOW_DAYS,
+  getDefaultWindow,
+  generateSessions,
+  syncSessions,
+  withAvailability,
+  cancelSession,
+  rescheduleSession,
+  findSessionOverlaps
+} = require('../../utils/sessionService');
+const { promoteFromWaitlist } = require('../../utils/bookingService');
 
 const router = express.Router();
 
@@ -50,12 +70,22 @@ router.get('/:id', async (req, res) => {
 router.post('/', [
   auth,
   checkTrainerRole,
+  requireVerified,
+  requireApprovedTrainer,
   [
     check('title', 'Title is required').not().isEmpty(),
     check('description', 'Description is required').not().isEmpty(),
     check('type', 'Class type is required').not().isEmpty(),
     check('duration', 'Duration is required and must be a number').isNumeric(),
     check('price', 'Price is required and must be a number').isNumeric(),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().custom(isValidCurrency),
+    check('capacity', 'Capacity must be a positive whole number').optional().isInt({ min: 1 }),
+    check('timezone', 'Timezone must be a valid IANA timezone').optional().custom(isValidTimezone),
+    check('cancellationPolicy', 'Cancellation policy must be an array').optional().isArray(),
+    check('cancellationPolicy.*.hoursBefore', 'Each policy tier needs hoursBefore of 0 or more')
+      .optional().isFloat({ min: 0 }),
+    check('cancellationPolicy.*.refundPercent', 'Each policy tier needs a refundPercent between 0 and 100')
+      .optional().isFloat({ min: 0, max: 100 }),
     check('schedule', 'Schedule is required').isArray().not().isEmpty(),
     check('schedule.*.day', 'Each schedule must have a valid day').isIn([
       'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
@@ -63,7 +93,9 @@ router.post('/', [
     check('schedule.*.startTime', 'Each schedule must have a valid start time (HH:MM format)')
       .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
     check('schedule.*.endTime', 'Each schedule must have a valid end time (HH:MM format)')
-      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('schedule.*.capacity', 'Each schedule capacity must be a positive whole number')
+      .optional().isInt({ min: 1 })
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -72,6 +104,24 @@ router.post('/', [
   }
 
   try {
+    const trainer = await User.findById(req.user.id).select('timezone');
+
+    const timezone = req.body.timezone || trainer.timezone;
+
+    const conflicts = await findScheduleConflicts({
+      trainerId: req.user.id,
+      schedule: req.body.schedule,
+      timezone
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        code: 'SCHEDULE_CONFLICT',
+        msg: 'The class schedule overlaps with your existing commitments',
+        conflicts
+      });
+    }
+
     const newClass = new Class({
       trainer: req.user.id,
       title: req.body.title,
@@ -79,11 +129,19 @@ router.post('/', [
       type: req.body.type,
       duration: req.body.duration,
       price: req.body.price,
+      currency: req.body.currency,
+      capacity: req.body.capacity,
       schedule: req.body.schedule,
+      timezone,
+      cancellationPolicy: req.body.cancellationPolicy,
       location: req.body.location || 'Virtual'
     });
 
     const classItem = await newClass.save();
+
+    const { from, to } = getDefaultWindow();
+    await generateSessions(classItem, from, to);
+
     res.json(classItem);
   } catch (err) {
     console.error(err.message);
@@ -94,12 +152,21 @@ router.post('/', [
 router.put('/:id', [
   auth,
   checkTrainerRole,
+  requireVerified,
   [
     check('title', 'Title is required').optional().not().isEmpty(),
     check('description', 'Description is required').optional().not().isEmpty(),
     check('type', 'Class type is required').optional().not().isEmpty(),
     check('duration', 'Duration must be a number').optional().isNumeric(),
     check('price', 'Price must be a number').optional().isNumeric(),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().custom(isValidCurrency),
+    check('capacity', 'Capacity must be a positive whole number').optional().isInt({ min: 1 }),
+    check('timezone', 'Timezone must be a valid IANA timezone').optional().custom(isValidTimezone),
+    check('cancellationPolicy', 'Cancellation policy must be an array').optional().isArray(),
+    check('cancellationPolicy.*.hoursBefore', 'Each policy tier needs hoursBefore of 0 or more')
+      .optional().isFloat({ min: 0 }),
+    check('cancellationPolicy.*.refundPercent', 'Each policy tier needs a refundPercent between 0 and 100')
+      .optional().isFloat({ min: 0, max: 100 }),
     check('schedule', 'Schedule must be an array').optional().isArray(),
     check('schedule.*.day', 'Each schedule must have a valid day').optional().isIn([
       'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
@@ -107,7 +174,9 @@ router.put('/:id', [
     check('schedule.*.startTime', 'Each schedule must have a valid start time (HH:MM format)')
       .optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
     check('schedule.*.endTime', 'Each schedule must have a valid end time (HH:MM format)')
-      .optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('schedule.*.capacity', 'Each schedule capacity must be a positive whole number')
+      .optional().isInt({ min: 1 })
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -130,7 +199,7 @@ router.put('/:id', [
     
     const allowedFields = [
       'title', 'description', 'type', 'duration', 
-      'price', 'schedule', 'location', 'isActive'
+      'price', 'currency', 'capacity', 'schedule', 'timezone', 'cancellationPolicy', 'location', 'isActive'
     ];
     
     allowedFields.forEach(field => {
@@ -139,12 +208,45 @@ router.put('/:id', [
       }
     });
 
+    // Re-publishing an inactive class needs the same approval as creating one
+    if (updateFields.isActive && !classItem.isActive) {
+      const trainer = await User.findById(req.user.id).select('trainerApproval profile.certifications');
+      const eligibility = getPublishingEligibility(trainer);
+
+      if (!eligibility.allowed) {
+        return res.status(403).json({ code: eligibility.code, msg: eligibility.msg });
+      }
+    }
+
+    const willBeActive = updateFields.isActive !== undefined ? updateFields.isActive : classItem.isActive;
+
+    if (willBeActive && (updateFields.schedule || updateFields.isActive)) {
+      const conflicts = await findScheduleConflicts({
+        trainerId: req.user.id,
+        classId: classItem._id,
+        schedule: updateFields.schedule || classItem.schedule,
+        timezone: updateFields.timezone || classItem.timezone
+      });
+
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          code: 'SCHEDULE_CONFLICT',
+          msg: 'The class schedule overlaps with your existing commitments',
+          conflicts
+        });
+      }
+    }
+
     classItem = await Class.findByIdAndUpdate(
       req.params.id,
       { $set: updateFields },
       { new: true }
     ).populate('trainer', 'name profile.rating');
 
+    if (updateFields.schedule || updateFields.capacity || updateFields.timezone) {
+      await syncSessions(classItem);
+    }
+
     res.json(classItem);
   } catch (err) {
     console.error(err.message);
@@ -167,7 +269,21 @@ router.delete('/:id', [auth, checkTrainerRole], async (req, res) => {
       return res.status(401).json({ msg: 'Not authorized to delete this class' });
     }
 
-    await classItem.deleteOne({ _id: req.params.id });
+    // Upcoming sessions are cancelled like any other trainer cancellation, refunding and notifying their bookings
+    const sessions = await Session.find({
+      class: classItem._id,
+      status: 'scheduled',
+      startAt: { $gte: new Date() }
+    });
+
+    for (const session of sessions) {
+      await cancelSession(session, classItem, 'Class removed by the trainer');
+    }
+
+    // Kept, but unlisted, so past bookings, payments and reviews still point at it
+    classItem.isActive = false;
+    await classItem.save();
+
     res.json({ msg: 'Class removed' });
   } catch (err) {
     console.error(err.message);
@@ -195,5 +311,158 @@ router.get('/trainer/:trainerId', async (req, res) => {
   }
 });
 
+router.get('/:id/sessions', [
+  resolveTimezone,
+  check('from', 'From must be a valid date').optional().isISO8601().toDate(),
+  check('to', 'To must be a valid date').optional().isISO8601().toDate()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const classItem = await Class.findById(req.params.id);
+
+    if (!classItem) {
+      return res.status(404).json({ msg: 'Class not found' });
+    }
+
+    const window = getDefaultWindow();
+    const from = toDateOnly(req.query.from || window.from);
+    const to = req.query.to ? toDateOnly(req.query.to) : new Date(from.getTime() + (window.to - window.from));
+
+    if (to < from) {
+      return res.status(400).json({ msg: 'The end of the range must be after its start' });
+    }
+
+    if (to - from > SESSION_WINDOW_DAYS * 3 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ msg: `Sessions can be listed for at most ${SESSION_WINDOW_DAYS * 3} days at a time` });
+    }
+
+    if (classItem.isActive && to >= window.from) {
+      await generateSessions(classItem, from > window.from ? from : window.from, to);
+    }
+
+    const sessions = await Session.find({
+      class: classItem._id,
+      date: { $gte: from, $lte: to }
+    }).sort({ date: 1, startTime: 1 });
+
+    const result = await withAvailability(sessions);
+
+    res.json(result.map(session => withLocalTimes(session, req.timezone)));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Class not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/:id/sessions/:sessionId', [
+  auth,
+  checkTrainerRole,
+  resolveTimezone,
+  [
+    check('status', 'Status can only be set to cancelled').optional().isIn(['cancelled']),
+    check('date', 'Date must be a valid date').optional().isISO8601().toDate(),
+    check('startTime', 'Start time must be in HH:MM format')
+      .optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('endTime', 'End time must be in HH:MM format')
+      .optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+    check('capacity', 'Capacity must be a positive whole number').optional().isInt({ min: 1 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const classItem = await Class.findById(req.params.id);
+
+    if (!classItem) {
+      return res.status(404).json({ msg: 'Class not found' });
+    }
+
+    if (classItem.trainer.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to update this class' });
+    }
+
+    let session = await Session.findOne({ _id: req.params.sessionId, class: classItem._id });
+
+    if (!session) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    if (session.status === 'cancelled') {
+      return res.status(400).json({ msg: 'This session is already cancelled' });
+    }
+
+    if (session.startAt < new Date()) {
+      return res.status(400).json({ msg: 'Past sessions cannot be changed' });
+    }
+
+    const { status, date, startTime, endTime, capacity, reason } = req.body;
+
+    if (status === 'cancelled') {
+      session = await cancelSession(session, classItem, reason);
+      return res.json(withLocalTimes(session, req.timezone));
+    }
+
+    if (capacity) {
+      session.capacity = capacity;
+      await session.save();
+
+      while (await promoteFromWaitlist(session._id));
+    }
+
+    if (date || startTime || endTime) {
+      const newStart = startTime || session.startTime;
+      const newTimes = {
+        date: date || session.date,
+        startTime: newStart,
+        endTime: endTime || fromMinutes(toMinutes(newStart) + classItem.duration)
+      };
+
+      if (toMinutes(newTimes.endTime) <= toMinutes(newTimes.startTime)) {
+        return res.status(400).json({ msg: 'End time must be after start time' });
+      }
+
+      if (!isValidLocalTime(newTimes.date, newTimes.startTime, session.timezone)) {
+        return res.status(400).json({
+          code: 'INVALID_LOCAL_TIME',
+          msg: `${newTimes.startTime} does not exist on this date in ${session.timezone} because of a daylight saving change`
+        });
+      }
+
+      if (getSessionStart(newTimes.date, newTimes.startTime, session.timezone) < new Date()) {
+        return res.status(400).json({ code: 'DATE_IN_PAST', msg: 'Cannot move a session into the past' });
+      }
+
+      const conflicts = await findSessionOverlaps(session, newTimes);
+
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          code: 'SCHEDULE_CONFLICT',
+          msg: 'The new time overlaps with your other sessions',
+          conflicts
+        });
+      }
+
+      session = await rescheduleSession(session, classItem, newTimes);
+    }
+
+    res.json(withLocalTimes(session, req.timezone));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const requireVerified = require('../../middleware/verified');
+const checkTrainerRole = require('../../middleware/trainer');
+const MembershipPlan = require('../../models/MembershipPlan');
+const Membership = require('../../models/Membership');
+const { isValidCurrency } = require('../../utils/currency');
+const {
+  createMembershipSubscription,
+  cancelMembershipSubscription
+} = require('../../utils/stripeService');
+
+const router = express.Router();
+
+router.get('/plans', async (req, res) => {
+  try {
+    const { trainerId } = req.query;
+
+    let filter = { isActive: true };
+
+    // Studio-wide plans are listed alongside a trainer's own plans
+    if (trainerId) filter.$or = [{ trainer: trainerId }, { trainer: null }];
+
+    const plans = await MembershipPlan.find(filter)
+      .select('-stripeProductId -stripePriceId')
+      .populate('trainer', 'name profile.rating')
+      .sort({ price: 1 });
+
+    res.json(plans);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/plans', [
+  auth,
+  checkTrainerRole,
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('interval', 'Interval must be month or year').isIn(['month', 'year']),
+    check('price', 'Price is required and must be a number').isNumeric(),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().custom(isValidCurrency),
+    check('bookingLimit', 'Booking limit must be a positive whole number').optional().isInt({ min: 1 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const newPlan = new MembershipPlan({
+      trainer: req.user.id,
+      name: req.body.name,
+      description: req.body.description,
+      interval: req.body.interval,
+      price: req.body.price,
+      currency: req.body.currency,
+      bookingLimit: req.body.bookingLimit
+    });
+
+    const plan = await newPlan.save();
+    res.json(plan);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Price, currency and interval are fixed once created since existing Stripe subscriptions bill against them
+router.put('/plans/:id', [
+  auth,
+  checkTrainerRole,
+  [
+    check('name', 'Name is required').optional().not().isEmpty(),
+    check('bookingLimit', 'Booking limit must be a positive whole number').optional().isInt({ min: 1 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let plan = await MembershipPlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({ msg: 'Membership plan not found' });
+    }
+
+    if (!plan.trainer || plan.trainer.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to update this plan' });
+    }
+
+    const updateFields = {};
+
+    ['name', 'description', 'bookingLimit', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateFields[field] = req.body[field];
+      }
+    });
+
+    plan = await MembershipPlan.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateFields },
+      { new: true }
+    );
+
+    res.json(plan);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Membership plan not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/plans/:id/subscribe', [auth, requireVerified], async (req, res) => {
+  try {
+    const subscription = await createMembershipSubscription(req.params.id, req.user.id);
+
+    res.json(subscription);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: err.message || 'Server error' });
+  }
+});
+
+router.get('/me', auth, async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user.id })
+      .populate('plan', 'name interval price bookingLimit')
+      .populate('trainer', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(memberships);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const membership = await Membership.findById(req.params.id);
+
+    if (!membership) {
+      return res.status(404).json({ msg: 'Membership not found' });
+    }
+
+    if (membership.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to cancel this membership' });
+    }
+
+    if (!['active', 'past_due'].includes(membership.status) || membership.cancelAtPeriodEnd) {
+      return res.status(400).json({ msg: 'This membership is not active' });
+    }
+
+    const updated = await cancelMembershipSubscription(membership);
+
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Membership not found' });
+    }
+    res.status(500).json({ msg: err.message || 'Server error' });
+  }
+});
+
+module.exports = router;
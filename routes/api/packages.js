@@ -0,0 +1,164 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const requireVerified = require('../../middleware/verified');
+const checkTrainerRole = require('../../middleware/trainer');
+const Package = require('../../models/Package');
+const { isValidCurrency } = require('../../utils/currency');
+const { createPackagePaymentIntent } = require('../../utils/stripeService');
+const { getCreditSummary } = require('../../utils/creditService');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const { trainerId, type } = req.query;
+
+    let filter = { isActive: true };
+
+    if (trainerId) filter.trainer = trainerId;
+    if (type) filter.$or = [{ classTypes: { $size: 0 } }, { classTypes: type }];
+
+    const packages = await Package.find(filter)
+      .populate('trainer', 'name profile.rating')
+      .sort({ createdAt: -1 });
+
+    res.json(packages);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/credits', auth, async (req, res) => {
+  try {
+    const summary = await getCreditSummary(req.user.id);
+
+    res.json(summary);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/', [
+  auth,
+  checkTrainerRole,
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('credits', 'Credits must be a positive whole number').isInt({ min: 1 }),
+    check('price', 'Price is required and must be a number').isNumeric(),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().custom(isValidCurrency),
+    check('expiryDays', 'Expiry must be a positive number of days').optional().isInt({ min: 1 }),
+    check('classTypes', 'Class types must be an array').optional().isArray()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const newPackage = new Package({
+      trainer: req.user.id,
+      name: req.body.name,
+      description: req.body.description,
+      credits: req.body.credits,
+      price: req.body.price,
+      currency: req.body.currency,
+      expiryDays: req.body.expiryDays,
+      classTypes: req.body.classTypes || []
+    });
+
+    const packageItem = await newPackage.save();
+    res.json(packageItem);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/:id', [
+  auth,
+  checkTrainerRole,
+  [
+    check('name', 'Name is required').optional().not().isEmpty(),
+    check('credits', 'Credits must be a positive whole number').optional().isInt({ min: 1 }),
+    check('price', 'Price must be a number').optional().isNumeric(),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().custom(isValidCurrency),
+    check('expiryDays', 'Expiry must be a positive number of days').optional().isInt({ min: 1 }),
+    check('classTypes', 'Class types must be an array').optional().isArray()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let packageItem = await Package.findById(req.params.id);
+
+    if (!packageItem) {
+      return res.status(404).json({ msg: 'Package not found' });
+    }
+
+    if (packageItem.trainer.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to update this package' });
+    }
+
+    const updateFields = {};
+
+    const allowedFields = [
+      'name', 'description', 'credits', 'price', 'currency',
+      'expiryDays', 'classTypes', 'isActive'
+    ];
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateFields[field] = req.body[field];
+      }
+    });
+
+    packageItem = await Package.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateFields },
+      { new: true }
+    );
+
+    res.json(packageItem);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Package not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/:id/purchase', [
+  auth,
+  requireVerified,
+  [
+    check('paymentMethod', 'Payment method is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const paymentIntent = await createPackagePaymentIntent(
+      req.params.id,
+      req.user.id,
+      req.body.paymentMethod
+    );
+
+    res.json(paymentIntent);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: err.message || 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,31 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const requireVerified = require('../../middleware/verified');
 const checkTrainerRole = require('../../middleware/trainer');
+const { requireRole } = require('../../middleware/roles');
 const Payment = require('../../models/Payment');
 const Booking = require('../../models/Booking');
+const Refund = require('../../models/Refund');
 const { createPaymentIntent, confirmPayment, processRefund } = require('../../utils/stripeService');
+const { formatAmount } = require('../../utils/currency');
+const { issueInvoice, getReceipt, renderReceiptHtml, renderReceiptPdf } = require('../../utils/invoiceService');
 
 const router = express.Router();
 
+const withFormattedAmounts = (payment) => ({
+  ...payment.toObject(),
+  formattedAmount: formatAmount(payment.amount, payment.currency),
+  formattedRefundedAmount: formatAmount(payment.refundedAmount, payment.currency)
+});
+
 router.post('/create-intent', [
   auth,
+  requireVerified,
   [
     check('bookingId', 'Booking ID is required').not().isEmpty(),
-    check('paymentMethod', 'Payment method is required').not().isEmpty()
+    check('paymentMethod', 'Payment method is required').not().isEmpty(),
+    check('promoCode', 'Promo code must be text').optional().isString()
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -21,23 +34,28 @@ router.post('/create-intent', [
   }
 
   try {
-    const { bookingId, paymentMethod } = req.body;
+    const { bookingId, paymentMethod, promoCode } = req.body;
     
     const paymentIntent = await createPaymentIntent(
       bookingId, 
       req.user.id,
-      paymentMethod
+      paymentMethod,
+      { promoCode }
     );
     
     res.json(paymentIntent);
   } catch (err) {
     console.error(err.message);
+    if (err.status) {
+      return res.status(err.status).json({ code: err.code, msg: err.message });
+    }
     res.status(500).json({ msg: err.message || 'Server error' });
   }
 });
 
 router.post('/confirm', [
   auth,
+  requireVerified,
   [
     check('paymentIntentId', 'Payment intent ID is required').not().isEmpty()
   ]
@@ -59,10 +77,13 @@ router.post('/confirm', [
   }
 });
 
+// Clients are refunded by cancelling the booking, which applies the class cancellation policy
 router.post('/refund', [
   auth,
+  requireRole('trainer', 'admin'),
   [
-    check('paymentId', 'Payment ID is required').not().isEmpty()
+    check('paymentId', 'Payment ID is required').not().isEmpty(),
+    check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 })
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -71,7 +92,7 @@ router.post('/refund', [
   }
 
   try {
-    const { paymentId, reason } = req.body;
+    const { paymentId, reason, amount } = req.body;
     
     const payment = await Payment.findById(paymentId);
     
@@ -79,11 +100,15 @@ router.post('/refund', [
       return res.status(404).json({ msg: 'Payment not found' });
     }
     
-    if (payment.user.toString() !== req.user.id) {
+    if (req.user.userType === 'trainer' && (!payment.trainer || payment.trainer.toString() !== req.user.id)) {
       return res.status(401).json({ msg: 'Not authorized to process this refund' });
     }
     
-    const refund = await processRefund(paymentId, reason);
+    const refund = await processRefund(paymentId, reason, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      initiatedBy: req.user.id,
+      initiatorRole: req.user.userType
+    });
     
     res.json(refund);
   } catch (err) {
@@ -105,9 +130,79 @@ router.get('/history', auth, async (req, res) => {
       })
       .sort({ createdAt: -1 });
     
-    res.json(payments);
+    res.json(payments.map(withFormattedAmounts));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/:id/refunds', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ msg: 'Payment not found' });
+    }
+
+    if (payment.user.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to access this payment' });
+    }
+
+    const refunds = await Refund.find({ payment: payment._id })
+      .populate('initiatedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(refunds);
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Payment not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// ?format=html returns the receipt as a page; PDF otherwise
+router.get('/:id/receipt', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ msg: 'Payment not found' });
+    }
+
+    const isOwner = payment.user.toString() === req.user.id;
+    const isTrainer = payment.trainer && payment.trainer.toString() === req.user.id;
+
+    if (!isOwner && !isTrainer) {
+      return res.status(401).json({ msg: 'Not authorized to access this payment' });
+    }
+
+    if (['pending', 'failed'].includes(payment.status)) {
+      return res.status(400).json({ msg: 'Receipts are only available for completed payments' });
+    }
+
+    // Payments completed before receipts existed get their invoice on first download
+    const invoice = await issueInvoice(payment);
+    const receipt = await getReceipt(invoice, payment);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderReceiptHtml(receipt));
+    }
+
+    const pdf = await renderReceiptPdf(receipt);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Payment not found' });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -139,7 +234,7 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(401).json({ msg: 'Not authorized to access this payment' });
     }
     
-    res.json(payment);
+    res.json(withFormattedAmounts(payment));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -1,7 +1,11 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
 const User = require('../../models/User');
+const { isValidTimezone } = require('../../utils/timezone');
+const { sendVerificationEmail } = require('../../utils/emailVerification');
+const { revokeAllSessions } = require('../../utils/tokens');
 
 const router = express.Router();
 
@@ -29,7 +33,8 @@ router.put('/', [
     
     check('name', 'Name is required').optional().not().isEmpty(),
     check('email', 'Please include a valid email').optional().isEmail(),
-    check('availability', 'Availability must be an array').optional().isArray()
+    check('availability', 'Availability must be an array').optional().isArray(),
+    check('timezone', 'Timezone must be a valid IANA timezone').optional().custom(isValidTimezone)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -49,12 +54,21 @@ router.put('/', [
     const { 
       name, 
       email,
+      timezone,
       availability
     } = req.body;
 
     
     if (name) user.name = name;
-    if (email) user.email = email;
+    // A new address has to be confirmed again
+    const emailChanged = Boolean(email) && email !== user.email;
+    if (emailChanged) {
+      user.email = email;
+      user.isVerified = false;
+      user.verifiedAt = undefined;
+      user.verificationSentAt = undefined;
+    }
+    if (timezone) user.timezone = timezone;
     if (availability) user.profile.availability = availability;
 
     
@@ -66,7 +80,14 @@ router.put('/', [
 
     
     await user.save();
-    
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (err) {
+        console.error('Error sending verification email:', err.message);
+      }
+    }
     
     res.json(user);
   } catch (err) {
@@ -78,6 +99,42 @@ router.put('/', [
   }
 });
 
+// Deactivates the account and signs it out everywhere
+router.delete('/', [
+  auth,
+  [
+    check('password', 'Password is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(req.body.password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ msg: 'Password is incorrect' });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = Date.now();
+    await user.save();
+    await revokeAllSessions(user._id, 'deactivated');
+
+    res.json({ msg: 'Account deactivated' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 
 function updateClientProfile(user, data) {
   const { fitnessPreferences, fitnessGoals } = data;
@@ -0,0 +1,229 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const checkTrainerRole = require('../../middleware/trainer');
+const PromoCode = require('../../models/PromoCode');
+const PromoRedemption = require('../../models/PromoRedemption');
+const Class = require('../../models/Class');
+const Booking = require('../../models/Booking');
+const { quotePromoCode } = require('../../utils/promoService');
+const { isValidCurrency } = require('../../utils/currency');
+
+const router = express.Router();
+
+const promoValidators = (optional) => {
+  const field = (name, msg) => (optional ? check(name, msg).optional() : check(name, msg));
+
+  return [
+    field('code', 'Code must be 3-32 letters, numbers, dashes or underscores').matches(/^[A-Za-z0-9_-]{3,32}$/),
+    field('discountType', 'Discount type must be percentage or fixed').isIn(['percentage', 'fixed']),
+    field('discountValue', 'Discount value must be a positive number').isFloat({ gt: 0 }),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().custom(isValidCurrency),
+    check('expiresAt', 'Expiry must be a valid date').optional({ nullable: true }).isISO8601().toDate(),
+    check('maxRedemptions', 'Max redemptions must be a positive whole number').optional({ nullable: true }).isInt({ min: 1 }),
+    check('perUserLimit', 'Per-user limit must be a positive whole number').optional().isInt({ min: 1 }),
+    check('classes', 'Classes must be an array').optional().isArray(),
+    check('classTypes', 'Class types must be an array').optional().isArray()
+  ];
+};
+
+// Percentage codes can't take off more than the whole price, and restricted classes must be the trainer's own
+const checkPromoFields = async (fields, trainerId) => {
+  if (fields.discountType === 'percentage' && fields.discountValue > 100) {
+    return 'Percentage discounts cannot exceed 100';
+  }
+
+  if (fields.classes && fields.classes.length > 0) {
+    const owned = await Class.countDocuments({ _id: { $in: fields.classes }, trainer: trainerId });
+
+    if (owned !== fields.classes.length) {
+      return 'Promo codes can only be limited to your own classes';
+    }
+  }
+
+  return null;
+};
+
+router.get('/', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const promoCodes = await PromoCode.find({ trainer: req.user.id })
+      .populate('classes', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json(promoCodes);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/', [auth, checkTrainerRole, promoValidators(false)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fieldError = await checkPromoFields(req.body, req.user.id);
+    if (fieldError) {
+      return res.status(400).json({ msg: fieldError });
+    }
+
+    const code = req.body.code.toUpperCase();
+
+    if (await PromoCode.exists({ code })) {
+      return res.status(400).json({ msg: 'This code is already in use' });
+    }
+
+    const promoCode = new PromoCode({
+      trainer: req.user.id,
+      code,
+      description: req.body.description,
+      discountType: req.body.discountType,
+      discountValue: req.body.discountValue,
+      currency: req.body.currency,
+      expiresAt: req.body.expiresAt,
+      maxRedemptions: req.body.maxRedemptions,
+      perUserLimit: req.body.perUserLimit,
+      classes: req.body.classes || [],
+      classTypes: req.body.classTypes || []
+    });
+
+    await promoCode.save();
+    res.json(promoCode);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Lets a client check a code against one of their bookings before paying
+router.post('/validate', [
+  auth,
+  [
+    check('code', 'Code is required').not().isEmpty(),
+    check('bookingId', 'Booking ID is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await Booking.findById(req.body.bookingId).populate('class', 'title price currency type trainer');
+
+    if (!booking || booking.user.toString() !== req.user.id) {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+
+    const { promo, originalAmount, discountAmount, amount, currency } = await quotePromoCode(req.body.code, {
+      userId: req.user.id,
+      classItem: booking.class
+    });
+
+    res.json({
+      code: promo.code,
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      originalAmount,
+      discountAmount,
+      amount,
+      currency
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.status) {
+      return res.status(err.status).json({ code: err.code, msg: err.message });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Booking not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/:id', [auth, checkTrainerRole, promoValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({ msg: 'Promo code not found' });
+    }
+
+    if (promoCode.trainer.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to update this promo code' });
+    }
+
+    const updateFields = {};
+
+    // The code itself can't change once clients may have been given it
+    const allowedFields = [
+      'description', 'discountType', 'discountValue', 'currency', 'expiresAt',
+      'maxRedemptions', 'perUserLimit', 'classes', 'classTypes', 'isActive'
+    ];
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateFields[field] = req.body[field];
+      }
+    });
+
+    const fieldError = await checkPromoFields({
+      discountType: updateFields.discountType || promoCode.discountType,
+      discountValue: updateFields.discountValue !== undefined ? updateFields.discountValue : promoCode.discountValue,
+      classes: updateFields.classes
+    }, req.user.id);
+    if (fieldError) {
+      return res.status(400).json({ msg: fieldError });
+    }
+
+    promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateFields },
+      { new: true }
+    );
+
+    res.json(promoCode);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Promo code not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/:id/redemptions', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return res.status(404).json({ msg: 'Promo code not found' });
+    }
+
+    if (promoCode.trainer.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to view these redemptions' });
+    }
+
+    const redemptions = await PromoRedemption.find({ promoCode: promoCode._id })
+      .populate('user', 'name email')
+      .populate('payment', 'amount originalAmount status')
+      .sort({ createdAt: -1 });
+
+    res.json(redemptions);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Promo code not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,315 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const { check, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
 const User = require('../../models/User');
 const Review = require('../../models/Review');
+const Class = require('../../models/Class');
 const checkTrainerRole = require('../../middleware/trainer');
+const { requirePermission } = require('../../middleware/roles');
+const resolveTimezone = require('../../middleware/timezone');
+const { CERTIFICATION_DIR, uploadCertificationDocument } = require('../../middleware/upload');
+const { toMinutes } = require('../../utils/schedule');
+const { convertWeeklySlot, normalizeDay } = require('../../utils/timezone');
+const { createConnectOnboardingLink, refreshConnectAccount } = require('../../utils/stripeService');
+const { EARNING_PERIODS, getTrainerEarnings } = require('../../utils/earnings');
+const { getTrainerAnalytics } = require('../../utils/analytics');
+const { recordAudit } = require('../../utils/auditLog');
+const { getPublishingEligibility } = require('../../utils/trainerOnboarding');
+const { getPagination, setPaginationHeaders } = require('../../utils/pagination');
+const {
+  VISIBLE_REVIEW_STATUS,
+  refreshReviewRatings,
+  findReviewableBooking
+} = require('../../utils/ratings');
 
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+const REVIEW_PAGE_SIZE = 10;
+const MAX_REVIEW_PAGE_SIZE = 50;
+
+const withLocalAvailability = (trainer, zone) => ({
+  ...trainer.toObject(),
+  localAvailability: trainer.profile.availability
+    .map(slot => convertWeeklySlot(slot, trainer.timezone, zone))
+    .filter(Boolean)
+    .map(slot => ({ ...slot, timezone: zone }))
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Starts or resumes Stripe Connect onboarding for the logged-in trainer
+router.post('/me/connect', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const link = await createConnectOnboardingLink(req.user.id);
+
+    res.json(link);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/me/connect', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const stripeConnect = await refreshConnectAccount(req.user.id);
+
+    if (!stripeConnect) {
+      return res.json({ connected: false });
+    }
+
+    res.json({ connected: true, ...stripeConnect.toObject() });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/me/earnings', [
+  auth,
+  checkTrainerRole,
+  check('from', 'From must be a valid date').optional().isISO8601().toDate(),
+  check('to', 'To must be a valid date').optional().isISO8601().toDate(),
+  check('period', `Period must be one of: ${EARNING_PERIODS.join(', ')}`).optional().isIn(EARNING_PERIODS)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 365 * DAY_MS);
+
+    if (to < from) {
+      return res.status(400).json({ msg: 'To must be after from' });
+    }
+
+    const earnings = await getTrainerEarnings(req.user.id, {
+      from,
+      to,
+      period: req.query.period
+    });
+
+    res.json(earnings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/me/analytics', [
+  auth,
+  checkTrainerRole,
+  check('from', 'From must be a valid date').optional().isISO8601().toDate(),
+  check('to', 'To must be a valid date').optional().isISO8601().toDate(),
+  check('period', `Period must be one of: ${EARNING_PERIODS.join(', ')}`).optional().isIn(EARNING_PERIODS),
+  check('classId', 'Class ID must be valid').optional().isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 90 * DAY_MS);
+
+    if (to < from) {
+      return res.status(400).json({ msg: 'To must be after from' });
+    }
+
+    if (req.query.classId) {
+      const classItem = await Class.findById(req.query.classId).select('trainer');
+
+      if (!classItem || classItem.trainer.toString() !== req.user.id) {
+        return res.status(404).json({ msg: 'Class not found' });
+      }
+    }
+
+    const analytics = await getTrainerAnalytics(req.user.id, {
+      from,
+      to,
+      period: req.query.period,
+      classId: req.query.classId
+    });
+
+    res.json(analytics);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/me/application', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const trainer = await User.findById(req.user.id).select('trainerApproval profile.certifications');
+
+    res.json({
+      status: trainer.trainerApproval?.status || 'pending',
+      submittedAt: trainer.trainerApproval?.submittedAt,
+      reviewedAt: trainer.trainerApproval?.reviewedAt,
+      note: trainer.trainerApproval?.note,
+      certifications: trainer.profile.certifications,
+      publishing: getPublishingEligibility(trainer)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Submits the application for review, or resubmits it after a rejection
+router.post('/me/application', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const trainer = await User.findById(req.user.id);
+
+    if (trainer.trainerApproval?.status === 'approved') {
+      return res.status(400).json({ msg: 'Your application has already been approved' });
+    }
+
+    if (!trainer.profile.certifications.some(certification => certification.document?.filename)) {
+      return res.status(400).json({ msg: 'Upload at least one certification before submitting your application' });
+    }
+
+    trainer.trainerApproval = {
+      status: 'pending',
+      submittedAt: Date.now()
+    };
+    await trainer.save();
+
+    res.json(trainer.trainerApproval);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/me/certifications', [
+  auth,
+  checkTrainerRole,
+  uploadCertificationDocument,
+  [
+    check('name', 'Certification name is required').not().isEmpty(),
+    check('issuingOrganization', 'Issuing organization is required').not().isEmpty(),
+    check('issueDate', 'Issue date must be a valid date').optional().isISO8601().toDate(),
+    check('expirationDate', 'Expiration date must be a valid date').optional().isISO8601().toDate()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ msg: 'A certification document is required' });
+  }
+
+  try {
+    const trainer = await User.findById(req.user.id);
+    const { name, issuingOrganization, issueDate, expirationDate } = req.body;
+
+    if (expirationDate && expirationDate <= new Date()) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ msg: 'This certification has already expired' });
+    }
+
+    trainer.profile.certifications.push({
+      name,
+      issuingOrganization,
+      issueDate,
+      expirationDate,
+      document: {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        uploadedAt: Date.now()
+      },
+      verificationStatus: 'pending'
+    });
+    await trainer.save();
+
+    res.json(trainer.profile.certifications[trainer.profile.certifications.length - 1]);
+  } catch (err) {
+    console.error(err.message);
+    fs.unlink(req.file.path, () => {});
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/me/certifications/:certId/document', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const trainer = await User.findById(req.user.id).select('profile.certifications');
+    const certification = trainer.profile.certifications.id(req.params.certId);
+
+    if (!certification || !certification.document?.filename) {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+
+    res.download(path.join(CERTIFICATION_DIR, certification.document.filename), certification.document.originalName);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.delete('/me/certifications/:certId', [auth, checkTrainerRole], async (req, res) => {
+  try {
+    const trainer = await User.findById(req.user.id);
+    const certification = trainer.profile.certifications.id(req.params.certId);
+
+    if (!certification) {
+      return res.status(404).json({ msg: 'Certification not found' });
+    }
+
+    const filename = certification.document?.filename;
+
+    certification.deleteOne();
+    await trainer.save();
+
+    if (filename) {
+      fs.unlink(path.join(CERTIFICATION_DIR, filename), err => {
+        if (err) console.error('Error removing certification document:', err.message);
+      });
+    }
+
+    res.json({ msg: 'Certification removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Certification not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.get('/', resolveTimezone, async (req, res) => {
   try {
     const { specialty, availability, rating } = req.query;
+
+    let requestedSlot = null;
+
+    // ?availability=<day>,<HH:MM> in the requester's zone
+    if (availability) {
+      const [day, startTime] = availability.split(',');
+
+      if (!normalizeDay(day) || !/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(startTime || '')) {
+        return res.status(400).json({ msg: 'Availability must be a weekday and a time, e.g. Monday,10:00' });
+      }
+
+      requestedSlot = { day, startTime, endTime: startTime };
+    }
     
     let query = { userType: 'trainer' };
     
@@ -22,35 +322,38 @@ router.get('/', async (req, res) => {
     }
     
     let trainers = await User.find(query)
-      .select('-password')
+      .select('-password -profile.certifications.document')
       .sort({ 'profile.rating': -1 });
     
-    if (availability) {
-      const [day, startTime] = availability.split(',');
-      trainers = trainers.filter(trainer => 
-        trainer.profile.availability.some(slot => 
-          slot.day === day && slot.startTime <= startTime && slot.endTime > startTime
-        )
-      );
+    if (requestedSlot) {
+      trainers = trainers.filter(trainer => {
+        const requested = convertWeeklySlot(requestedSlot, req.timezone, trainer.timezone);
+
+        return trainer.profile.availability.some(slot => 
+          normalizeDay(slot.day) === requested.day &&
+          toMinutes(slot.startTime) <= toMinutes(requested.startTime) &&
+          toMinutes(slot.endTime) > toMinutes(requested.startTime)
+        );
+      });
     }
     
-    res.json(trainers);
+    res.json(trainers.map(trainer => withLocalAvailability(trainer, req.timezone)));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', resolveTimezone, async (req, res) => {
   try {
     const trainer = await User.findById(req.params.id)
-      .select('-password');
+      .select('-password -profile.certifications.document');
     
     if (!trainer || trainer.userType !== 'trainer') {
       return res.status(404).json({ msg: 'Trainer not found' });
     }
     
-    res.json(trainer);
+    res.json(withLocalAvailability(trainer, req.timezone));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -60,7 +363,27 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.get('/:id/reviews', async (req, res) => {
+router.get('/:id/reviews', [
+  [
+    check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+    check('limit', `Limit must be between 1 and ${MAX_REVIEW_PAGE_SIZE}`)
+      .optional()
+      .isInt({ min: 1, max: MAX_REVIEW_PAGE_SIZE }),
+    check('sort', `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`)
+      .optional()
+      .isIn(Object.keys(REVIEW_SORTS)),
+    check('rating', 'Rating must be between 1-5').optional().isInt({ min: 1, max: 5 }),
+    check('classId', 'Class must be a valid class id or none')
+      .optional()
+      .if(check('classId').not().equals('none'))
+      .isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const trainer = await User.findById(req.params.id);
     
@@ -68,9 +391,36 @@ router.get('/:id/reviews', async (req, res) => {
       return res.status(404).json({ msg: 'Trainer not found' });
     }
     
-    const reviews = await Review.find({ trainerId: req.params.id })
-      .sort({ createdAt: -1 }); 
+    const filter = {
+      trainerId: req.params.id,
+      status: VISIBLE_REVIEW_STATUS
+    };
+
+    // ?classId= lists one class's reviews, ?classId=none only reviews of the trainer overall
+    if (req.query.classId) {
+      filter.class = req.query.classId === 'none' ? null : req.query.classId;
+    }
+
+    if (req.query.rating) {
+      filter.rating = parseInt(req.query.rating, 10);
+    }
+
+    const pagination = getPagination(req.query, {
+      defaultLimit: REVIEW_PAGE_SIZE,
+      maxLimit: MAX_REVIEW_PAGE_SIZE
+    });
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('-flags -moderation')
+        .populate('class', 'title')
+        .sort(REVIEW_SORTS[req.query.sort || 'recent'])
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Review.countDocuments(filter)
+    ]);
     
+    setPaginationHeaders(res, pagination, total);
     res.json(reviews);
   } catch (err) {
     console.error(err.message);
@@ -86,7 +436,8 @@ router.post('/:id/reviews', [
   [
     check('rating', 'Rating is required and must be between 1-5')
       .isInt({ min: 1, max: 5 }),
-    check('comment', 'Comment is required').not().isEmpty()
+    check('comment', 'Comment is required').not().isEmpty(),
+    check('classId', 'Class ID must be valid').optional().isMongoId()
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -106,26 +457,51 @@ router.post('/:id/reviews', [
     if (!trainer || trainer.userType !== 'trainer') {
       return res.status(404).json({ msg: 'Trainer not found' });
     }
-    
-    const { rating, comment } = req.body;
+
+    const { rating, comment, classId } = req.body;
+
+    if (classId) {
+      const classItem = await Class.findById(classId).select('trainer');
+
+      if (!classItem || classItem.trainer.toString() !== req.params.id) {
+        return res.status(404).json({ msg: 'Class not found' });
+      }
+    }
+
+    const eligibility = await findReviewableBooking(req.user.id, trainer._id, classId);
+
+    if (!eligibility) {
+      return res.status(403).json({
+        msg: classId
+          ? 'You can only review classes you have attended'
+          : 'You can only review trainers whose classes you have attended'
+      });
+    }
+
+    const alreadyReviewed = await Review.exists({
+      trainerId: trainer._id,
+      clientId: req.user.id,
+      class: classId || null
+    });
+
+    if (alreadyReviewed) {
+      return res.status(400).json({ msg: classId ? 'You have already reviewed this class' : 'You have already reviewed this trainer' });
+    }
     
     const newReview = new Review({
       trainerId: req.params.id,
       clientId: req.user.id,
       clientName: user.name,
+      class: classId,
+      booking: eligibility.booking._id,
+      verifiedAttendee: eligibility.verifiedAttendee,
       rating,
       comment
     });
     
     await newReview.save();
-    
-    const allReviews = await Review.find({ trainerId: req.params.id });
-    const averageRating = allReviews.reduce((acc, review) => acc + review.rating, 0) / allReviews.length;
-    
-    trainer.profile.rating = averageRating;
-    trainer.profile.reviewCount = allReviews.length;
-    
-    await trainer.save();
+
+    await refreshReviewRatings(newReview);
     
     res.json(newReview);
   } catch (err) {
@@ -173,4 +549,203 @@ router.put('/reviews/:reviewId/respond', [
   }
 });
 
+// Flagged reviews first, oldest flag first; ?status=hidden lists what has already been taken down
+router.get('/reviews/moderation', [auth, requirePermission('reviews:moderate')], async (req, res) => {
+  try {
+    const status = req.query.status || 'flagged';
+
+    if (!['flagged', 'hidden'].includes(status)) {
+      return res.status(400).json({ msg: 'Status must be flagged or hidden' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const reviews = await Review.find({ status })
+      .populate('trainerId', 'name email')
+      .populate('clientId', 'name email')
+      .populate('class', 'title')
+      .populate('flags.flaggedBy', 'name')
+      .sort({ updatedAt: 1 })
+      .limit(limit);
+
+    res.json(reviews);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/reviews/:reviewId/moderation', [
+  auth,
+  requirePermission('reviews:moderate'),
+  [
+    check('action', 'Action must be hide or restore').isIn(['hide', 'restore']),
+    check('note', 'Note must be text').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+
+    const { action, note } = req.body;
+    const wasHidden = review.status === 'hidden';
+
+    review.status = action === 'hide' ? 'hidden' : 'published';
+    review.moderation = {
+      moderatedBy: req.user.id,
+      action,
+      note,
+      moderatedAt: Date.now()
+    };
+
+    await review.save();
+
+    if (wasHidden !== (review.status === 'hidden')) {
+      await refreshReviewRatings(review);
+    }
+
+    await recordAudit(req, `review.${action}`, {
+      targetType: 'Review',
+      targetId: review._id,
+      details: { note }
+    });
+
+    res.json(review);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.put('/reviews/:reviewId', [
+  auth,
+  [
+    check('rating', 'Rating must be between 1-5').optional().isInt({ min: 1, max: 5 }),
+    check('comment', 'Comment cannot be empty').optional().not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+
+    if (review.clientId.toString() !== req.user.id) {
+      return res.status(401).json({ msg: 'Not authorized to edit this review' });
+    }
+
+    const { rating, comment } = req.body;
+    const ratingChanged = rating !== undefined && Number(rating) !== review.rating;
+
+    if (rating !== undefined) review.rating = rating;
+    if (comment !== undefined) review.comment = comment;
+    review.editedAt = Date.now();
+
+    await review.save();
+
+    if (ratingChanged) {
+      await refreshReviewRatings(review);
+    }
+
+    res.json(review);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.delete('/reviews/:reviewId', auth, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+
+    if (review.clientId.toString() !== req.user.id && req.user.userType !== 'admin') {
+      return res.status(401).json({ msg: 'Not authorized to delete this review' });
+    }
+
+    await review.deleteOne();
+    await refreshReviewRatings(review);
+
+    if (req.user.userType === 'admin') {
+      await recordAudit(req, 'review.delete', {
+        targetType: 'Review',
+        targetId: review._id,
+        details: { trainerId: review.trainerId, clientId: review.clientId, rating: review.rating }
+      });
+    }
+
+    res.json({ msg: 'Review removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/reviews/:reviewId/flag', [
+  auth,
+  checkTrainerRole,
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+
+    if (review.trainerId.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Unauthorized: Trainers can only flag their own reviews' });
+    }
+
+    if (review.status !== 'published') {
+      return res.status(400).json({ msg: `Review is already ${review.status}` });
+    }
+
+    review.flags.push({ flaggedBy: req.user.id, reason: req.body.reason });
+    review.status = 'flagged';
+    await review.save();
+
+    res.json(review);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Review not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
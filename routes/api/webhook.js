@@ -1,7 +1,12 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const checkAdminRole = require('../../middleware/admin');
+const WebhookEvent = require('../../models/WebhookEvent');
 const Payment = require('../../models/Payment');
-const Booking = require('../../models/Booking');
+const paymentProvider = require('../../utils/paymentProviders');
+const { toMinorUnits } = require('../../utils/currency');
+const { processEvent, retryEvent } = require('../../utils/webhookService');
 
 const router = express.Router();
 
@@ -13,11 +18,7 @@ const stripeWebhookHandler = async (req, res) => {
   try {
     console.log('Processing webhook with signature:', signature?.substring(0, 20) + '...');
     
-    event = stripe.webhooks.constructEvent(
-      req.body, 
-      signature,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    event = paymentProvider.constructWebhookEvent(req.body, signature);
     
     console.log('Webhook verified successfully:', event.type);
   } catch (err) {
@@ -25,95 +26,145 @@ const stripeWebhookHandler = async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
   
-  switch (event.type) {
-    case 'payment_intent.succeeded': {
-      const paymentIntent = event.data.object;
-      console.log('Processing payment_intent.succeeded:', paymentIntent.id);
-      
-      try {
-        const payment = await Payment.findOne({ 
-          transactionId: paymentIntent.id 
-        });
-        
-        if (payment) {
-          payment.status = 'completed';
-          payment.receiptUrl = paymentIntent.charges?.data[0]?.receipt_url || null;
-          await payment.save();
-          
-          await Booking.findByIdAndUpdate(payment.booking, { 
-            paymentStatus: 'paid' 
-          });
-          
-          console.log(`Payment ${payment._id} marked as completed via webhook`);
-        } else {
-          console.log(`Payment record not found for intent: ${paymentIntent.id}`);
-        }
-      } catch (error) {
-        console.error('Error processing payment success webhook:', error);
-      }
-      break;
+  await respondToEvent(event, res);
+};
+
+const respondToEvent = async (event, res) => {
+  try {
+    const record = await processEvent(event);
+
+    if (!record) {
+      console.log(`Skipping duplicate webhook delivery: ${event.id}`);
+      return res.status(200).json({ received: true, duplicate: true });
     }
-    
-    case 'payment_intent.payment_failed': {
-      const paymentIntent = event.data.object;
-      console.log('Processing payment_intent.payment_failed:', paymentIntent.id);
-      
-      try {
-        const payment = await Payment.findOne({ 
-          transactionId: paymentIntent.id 
-        });
-        
-        if (payment) {
-          payment.status = 'failed';
-          payment.notes = paymentIntent.last_payment_error?.message || 'Payment failed';
-          await payment.save();
-          
-          console.log(`Payment ${payment._id} marked as failed via webhook`);
-        } else {
-          console.log(`Payment record not found for failed intent: ${paymentIntent.id}`);
-        }
-      } catch (error) {
-        console.error('Error processing payment failure webhook:', error);
-      }
-      break;
+
+    res.status(200).json({ received: true, status: record.status });
+  } catch (err) {
+    // A non-2xx response makes Stripe retry the delivery
+    res.status(500).json({ received: false, error: err.message });
+  }
+};
+
+router.post('/stripe', express.raw({type: 'application/json'}), stripeWebhookHandler);
+
+// With the fake provider, payment outcomes are triggered by hand and delivered through the same handler
+if (paymentProvider.name === 'fake') {
+  const SIMULATIONS = {
+    succeeded: (payment) => paymentProvider.simulatePaymentSuccess(payment.transactionId),
+    failed: (payment, req) => paymentProvider.simulatePaymentFailure(payment.transactionId, req.body.message),
+    refunded: (payment, req) => paymentProvider.simulateRefund(
+      payment.transactionId,
+      req.body.amount !== undefined ? toMinorUnits(req.body.amount, payment.currency) : undefined
+    )
+  };
+
+  router.post('/simulate', [
+    auth,
+    check('paymentId', 'Payment ID is required').not().isEmpty(),
+    check('outcome', `Outcome must be one of: ${Object.keys(SIMULATIONS).join(', ')}`).isIn(Object.keys(SIMULATIONS)),
+    check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 })
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    
-    case 'charge.refunded': {
-      const charge = event.data.object;
-      console.log('Processing charge.refunded for payment intent:', charge.payment_intent);
-      
-      try {
-        const payment = await Payment.findOne({
-          transactionId: charge.payment_intent
-        });
-        
-        if (payment) {
-          payment.status = 'refunded';
-          payment.notes = `Refunded via Stripe on ${new Date().toISOString()}`;
-          await payment.save();
-          
-          await Booking.findByIdAndUpdate(payment.booking, { 
-            paymentStatus: 'refunded' 
-          });
-          
-          console.log(`Payment ${payment._id} marked as refunded via webhook`);
-        } else {
-          console.log(`Payment record not found for refund of intent: ${charge.payment_intent}`);
-        }
-      } catch (error) {
-        console.error('Error processing refund webhook:', error);
+
+    try {
+      const payment = await Payment.findById(req.body.paymentId);
+
+      if (!payment) {
+        return res.status(404).json({ msg: 'Payment not found' });
       }
-      break;
+
+      if (payment.user.toString() !== req.user.id && req.user.userType !== 'admin') {
+        return res.status(401).json({ msg: 'Not authorized to simulate this payment' });
+      }
+
+      const delivery = await SIMULATIONS[req.body.outcome](payment, req);
+      const event = paymentProvider.constructWebhookEvent(delivery.payload, delivery.signature);
+
+      await respondToEvent(event, res);
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: 'Payment not found' });
+      }
+      res.status(400).json({ msg: err.message });
     }
-    
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  });
+}
+
+router.get('/events', [auth, checkAdminRole], async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const events = await WebhookEvent.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(events);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
   }
-  
-  res.status(200).json({received: true});
-};
+});
 
-router.post('/stripe', express.raw({type: 'application/json'}), stripeWebhookHandler);
+router.get('/events/:id', [auth, checkAdminRole], async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ msg: 'Webhook event not found' });
+    }
+
+    res.json(event);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Webhook event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+router.post('/events/:id/retry', [auth, checkAdminRole], async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id).select('status');
+
+    if (!event) {
+      return res.status(404).json({ msg: 'Webhook event not found' });
+    }
+
+    if (event.status !== 'failed') {
+      return res.status(400).json({ msg: `Only failed events can be retried, this one is ${event.status}` });
+    }
+
+    let record;
+    try {
+      record = await retryEvent(event._id);
+    } catch (error) {
+      return res.status(502).json({ msg: 'Webhook event failed again', error: error.message });
+    }
+
+    if (!record) {
+      return res.status(409).json({ msg: 'Webhook event is already being retried' });
+    }
+
+    res.json(record);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Webhook event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
 
 module.exports = router;
-module.exports.stripe = stripeWebhookHandler;
\ No newline at end of file
+module.exports.stripe = stripeWebhookHandler;
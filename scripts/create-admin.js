@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Creates the first admin account, or promotes an existing user to admin.
+ *
+ *   ADMIN_PASSWORD=... npm run create-admin -- --email ops@example.com --name "Ops"
+ *   npm run create-admin -- --email someone@example.com --promote
+ *
+ * Without ADMIN_PASSWORD a random password is generated and printed once.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--promote') {
+      args.promote = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+
+  return args;
+};
+
+const createAdmin = async ({ email, name, promote }) => {
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    if (!promote) {
+      throw new Error(`A user with email ${email} already exists; pass --promote to make them an admin`);
+    }
+
+    existing.userType = 'admin';
+    existing.isActive = true;
+    // Access tokens carry the old userType, so sign them out to pick up the new role
+    existing.tokenVersion += 1;
+    await existing.save();
+
+    console.log(`Promoted ${email} to admin`);
+    return;
+  }
+
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  if (password.length < 8) {
+    throw new Error('ADMIN_PASSWORD must be at least 8 characters');
+  }
+
+  const salt = await bcrypt.genSalt(10);
+
+  await User.create({
+    name: name || 'Administrator',
+    email,
+    password: await bcrypt.hash(password, salt),
+    userType: 'admin',
+    isVerified: true,
+    verifiedAt: Date.now()
+  });
+
+  console.log(`Created admin ${email}`);
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`Generated password: ${password}`);
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.email) {
+    console.error('Usage: npm run create-admin -- --email <email> [--name <name>] [--promote]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    await createAdmin(args);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
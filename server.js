@@ -1,5 +1,7 @@
 const app = require('./app');
+const { startCertificationExpiryChecks } = require('./utils/trainerOnboarding');
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+startCertificationExpiryChecks();
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { newId, newUser, query, signIn, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const Payment = require('../models/Payment');
+const Class = require('../models/Class');
+const { getTrainerAnalytics } = require('../utils/analytics');
+const router = require('../routes/api/trainers');
+
+const FROM = new Date('2027-01-01T00:00:00Z');
+const TO = new Date('2027-03-31T00:00:00Z');
+
+// Grouped rows as MongoDB would return them for each of the booking pipelines
+const stubBookingRows = (t, { perClass = [], rates = [], repeat = [], slots = [] }) =>
+  t.mock.method(Booking, 'aggregate', async ([{ $match }, second]) => {
+    if ($match.status && $match.status.$ne) return repeat;
+    if ($match.status && $match.status.$in) return slots;
+    return second.$group._id === '$class' ? perClass : rates;
+  });
+
+const stubAnalytics = (t, rows = {}) => {
+  stubBookingRows(t, rows);
+  t.mock.method(Review, 'aggregate', async () => rows.ratings || []);
+  t.mock.method(Payment, 'aggregate', async () => []);
+};
+
+test('cancellation rates use every booking and attendance rates only those with attendance recorded', async (t) => {
+  stubAnalytics(t, {
+    rates: [{
+      total: 20,
+      cancelled: 4,
+      cancelledByClient: 3,
+      cancelledByTrainer: 1,
+      attendanceRecorded: 10,
+      attended: 6,
+      late: 2,
+      noShows: 2
+    }],
+    repeat: [{ clients: 8, repeatClients: 3 }]
+  });
+
+  const { rates, repeatClients } = await getTrainerAnalytics(newId(), { from: FROM, to: TO });
+
+  assert.deepStrictEqual(rates, {
+    bookings: 20,
+    cancellationRate: 0.2,
+    clientCancellationRate: 0.15,
+    trainerCancellationRate: 0.05,
+    attendanceRecorded: 10,
+    attendanceRate: 0.8,
+    lateRate: 0.2,
+    noShowRate: 0.2
+  });
+  assert.deepStrictEqual(repeatClients, { clients: 8, repeatClients: 3, repeatClientRate: 0.375 });
+});
+
+test('a trainer without bookings or reviews gets zero rates rather than errors', async (t) => {
+  stubAnalytics(t);
+
+  const analytics = await getTrainerAnalytics(newId(), { from: FROM, to: TO });
+
+  assert.strictEqual(analytics.rates.bookings, 0);
+  assert.strictEqual(analytics.rates.cancellationRate, 0);
+  assert.strictEqual(analytics.rates.noShowRate, 0);
+  assert.strictEqual(analytics.repeatClients.repeatClientRate, 0);
+  assert.deepStrictEqual(analytics.ratings, { averageRating: null, reviews: 0, trend: [] });
+  assert.deepStrictEqual(analytics.busiestSlots, []);
+  assert.strictEqual(analytics.classId, null);
+});
+
+test('busiest slots are named by weekday and ratings are averaged across periods by review count', async (t) => {
+  stubAnalytics(t, {
+    slots: [
+      { dayOfWeek: 1, startTime: '10:00', timezone: 'UTC', bookings: 7, sessions: 2 },
+      { dayOfWeek: 7, startTime: '09:00', timezone: 'UTC', bookings: 3, sessions: 3 }
+    ],
+    ratings: [
+      { _id: new Date('2027-01-01T00:00:00Z'), averageRating: 4, reviews: 3 },
+      { _id: new Date('2027-02-01T00:00:00Z'), averageRating: 4.666666, reviews: 1 }
+    ]
+  });
+
+  const { busiestSlots, ratings } = await getTrainerAnalytics(newId(), { from: FROM, to: TO });
+
+  assert.deepStrictEqual(busiestSlots.map(slot => [slot.day, slot.startTime, slot.averagePerSession]), [
+    ['Sunday', '10:00', 3.5],
+    ['Saturday', '09:00', 1]
+  ]);
+  assert.strictEqual(ratings.averageRating, 4.17);
+  assert.strictEqual(ratings.reviews, 4);
+  assert.deepStrictEqual(ratings.trend.map(period => period.averageRating), [4, 4.67]);
+});
+
+test('analytics for another trainer\'s class are refused', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const [token] = signIn(t, trainer);
+  stubAnalytics(t);
+  t.mock.method(Class, 'findById', () => query({ _id: newId(), trainer: newId() }));
+
+  const res = await request(router, 'GET', `/me/analytics?classId=${newId()}`, { token });
+
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.msg, 'Class not found');
+});
+
+test('analytics can be narrowed to one of the trainer\'s own classes', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const [token] = signIn(t, trainer);
+  const classId = newId();
+  stubAnalytics(t);
+  t.mock.method(Class, 'findById', () => query({ _id: classId, trainer: trainer._id }));
+
+  const res = await request(router, 'GET', `/me/analytics?classId=${classId}&from=2027-01-01&to=2027-03-31`, { token });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.classId, classId.toString());
+  assert.strictEqual(res.body.from, FROM.toISOString());
+});
+
+test('a date range ending before it starts is refused', async (t) => {
+  const [token] = signIn(t, newUser(t, { userType: 'trainer' }));
+  stubAnalytics(t);
+
+  const res = await request(router, 'GET', '/me/analytics?from=2027-03-01&to=2027-01-01', { token });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.msg, 'To must be after from');
+});
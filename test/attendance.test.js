@@ -0,0 +1,186 @@
+const { newId, build, newUser, query, signIn, captureEmails, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const router = require('../routes/api/bookings');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// A confirmed one-hour booking starting the given number of minutes from now, among earlier bookings
+// of the same client that Booking.findOne, exists and countDocuments search in memory
+const stubAttendance = (t, { startsIn = 5, noShows = 0 } = {}) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const client = newUser(t, { name: 'Sam Client', email: 'sam@example.com' });
+  const otherTrainer = newUser(t, { userType: 'trainer' });
+  const tokens = signIn(t, client, trainer, otherTrainer);
+
+  const startAt = new Date(Date.now() + startsIn * MINUTE_MS);
+  const booking = build(t, Booking, {
+    user: client._id,
+    trainer: trainer._id,
+    class: newId(),
+    session: newId(),
+    date: startAt,
+    startTime: '09:00',
+    endTime: '10:00',
+    timezone: 'UTC',
+    startAt,
+    endAt: new Date(startAt.getTime() + 60 * MINUTE_MS),
+    status: 'confirmed'
+  });
+  const bookings = [
+    booking,
+    ...Array.from({ length: noShows }, () => ({
+      user: client._id,
+      attendance: { status: 'no_show' },
+      startAt: new Date(Date.now() - 7 * DAY_MS)
+    }))
+  ];
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+    key === 'attendance.status' ? doc.attendance && doc.attendance.status === value
+      : key === 'startAt' ? doc.startAt >= value.$gte
+        : String(doc[key]) === String(value)
+  );
+
+  t.mock.method(Booking, 'findById', () => query(booking));
+  t.mock.method(Booking, 'findOne', (filter) => query(bookings.find(doc => matches(doc, filter)) || null));
+  t.mock.method(Booking, 'exists', async (filter) => bookings.some(doc => matches(doc, filter)));
+  t.mock.method(Booking, 'countDocuments', async (filter) => bookings.filter(doc => matches(doc, filter)).length);
+
+  const [clientToken, trainerToken, otherTrainerToken] = tokens;
+  return { booking, client, clientToken, trainerToken, otherTrainerToken };
+};
+
+const getCheckIn = async (booking, token) => {
+  const res = await request(router, 'GET', `/${booking._id}/check-in`, { token });
+  assert.strictEqual(res.status, 200);
+  return res.body;
+};
+
+test('clients get one six digit code per booking, which the trainer checks them in with', async (t) => {
+  const { booking, trainerToken, clientToken } = stubAttendance(t);
+
+  const { code } = await getCheckIn(booking, clientToken);
+  assert.match(code, /^\d{6}$/);
+  assert.strictEqual((await getCheckIn(booking, clientToken)).code, code);
+
+  const res = await request(router, 'POST', '/trainer/check-in', {
+    token: trainerToken,
+    body: { code, sessionId: booking.session.toString() }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(booking.attendance.status, 'attended');
+  assert.strictEqual(booking.attendance.method, 'code');
+});
+
+test('a wrong code, or another session\'s code, does not check anyone in', async (t) => {
+  const { booking, trainerToken, clientToken } = stubAttendance(t);
+  const { code } = await getCheckIn(booking, clientToken);
+  const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  const wrongCode = await request(router, 'POST', '/trainer/check-in', {
+    token: trainerToken,
+    body: { code: wrong, sessionId: booking.session.toString() }
+  });
+  const wrongSession = await request(router, 'POST', '/trainer/check-in', {
+    token: trainerToken,
+    body: { code, sessionId: newId().toString() }
+  });
+
+  assert.strictEqual(wrongCode.status, 404);
+  assert.strictEqual(wrongSession.status, 404);
+  assert.strictEqual(wrongSession.body.code, 'INVALID_CHECK_IN');
+  assert.strictEqual(booking.attendance.status, undefined);
+});
+
+test('QR tokens check clients in only for their own trainer and never work as a login', async (t) => {
+  const { booking, trainerToken, otherTrainerToken, clientToken } = stubAttendance(t);
+  const { token } = await getCheckIn(booking, clientToken);
+
+  const asLogin = await request(router, 'GET', `/${booking._id}/check-in`, { token });
+  assert.strictEqual(asLogin.status, 401);
+
+  const loginAsQr = await request(router, 'POST', '/trainer/check-in', { token: trainerToken, body: { token: clientToken } });
+  assert.strictEqual(loginAsQr.status, 400);
+  assert.strictEqual(loginAsQr.body.code, 'INVALID_CHECK_IN');
+
+  const otherTrainer = await request(router, 'POST', '/trainer/check-in', { token: otherTrainerToken, body: { token } });
+  assert.strictEqual(otherTrainer.status, 404);
+  assert.strictEqual(booking.attendance.status, undefined);
+
+  const res = await request(router, 'POST', '/trainer/check-in', { token: trainerToken, body: { token } });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(booking.attendance.method, 'token');
+});
+
+test('check-in opens shortly before the session starts', async (t) => {
+  const { booking, clientToken, trainerToken } = stubAttendance(t, { startsIn: 120 });
+  const { code } = await getCheckIn(booking, clientToken);
+
+  const res = await request(router, 'POST', '/trainer/check-in', {
+    token: trainerToken,
+    body: { code, sessionId: booking.session.toString() }
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'CHECK_IN_NOT_OPEN');
+  assert.strictEqual(booking.attendance.status, undefined);
+});
+
+test('clients checking in well after the start are marked late', async (t) => {
+  const { booking, clientToken, trainerToken } = stubAttendance(t, { startsIn: -20 });
+  const { code } = await getCheckIn(booking, clientToken);
+
+  const res = await request(router, 'POST', '/trainer/check-in', {
+    token: trainerToken,
+    body: { code, sessionId: booking.session.toString() }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(booking.attendance.status, 'late');
+});
+
+test('no-shows can only be recorded once the session has started', async (t) => {
+  const { booking, trainerToken } = stubAttendance(t, { startsIn: 5 });
+
+  const res = await request(router, 'PUT', `/trainer/${booking._id}/attendance`, {
+    token: trainerToken,
+    body: { status: 'no_show' }
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'SESSION_NOT_STARTED');
+});
+
+test('a third recent no-show pauses new bookings, and correcting it lifts the pause', async (t) => {
+  const { booking, client, clientToken, trainerToken } = stubAttendance(t, { startsIn: -5, noShows: 2 });
+  const sent = captureEmails(t);
+
+  const marked = await request(router, 'PUT', `/trainer/${booking._id}/attendance`, {
+    token: trainerToken,
+    body: { status: 'no_show' }
+  });
+
+  assert.strictEqual(marked.status, 200);
+  assert.ok(client.noShowRestrictedUntil > new Date(Date.now() + 13 * DAY_MS));
+  assert.deepStrictEqual(sent.map(mail => mail.to), ['sam@example.com']);
+
+  const refused = await request(router, 'POST', '/', {
+    token: clientToken,
+    body: { sessionId: newId().toString() }
+  });
+
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.code, 'BOOKING_RESTRICTED');
+
+  await request(router, 'PUT', `/trainer/${booking._id}/attendance`, {
+    token: trainerToken,
+    body: { status: 'attended' }
+  });
+
+  assert.strictEqual(client.noShowRestrictedUntil, undefined);
+  assert.strictEqual(sent.length, 1);
+});
@@ -0,0 +1,89 @@
+const { newUser, query } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { signAccessToken } = require('../utils/tokens');
+const { createVerificationToken } = require('../utils/emailVerification');
+const { createLoginChallenge } = require('../utils/twoFactor');
+
+const run = async (token) => {
+  const result = { next: false, status: null, body: null, user: null };
+  const req = { header: () => token };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+
+  await auth(req, res, () => {
+    result.next = true;
+    result.user = req.user;
+  });
+
+  return result;
+};
+
+test('access tokens for the current token version are accepted', async (t) => {
+  const user = newUser(t, { tokenVersion: 2 });
+  t.mock.method(User, 'findById', () => query(user));
+
+  const result = await run(signAccessToken(user));
+
+  assert.strictEqual(result.next, true);
+  assert.strictEqual(result.user.id, user.id);
+  assert.strictEqual(result.user.userType, 'client');
+});
+
+test('access tokens issued before the token version was bumped are revoked', async (t) => {
+  const user = newUser(t, { tokenVersion: 2 });
+  const token = signAccessToken(user);
+  user.tokenVersion = 3;
+  t.mock.method(User, 'findById', () => query(user));
+
+  const result = await run(token);
+
+  assert.strictEqual(result.next, false);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.body.msg, 'Token has been revoked');
+});
+
+test('access tokens of deactivated users are revoked', async (t) => {
+  const user = newUser(t, { isActive: false });
+  t.mock.method(User, 'findById', () => query(user));
+
+  assert.strictEqual((await run(signAccessToken(user))).status, 401);
+});
+
+test('missing and invalid tokens are refused', async () => {
+  assert.strictEqual((await run(undefined)).body.msg, 'No token, authorization denied');
+  assert.strictEqual((await run('not-a-token')).body.msg, 'Token is not valid');
+});
+
+test('email verification and 2FA challenge tokens are not access tokens', async (t) => {
+  const user = newUser(t);
+  t.mock.method(User, 'findById', () => query(user));
+
+  for (const token of [createVerificationToken(user), createLoginChallenge(user)]) {
+    const result = await run(token);
+
+    assert.strictEqual(result.next, false);
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.body.msg, 'Token is not valid');
+  }
+});
+
+test('tokens without a purpose are refused', async (t) => {
+  const user = newUser(t);
+  t.mock.method(User, 'findById', () => query(user));
+
+  const token = jwt.sign({ user: { id: user.id, tokenVersion: 0 } }, process.env.JWT_SECRET);
+
+  assert.strictEqual((await run(token)).status, 401);
+});
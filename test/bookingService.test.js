@@ -0,0 +1,322 @@
+const { newId, build, query, stubSeats, captureEmails } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const nodemailer = require('nodemailer');
+const paymentProvider = require('../utils/paymentProviders');
+const Booking = require('../models/Booking');
+const Session = require('../models/Session');
+const Class = require('../models/Class');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const Membership = require('../models/Membership');
+const { getWaitlistPosition, promoteFromWaitlist, cancelBooking } = require('../utils/bookingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const newBooking = (t, fields) => build(t, Booking, {
+  user: newId(),
+  class: newId(),
+  trainer: newId(),
+  session: newId(),
+  date: new Date('2026-03-02'),
+  startTime: '10:00',
+  endTime: '11:00',
+  startAt: new Date(Date.now() + 72 * HOUR_MS),
+  status: 'confirmed',
+  ...fields
+});
+
+// A waitlisted booking, with its user populated, that joined the waitlist the given minutes ago
+const waitlisted = (minutesAgo, fields) => {
+  const booking = {
+    _id: newId(),
+    user: { name: 'Alex', email: 'alex@example.com' },
+    date: new Date('2026-03-02'),
+    startTime: '10:00',
+    status: 'waitlisted',
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+    ...fields
+  };
+  booking.save = async () => booking;
+  return booking;
+};
+
+// A session with the given seats booked and waitlist, whose class has the given cancellation policy.
+// The client's credit packs and memberships are plain objects whose balances change as they are used
+// or given back, and every credit movement is recorded in the returned ledger.
+const stubStudio = (t, { capacity = 2, booked = 0, status = 'scheduled', waiting = [], policy = [], packs = [], memberships = [] } = {}) => {
+  const session = {
+    _id: newId(),
+    capacity,
+    bookedSeats: booked,
+    status,
+    class: { title: 'Morning Flow', type: 'yoga', trainer: newId() }
+  };
+  const ledger = [];
+  const sent = captureEmails(t);
+
+  stubSeats(t, session);
+  t.mock.method(Session, 'findById', () => query(session));
+  t.mock.method(Class, 'findById', () => query({ cancellationPolicy: policy }));
+
+  t.mock.method(Booking, 'countDocuments', async (filter) => waiting
+    .filter(booking => booking.status === filter.status && booking.createdAt < filter.createdAt.$lt).length);
+  t.mock.method(Booking, 'findOneAndUpdate', (filter, update) => {
+    const [next] = waiting
+      .filter(booking => booking.status === filter.status)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    if (next) Object.assign(next, update);
+    return query(next || null);
+  });
+
+  t.mock.method(CreditPack, 'find', () => query(packs.filter(pack => pack.creditsRemaining > 0)));
+  t.mock.method(CreditPack, 'findOneAndUpdate', async (filter, update) => {
+    const pack = packs.find(p => p._id.equals(filter._id));
+    if (!pack || (filter.creditsRemaining && pack.creditsRemaining <= 0)) return null;
+    pack.creditsRemaining += update.$inc.creditsRemaining;
+    return pack;
+  });
+  t.mock.method(CreditTransaction, 'create', async (entry) => ledger.push(entry));
+
+  t.mock.method(Membership, 'find', () => query(memberships));
+  t.mock.method(Membership, 'findOneAndUpdate', async (filter) => {
+    const membership = memberships.find(m => m._id.equals(filter._id) && m.bookingsUsed < m.bookingLimit);
+    if (membership) membership.bookingsUsed += 1;
+    return membership || null;
+  });
+  t.mock.method(Membership, 'updateOne', async (filter) => {
+    const membership = memberships.find(m => m._id.equals(filter._id) && m.bookingsUsed > 0);
+    if (membership) membership.bookingsUsed -= 1;
+    return { modifiedCount: membership ? 1 : 0 };
+  });
+
+  return { session, ledger, sent };
+};
+
+test('waitlist positions count the bookings waitlisted earlier', async (t) => {
+  const bookings = [waitlisted(30), waitlisted(20), waitlisted(10)];
+  const { session } = stubStudio(t, { booked: 2, waiting: bookings });
+  const last = newBooking(t, { session: session._id, status: 'waitlisted', createdAt: bookings[2].createdAt });
+
+  assert.strictEqual(await getWaitlistPosition(last), 3);
+  assert.strictEqual(await getWaitlistPosition(newBooking(t, { session: session._id, status: 'confirmed' })), null);
+});
+
+test('a free seat moves the longest waiting booking off the waitlist', async (t) => {
+  const later = waitlisted(5);
+  const earlier = waitlisted(60, { user: { name: 'Jo', email: 'jo@example.com' } });
+  const { session, sent } = stubStudio(t, { booked: 1, waiting: [later, earlier] });
+
+  assert.strictEqual(await promoteFromWaitlist(session._id), earlier);
+
+  assert.strictEqual(earlier.status, 'pending');
+  assert.strictEqual(later.status, 'waitlisted');
+  assert.strictEqual(session.bookedSeats, 2);
+  assert.deepStrictEqual(sent.map(mail => mail.to), ['jo@example.com']);
+});
+
+test('the seat is given back when nobody is waiting for it', async (t) => {
+  const { session } = stubStudio(t, { booked: 1 });
+
+  assert.strictEqual(await promoteFromWaitlist(session._id), null);
+  assert.strictEqual(session.bookedSeats, 1);
+});
+
+test('waitlisted bookings paid with a credit are confirmed when promoted', async (t) => {
+  const next = waitlisted(10, { creditPack: newId() });
+  const { session } = stubStudio(t, { booked: 1, waiting: [next] });
+
+  await promoteFromWaitlist(session._id);
+
+  assert.strictEqual(next.status, 'confirmed');
+});
+
+test('waitlisted bookings covered by a membership are confirmed when promoted', async (t) => {
+  const next = waitlisted(10, { membership: newId(), paymentStatus: 'paid' });
+  const { session } = stubStudio(t, { booked: 1, waiting: [next] });
+
+  await promoteFromWaitlist(session._id);
+
+  assert.strictEqual(next.status, 'confirmed');
+  assert.strictEqual(next.paymentStatus, 'paid');
+});
+
+test('waitlisted bookings take a credit only once they are promoted', async (t) => {
+  const pack = { _id: newId(), creditsRemaining: 3 };
+  const next = waitlisted(10, { payWithCredit: true, paymentStatus: 'unpaid' });
+  const { session, ledger } = stubStudio(t, { booked: 1, waiting: [next], packs: [pack] });
+
+  await promoteFromWaitlist(session._id);
+
+  assert.strictEqual(pack.creditsRemaining, 2);
+  assert.strictEqual(next.creditPack, pack._id);
+  assert.strictEqual(next.paymentStatus, 'paid');
+  assert.strictEqual(next.status, 'confirmed');
+  assert.deepStrictEqual(ledger.map(entry => [entry.type, entry.amount]), [['booking', -1]]);
+});
+
+test('waitlisted bookings use a membership once they are promoted', async (t) => {
+  const membership = { _id: newId(), bookingsUsed: 0, bookingLimit: 4 };
+  const next = waitlisted(10, { paymentStatus: 'unpaid' });
+  const { session } = stubStudio(t, { booked: 1, waiting: [next], memberships: [membership] });
+
+  await promoteFromWaitlist(session._id);
+
+  assert.strictEqual(membership.bookingsUsed, 1);
+  assert.strictEqual(next.membership, membership._id);
+  assert.strictEqual(next.status, 'confirmed');
+});
+
+test('promoted bookings whose credits ran out wait for payment', async (t) => {
+  const pack = { _id: newId(), creditsRemaining: 0 };
+  const next = waitlisted(10, { payWithCredit: true, paymentStatus: 'unpaid' });
+  const { session } = stubStudio(t, { booked: 1, waiting: [next], packs: [pack] });
+
+  await promoteFromWaitlist(session._id);
+
+  assert.strictEqual(next.creditPack, undefined);
+  assert.strictEqual(next.paymentStatus, 'unpaid');
+  assert.strictEqual(next.status, 'pending');
+});
+
+test('waitlisted bookings that still need paying stay pending when promoted', async (t) => {
+  const next = waitlisted(10, { paymentStatus: 'unpaid' });
+  const { session } = stubStudio(t, { booked: 1, waiting: [next] });
+
+  await promoteFromWaitlist(session._id);
+
+  assert.strictEqual(next.status, 'pending');
+});
+
+test('nobody is promoted into a full session', async (t) => {
+  const next = waitlisted(10);
+  const { session } = stubStudio(t, { booked: 2, waiting: [next] });
+
+  assert.strictEqual(await promoteFromWaitlist(session._id), null);
+  assert.strictEqual(next.status, 'waitlisted');
+  assert.strictEqual(session.bookedSeats, 2);
+});
+
+test('nobody is promoted into a cancelled session', async (t) => {
+  const next = waitlisted(10);
+  const { session } = stubStudio(t, { booked: 0, status: 'cancelled', waiting: [next] });
+
+  assert.strictEqual(await promoteFromWaitlist(session._id), null);
+  assert.strictEqual(next.status, 'waitlisted');
+  assert.strictEqual(session.bookedSeats, 0);
+});
+
+test('a failed promotion email does not undo the promotion', async (t) => {
+  const next = waitlisted(10);
+  const { session } = stubStudio(t, { booked: 0, waiting: [next] });
+  t.mock.method(nodemailer, 'createTransport', () => ({
+    sendMail: async () => {
+      throw new Error('SMTP down');
+    }
+  }));
+  t.mock.method(console, 'error', () => {});
+
+  assert.strictEqual(await promoteFromWaitlist(session._id), next);
+  assert.strictEqual(next.status, 'pending');
+});
+
+test('cancelling a seat in a full session hands it to the next booking on the waitlist', async (t) => {
+  const next = waitlisted(10);
+  const { session } = stubStudio(t, { booked: 2, waiting: [next] });
+  const booking = newBooking(t, { session: session._id, paymentStatus: 'unpaid' });
+
+  const result = await cancelBooking(booking, { initiator: 'client', initiatedBy: booking.user });
+
+  assert.strictEqual(booking.status, 'cancelled');
+  assert.strictEqual(booking.cancelledBy, 'client');
+  assert.strictEqual(result.refundPercent, 100);
+  assert.strictEqual(result.refund, null);
+  assert.strictEqual(next.status, 'pending');
+  assert.strictEqual(session.bookedSeats, 2);
+});
+
+test('cancelling a seat nobody is waiting for frees it', async (t) => {
+  const { session } = stubStudio(t, { booked: 2 });
+  const booking = newBooking(t, { session: session._id, paymentStatus: 'unpaid' });
+
+  await cancelBooking(booking, { initiator: 'client' });
+
+  assert.strictEqual(session.bookedSeats, 1);
+});
+
+test('cancelling a waitlisted booking does not free a seat or promote anyone', async (t) => {
+  const next = waitlisted(10);
+  const { session } = stubStudio(t, { booked: 2, waiting: [next] });
+  const booking = newBooking(t, { session: session._id, status: 'waitlisted', paymentStatus: 'unpaid' });
+
+  await cancelBooking(booking, { initiator: 'client' });
+
+  assert.strictEqual(session.bookedSeats, 2);
+  assert.strictEqual(next.status, 'waitlisted');
+});
+
+test('client cancellations of paid bookings are refunded according to the class policy', async (t) => {
+  const intent = await paymentProvider.createPaymentIntent({ amount: 4000, currency: 'usd' });
+  await paymentProvider.simulatePaymentSuccess(intent.id);
+
+  const booking = newBooking(t, { paymentStatus: 'paid', startAt: new Date(Date.now() + 30 * HOUR_MS) });
+  const payment = build(t, Payment, {
+    user: booking.user,
+    booking: booking._id,
+    amount: 40,
+    currency: 'USD',
+    status: 'completed',
+    transactionId: intent.id
+  });
+
+  const refunds = [];
+  stubStudio(t, {
+    policy: [{ hoursBefore: 48, refundPercent: 100 }, { hoursBefore: 24, refundPercent: 50 }]
+  });
+  t.mock.method(Payment, 'findOne', async () => payment);
+  t.mock.method(Payment, 'findById', async () => payment);
+  t.mock.method(Refund.prototype, 'save', async function () {
+    if (!refunds.includes(this)) refunds.push(this);
+    return this;
+  });
+  t.mock.method(Refund, 'find', async () => refunds);
+  t.mock.method(Booking, 'findByIdAndUpdate', async () => null);
+
+  const result = await cancelBooking(booking, { initiator: 'client', initiatedBy: booking.user });
+
+  assert.strictEqual(result.refundPercent, 50);
+  assert.strictEqual(result.refund.amount, 20);
+  assert.strictEqual(refunds[0].initiatorRole, 'client');
+  assert.strictEqual(payment.status, 'partially_refunded');
+  assert.deepStrictEqual((await paymentProvider.listRefunds(intent.id)).map(refund => refund.amount), [2000]);
+});
+
+test('trainer cancellations return the credit even when the policy would not', async (t) => {
+  const pack = { _id: newId(), user: newId(), creditsRemaining: 0 };
+  const booking = newBooking(t, { creditPack: pack._id, paymentStatus: 'paid', startAt: new Date(Date.now() + HOUR_MS) });
+  const { ledger } = stubStudio(t, { policy: [{ hoursBefore: 24, refundPercent: 100 }], packs: [pack] });
+
+  const result = await cancelBooking(booking, { initiator: 'trainer', reason: 'Trainer unwell' });
+
+  assert.strictEqual(result.refundPercent, 100);
+  assert.strictEqual(result.creditReturned, true);
+  assert.strictEqual(pack.creditsRemaining, 1);
+  assert.deepStrictEqual(ledger.map(entry => [entry.type, entry.amount, entry.note]), [['return', 1, 'Trainer unwell']]);
+  assert.strictEqual(booking.paymentStatus, 'refunded');
+});
+
+test('late client cancellations keep the credit', async (t) => {
+  const pack = { _id: newId(), user: newId(), creditsRemaining: 0 };
+  const booking = newBooking(t, { creditPack: pack._id, paymentStatus: 'paid', startAt: new Date(Date.now() + HOUR_MS) });
+  const { ledger } = stubStudio(t, { policy: [{ hoursBefore: 24, refundPercent: 100 }], packs: [pack] });
+
+  const result = await cancelBooking(booking, { initiator: 'client' });
+
+  assert.strictEqual(result.refundPercent, 0);
+  assert.strictEqual(result.creditReturned, false);
+  assert.strictEqual(pack.creditsRemaining, 0);
+  assert.strictEqual(ledger.length, 0);
+  assert.strictEqual(booking.paymentStatus, 'paid');
+});
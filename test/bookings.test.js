@@ -0,0 +1,405 @@
+const { newId, build, newUser, query, signIn, stubSeats, captureEmails, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const Class = require('../models/Class');
+const Session = require('../models/Session');
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const Membership = require('../models/Membership');
+const router = require('../routes/api/bookings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// An upcoming session of an active class with the given seats taken. The client's credit packs and
+// memberships are plain objects whose balances change as they are used; existing lists bookings
+// the client already holds at the session's time.
+const stubBookableSession = (t, { capacity = 2, booked = 0, packs = [], memberships = [], existing = [] } = {}) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const client = newUser(t);
+  const [token] = signIn(t, client, trainer);
+
+  const classItem = build(t, Class, {
+    trainer: trainer._id,
+    title: 'Morning Flow',
+    description: 'Vinyasa',
+    type: 'yoga',
+    duration: 60,
+    capacity,
+    price: 20,
+    timezone: 'UTC'
+  });
+
+  const startAt = new Date(Date.now() + 3 * DAY_MS);
+  const session = build(t, Session, {
+    class: classItem._id,
+    trainer: trainer._id,
+    slotDate: startAt,
+    slotStartTime: '09:00',
+    date: startAt,
+    startTime: '09:00',
+    endTime: '10:00',
+    timezone: 'UTC',
+    startAt,
+    endAt: new Date(startAt.getTime() + 60 * 60 * 1000),
+    capacity,
+    bookedSeats: booked
+  });
+
+  const saved = [];
+  stubSeats(t, session);
+  t.mock.method(Session, 'findById', () => query(session));
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Class, 'find', () => query([]));
+  t.mock.method(Booking, 'findOne', () => query(null));
+  t.mock.method(Booking, 'find', (filter) => query(filter.user ? existing : []));
+  t.mock.method(Booking, 'countDocuments', async () => 0);
+  t.mock.method(Booking.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  t.mock.method(Booking, 'findById', () => query(() => saved[saved.length - 1]));
+
+  t.mock.method(CreditPack, 'exists', async () => packs.some(pack => pack.creditsRemaining > 0));
+  t.mock.method(CreditPack, 'find', () => query(packs));
+  t.mock.method(CreditPack, 'findOneAndUpdate', async (filter) => {
+    const pack = packs.find(p => p._id.equals(filter._id) && p.creditsRemaining > 0);
+    if (pack) pack.creditsRemaining -= 1;
+    return pack || null;
+  });
+  t.mock.method(CreditTransaction, 'create', async (doc) => doc);
+  t.mock.method(Membership, 'find', () => query(memberships));
+  t.mock.method(Membership, 'findOneAndUpdate', async (filter) => {
+    const membership = memberships.find(m => m._id.equals(filter._id) && m.bookingsUsed < m.bookingLimit);
+    if (membership) membership.bookingsUsed += 1;
+    return membership || null;
+  });
+
+  return { token, session, saved };
+};
+
+test('booking a free seat with a credit confirms it and spends the credit', async (t) => {
+  const pack = { _id: newId(), creditsRemaining: 3 };
+  const { token, session, saved } = stubBookableSession(t, { booked: 1, packs: [pack] });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id, useCredit: true } });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.status, 'confirmed');
+  assert.strictEqual(res.body.paymentStatus, 'paid');
+  assert.strictEqual(pack.creditsRemaining, 2);
+  assert.strictEqual(saved[0].creditPack.toString(), pack._id.toString());
+  assert.strictEqual(session.bookedSeats, 2);
+});
+
+test('only one of two clients booking the last seat at once gets it', async (t) => {
+  const { token, session, saved } = stubBookableSession(t, { booked: 1 });
+
+  const responses = await Promise.all([
+    request(router, 'POST', '/', { token, body: { sessionId: session._id } }),
+    request(router, 'POST', '/', { token, body: { sessionId: session._id } })
+  ]);
+
+  assert.deepStrictEqual(responses.map(res => res.body.status).sort(), ['pending', 'waitlisted']);
+  assert.strictEqual(saved.length, 2);
+  assert.strictEqual(session.bookedSeats, 2);
+});
+
+test('waitlisted bookings keep the credit until they get a seat', async (t) => {
+  const pack = { _id: newId(), creditsRemaining: 3 };
+  const { token, session, saved } = stubBookableSession(t, { booked: 2, packs: [pack] });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id, useCredit: true } });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.status, 'waitlisted');
+  assert.strictEqual(res.body.paymentStatus, 'unpaid');
+  assert.strictEqual(pack.creditsRemaining, 3);
+  assert.strictEqual(saved[0].creditPack, undefined);
+  assert.strictEqual(saved[0].payWithCredit, true);
+  assert.strictEqual(session.bookedSeats, 2);
+});
+
+test('joining the waitlist to pay with a credit needs a usable credit', async (t) => {
+  const { token, session, saved } = stubBookableSession(t, { booked: 2, packs: [{ _id: newId(), creditsRemaining: 0 }] });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id, useCredit: true } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'NO_CREDITS');
+  assert.strictEqual(saved.length, 0);
+});
+
+test('a booking turned away for lack of credits gives its seat back', async (t) => {
+  const { token, session, saved } = stubBookableSession(t, { booked: 1, packs: [] });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id, useCredit: true } });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'NO_CREDITS');
+  assert.strictEqual(saved.length, 0);
+  assert.strictEqual(session.bookedSeats, 1);
+});
+
+test('waitlisted bookings do not use up a membership', async (t) => {
+  const membership = { _id: newId(), bookingsUsed: 0, bookingLimit: 4 };
+  const { token, session } = stubBookableSession(t, { booked: 2, memberships: [membership] });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id } });
+
+  assert.strictEqual(res.body.status, 'waitlisted');
+  assert.strictEqual(membership.bookingsUsed, 0);
+});
+
+test('booking a free seat is covered by the client membership', async (t) => {
+  const membership = { _id: newId(), bookingsUsed: 0, bookingLimit: 4 };
+  const { token, session } = stubBookableSession(t, { booked: 0, memberships: [membership] });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id } });
+
+  assert.strictEqual(res.body.status, 'confirmed');
+  assert.strictEqual(membership.bookingsUsed, 1);
+});
+
+// A class running 09:00-10:00 UTC on the weekday ten days from now, booked by date and time rather than session
+const stubScheduledClass = (t, { availability = [] } = {}) => {
+  const day = new Date(Date.now() + 10 * DAY_MS);
+  const trainer = newUser(t, { userType: 'trainer', timezone: 'UTC', profile: { availability } });
+  const client = newUser(t);
+  const [token] = signIn(t, client, trainer);
+
+  const classItem = build(t, Class, {
+    trainer: trainer._id,
+    title: 'Morning Flow',
+    description: 'Vinyasa',
+    type: 'yoga',
+    duration: 60,
+    capacity: 10,
+    price: 20,
+    timezone: 'UTC',
+    schedule: [{ day: DAYS[day.getUTCDay()], startTime: '09:00', endTime: '10:00' }]
+  });
+
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Session, 'findOne', () => query(null));
+  t.mock.method(Session, 'bulkWrite', async () => ({}));
+
+  const book = (fields) => request(router, 'POST', '/', {
+    token,
+    body: { classId: classItem._id, date: day.toISOString().slice(0, 10), startTime: '09:00', endTime: '10:00', ...fields }
+  });
+
+  return { day, book };
+};
+
+test('bookings outside the class schedule are refused', async (t) => {
+  const { day, book } = stubScheduledClass(t);
+
+  const res = await book({ startTime: '11:00', endTime: '12:00' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'SLOT_NOT_IN_SCHEDULE');
+
+  const nextDay = new Date(day.getTime() + DAY_MS).toISOString().slice(0, 10);
+  assert.strictEqual((await book({ date: nextDay })).body.code, 'SLOT_NOT_IN_SCHEDULE');
+});
+
+test('bookings must last as long as the class', async (t) => {
+  const { book } = stubScheduledClass(t);
+
+  const res = await book({ endTime: '09:30' });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'DURATION_MISMATCH');
+});
+
+test('bookings in the past are refused', async (t) => {
+  const { book } = stubScheduledClass(t);
+
+  const res = await book({ date: '2020-01-01' });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'DATE_IN_PAST');
+});
+
+test('bookings outside the trainer availability are refused', async (t) => {
+  const { book } = stubScheduledClass(t, {
+    availability: DAYS.map(name => ({ day: name, startTime: '13:00', endTime: '17:00' }))
+  });
+
+  const res = await book();
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'TRAINER_UNAVAILABLE');
+});
+
+test('clients cannot book a session overlapping one they already booked', async (t) => {
+  const existing = [{
+    _id: newId(),
+    class: { _id: newId(), title: 'Spin' },
+    date: new Date(),
+    startTime: '09:30',
+    endTime: '10:30',
+    timezone: 'UTC',
+    status: 'confirmed'
+  }];
+  const { token, session, saved } = stubBookableSession(t, { booked: 0, existing });
+
+  const res = await request(router, 'POST', '/', { token, body: { sessionId: session._id } });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.code, 'BOOKING_CONFLICT');
+  assert.deepStrictEqual(res.body.conflicts.map(c => [c.type, c.classTitle]), [['client_booking', 'Spin']]);
+  assert.strictEqual(saved.length, 0);
+  assert.strictEqual(session.bookedSeats, 0);
+});
+
+// A paid, confirmed booking in one session and a later session of the same class to move it to
+const stubReschedule = (t) => {
+  const trainer = newUser(t, { userType: 'trainer', email: 'tia@example.com' });
+  const client = newUser(t);
+  const [clientToken, trainerToken] = signIn(t, client, trainer);
+  const sent = captureEmails(t);
+
+  const classItem = build(t, Class, {
+    trainer: trainer._id,
+    title: 'Morning Flow',
+    description: 'Vinyasa',
+    type: 'yoga',
+    duration: 60,
+    capacity: 2,
+    price: 20,
+    timezone: 'UTC'
+  });
+
+  const newSession = (daysAhead, bookedSeats) => {
+    const startAt = new Date(Date.now() + daysAhead * DAY_MS);
+    return build(t, Session, {
+      class: classItem._id,
+      trainer: trainer._id,
+      slotDate: startAt,
+      slotStartTime: '09:00',
+      date: startAt,
+      startTime: '09:00',
+      endTime: '10:00',
+      timezone: 'UTC',
+      startAt,
+      endAt: new Date(startAt.getTime() + 60 * 60 * 1000),
+      capacity: 2,
+      bookedSeats
+    });
+  };
+  const current = newSession(3, 1);
+  const target = newSession(10, 0);
+  const sessions = [current, target];
+
+  const booking = build(t, Booking, {
+    user: client._id,
+    class: classItem._id,
+    trainer: trainer._id,
+    session: current._id,
+    date: current.date,
+    startTime: current.startTime,
+    endTime: current.endTime,
+    timezone: 'UTC',
+    startAt: current.startAt,
+    endAt: current.endAt,
+    status: 'confirmed',
+    paymentStatus: 'paid'
+  });
+
+  stubSeats(t, ...sessions);
+  t.mock.method(Booking, 'findById', () => query(booking));
+  t.mock.method(Booking, 'find', () => query([]));
+  t.mock.method(Booking, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Class, 'find', () => query([]));
+  t.mock.method(Session, 'findOne', () => query(target));
+  t.mock.method(Session, 'findById', (id) => query(sessions.find(session => session._id.equals(id))));
+
+  return { clientToken, trainerToken, booking, current, target, sent };
+};
+
+test('a reschedule the other party accepts moves the booking and keeps it paid', async (t) => {
+  const { clientToken, trainerToken, booking, current, target, sent } = stubReschedule(t);
+
+  const proposed = await request(router, 'POST', `/${booking._id}/reschedule`, {
+    token: clientToken,
+    body: { sessionId: target._id, reason: 'Travelling' }
+  });
+
+  assert.strictEqual(proposed.status, 201);
+  assert.strictEqual(booking.session.toString(), current._id.toString());
+  assert.deepStrictEqual(sent.map(mail => mail.to), ['tia@example.com']);
+
+  const [pending] = booking.rescheduleRequests;
+  assert.strictEqual(pending.status, 'pending');
+  assert.strictEqual(pending.proposedByRole, 'client');
+  assert.strictEqual(pending.to.session.toString(), target._id.toString());
+
+  const accepted = await request(router, 'PUT', `/${booking._id}/reschedule/${pending._id}`, {
+    token: trainerToken,
+    body: { action: 'accept' }
+  });
+
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(booking.session.toString(), target._id.toString());
+  assert.strictEqual(booking.startAt.getTime(), target.startAt.getTime());
+  assert.strictEqual(booking.status, 'confirmed');
+  assert.strictEqual(booking.paymentStatus, 'paid');
+  assert.strictEqual(pending.status, 'accepted');
+  assert.strictEqual(pending.from.session.toString(), current._id.toString());
+  assert.strictEqual(current.bookedSeats, 0);
+  assert.strictEqual(target.bookedSeats, 1);
+});
+
+test('a declined reschedule leaves the booking where it was', async (t) => {
+  const { clientToken, trainerToken, booking, current, target } = stubReschedule(t);
+
+  await request(router, 'POST', `/${booking._id}/reschedule`, { token: trainerToken, body: { sessionId: target._id } });
+  const [pending] = booking.rescheduleRequests;
+
+  const res = await request(router, 'PUT', `/${booking._id}/reschedule/${pending._id}`, {
+    token: clientToken,
+    body: { action: 'decline' }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(pending.status, 'declined');
+  assert.strictEqual(booking.session.toString(), current._id.toString());
+  assert.strictEqual(current.bookedSeats, 1);
+  assert.strictEqual(target.bookedSeats, 0);
+});
+
+test('only the other party can accept a reschedule', async (t) => {
+  const { clientToken, booking, target } = stubReschedule(t);
+
+  await request(router, 'POST', `/${booking._id}/reschedule`, { token: clientToken, body: { sessionId: target._id } });
+  const [pending] = booking.rescheduleRequests;
+
+  const res = await request(router, 'PUT', `/${booking._id}/reschedule/${pending._id}`, {
+    token: clientToken,
+    body: { action: 'accept' }
+  });
+
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(pending.status, 'pending');
+});
+
+test('a reschedule cannot be accepted once the new session has filled up', async (t) => {
+  const { clientToken, trainerToken, booking, current, target } = stubReschedule(t);
+
+  await request(router, 'POST', `/${booking._id}/reschedule`, { token: clientToken, body: { sessionId: target._id } });
+  const [pending] = booking.rescheduleRequests;
+  target.bookedSeats = target.capacity;
+
+  const res = await request(router, 'PUT', `/${booking._id}/reschedule/${pending._id}`, {
+    token: trainerToken,
+    body: { action: 'accept' }
+  });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.code, 'SESSION_FULL');
+  assert.strictEqual(pending.status, 'pending');
+  assert.strictEqual(booking.session.toString(), current._id.toString());
+});
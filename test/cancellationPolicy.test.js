@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRefundPercent } = require('../utils/cancellationPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-02T12:00:00Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * HOUR_MS);
+
+const policy = [
+  { hoursBefore: 2, refundPercent: 0 },
+  { hoursBefore: 48, refundPercent: 100 },
+  { hoursBefore: 24, refundPercent: 50 }
+];
+
+test('picks the tier for how long before the class the booking is cancelled', () => {
+  assert.strictEqual(getRefundPercent(policy, hoursFromNow(72), now), 100);
+  assert.strictEqual(getRefundPercent(policy, hoursFromNow(48), now), 100);
+  assert.strictEqual(getRefundPercent(policy, hoursFromNow(30), now), 50);
+  assert.strictEqual(getRefundPercent(policy, hoursFromNow(3), now), 0);
+});
+
+test('refunds nothing once no tier applies', () => {
+  assert.strictEqual(getRefundPercent(policy, hoursFromNow(1), now), 0);
+  assert.strictEqual(getRefundPercent(policy, hoursFromNow(-1), now), 0);
+});
+
+test('classes without a policy are refunded in full until they start', () => {
+  assert.strictEqual(getRefundPercent([], hoursFromNow(0.5), now), 100);
+  assert.strictEqual(getRefundPercent(undefined, hoursFromNow(-0.5), now), 0);
+});
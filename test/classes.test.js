@@ -0,0 +1,192 @@
+const { newId, build, newUser, query, signIn, stubSeats, captureEmails, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Class = require('../models/Class');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const router = require('../routes/api/classes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newClass = (t, trainer) => build(t, Class, {
+  trainer: trainer._id,
+  title: 'Morning Flow',
+  description: 'Vinyasa',
+  type: 'yoga',
+  duration: 60,
+  capacity: 10,
+  price: 20,
+  timezone: 'UTC',
+  schedule: [{ day: 'Monday', startTime: '09:00', endTime: '10:00' }]
+});
+
+const newSession = (t, classItem) => {
+  const startAt = new Date(Date.now() + 3 * DAY_MS);
+  return build(t, Session, {
+    class: classItem._id,
+    trainer: classItem.trainer,
+    slotDate: startAt,
+    slotStartTime: '09:00',
+    date: startAt,
+    startTime: '09:00',
+    endTime: '10:00',
+    timezone: 'UTC',
+    startAt,
+    endAt: new Date(startAt.getTime() + 60 * 60 * 1000),
+    capacity: 10
+  });
+};
+
+const newBooking = (t, session, user, fields) => build(t, Booking, {
+  user,
+  class: session.class,
+  trainer: session.trainer,
+  session: session._id,
+  date: session.date,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  startAt: session.startAt,
+  endAt: session.endAt,
+  ...fields
+});
+
+test('deleting a class cancels its upcoming sessions, returns credits and tells the clients', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer', name: 'Tia Trainer', email: 'tia@example.com' });
+  const alex = newUser(t, { name: 'Alex', email: 'alex@example.com' });
+  const bo = newUser(t, { name: 'Bo', email: 'bo@example.com' });
+  const [token] = signIn(t, trainer);
+  const sent = captureEmails(t);
+
+  const classItem = newClass(t, trainer);
+  const session = newSession(t, classItem);
+  const pack = build(t, CreditPack, { user: alex._id, status: 'active', creditsTotal: 5, creditsRemaining: 2 });
+  const paidWithCredit = newBooking(t, session, alex, { status: 'confirmed', paymentStatus: 'paid', creditPack: pack._id });
+  const waitlisted = newBooking(t, session, bo, { status: 'waitlisted' });
+  session.bookedSeats = 1;
+  stubSeats(t, session);
+
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Session, 'find', () => query([session]));
+  t.mock.method(Session, 'findById', () => query(session));
+  t.mock.method(Booking, 'find', () => query([paidWithCredit, waitlisted]));
+  t.mock.method(CreditPack, 'findOneAndUpdate', async () => {
+    pack.creditsRemaining += 1;
+    return pack;
+  });
+  t.mock.method(CreditTransaction, 'create', async (doc) => doc);
+
+  const res = await request(router, 'DELETE', `/${classItem._id}`, { token });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.msg, 'Class removed');
+  assert.strictEqual(classItem.isActive, false);
+  assert.strictEqual(session.status, 'cancelled');
+  assert.strictEqual(session.bookedSeats, 0);
+
+  assert.strictEqual(paidWithCredit.status, 'cancelled');
+  assert.strictEqual(paidWithCredit.cancelledBy, 'trainer');
+  assert.strictEqual(paidWithCredit.paymentStatus, 'refunded');
+  assert.strictEqual(pack.creditsRemaining, 3);
+  assert.strictEqual(waitlisted.status, 'cancelled');
+
+  assert.deepStrictEqual(sent.map(mail => mail.to).sort(), ['alex@example.com', 'bo@example.com']);
+});
+
+test('only the class trainer can delete it', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const other = newUser(t, { userType: 'trainer' });
+  const [, token] = signIn(t, trainer, other);
+  const classItem = newClass(t, trainer);
+  const session = newSession(t, classItem);
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Session, 'find', () => query([session]));
+
+  const res = await request(router, 'DELETE', `/${classItem._id}`, { token });
+
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(classItem.isActive, true);
+  assert.strictEqual(session.status, 'scheduled');
+});
+
+test('unknown classes are not found', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const [token] = signIn(t, trainer);
+  t.mock.method(Class, 'findById', () => query(null));
+
+  const res = await request(router, 'DELETE', `/${newId()}`, { token });
+
+  assert.strictEqual(res.status, 404);
+});
+
+test('trainers must verify their email before updating a class', async (t) => {
+  process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+  t.after(() => { delete process.env.REQUIRE_EMAIL_VERIFICATION; });
+
+  const trainer = newUser(t, { userType: 'trainer', isVerified: false });
+  const [token] = signIn(t, trainer);
+  const classItem = newClass(t, trainer);
+  t.mock.method(Class, 'findById', () => query(classItem));
+
+  const res = await request(router, 'PUT', `/${classItem._id}`, { token, body: { title: 'Evening Flow' } });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.code, 'EMAIL_NOT_VERIFIED');
+  assert.strictEqual(classItem.title, 'Morning Flow');
+});
+
+test('schedule changes that overlap another of the trainer classes are refused with the conflict', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const [token] = signIn(t, trainer);
+  const classItem = newClass(t, trainer);
+  // 12:30-13:30 in Tokyo is 09:00-10:00 in Kolkata, so 09:30 there overlaps it
+  const other = build(t, Class, {
+    trainer: trainer._id,
+    title: 'Lunch Pilates',
+    description: 'Mat',
+    type: 'pilates',
+    duration: 60,
+    capacity: 8,
+    price: 15,
+    timezone: 'Asia/Tokyo',
+    schedule: [{ day: 'Tuesday', startTime: '12:30', endTime: '13:30' }]
+  });
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Class, 'find', () => query([other]));
+  t.mock.method(Booking, 'find', () => query([]));
+  t.mock.method(Class, 'findByIdAndUpdate', (id, update) => query(Object.assign(classItem, update.$set)));
+
+  const res = await request(router, 'PUT', `/${classItem._id}`, {
+    token,
+    body: { timezone: 'Asia/Kolkata', schedule: [{ day: 'Tuesday', startTime: '09:30', endTime: '10:30' }] }
+  });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.code, 'SCHEDULE_CONFLICT');
+  assert.deepStrictEqual(res.body.conflicts.map(c => [c.type, c.classTitle, c.startTime]), [['class', 'Lunch Pilates', '12:30']]);
+  assert.strictEqual(classItem.timezone, 'UTC');
+  assert.strictEqual(classItem.schedule[0].startTime, '09:00');
+});
+
+test('schedules with two overlapping slots on the same day are refused', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const [token] = signIn(t, trainer);
+  const classItem = newClass(t, trainer);
+  t.mock.method(Class, 'findById', () => query(classItem));
+  t.mock.method(Class, 'find', () => query([]));
+  t.mock.method(Booking, 'find', () => query([]));
+
+  const res = await request(router, 'PUT', `/${classItem._id}`, {
+    token,
+    body: {
+      schedule: [
+        { day: 'Monday', startTime: '09:00', endTime: '10:00' },
+        { day: 'Monday', startTime: '09:30', endTime: '10:30' }
+      ]
+    }
+  });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.conflicts[0].type, 'schedule');
+});
@@ -0,0 +1,53 @@
+const { build } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const { getUnusedCreditValue, revokeCreditPack } = require('../utils/creditService');
+
+test('only the unused share of an active pack can be refunded', () => {
+  const pack = { status: 'active', creditsTotal: 10, creditsRemaining: 4 };
+
+  assert.strictEqual(getUnusedCreditValue(pack, 100, 'USD'), 40);
+  assert.strictEqual(getUnusedCreditValue({ ...pack, creditsRemaining: 10 }, 100, 'USD'), 100);
+  assert.strictEqual(getUnusedCreditValue({ ...pack, creditsRemaining: 0 }, 100, 'USD'), 0);
+});
+
+test('the unused value is rounded to the pack currency', () => {
+  const pack = { status: 'active', creditsTotal: 3, creditsRemaining: 1 };
+
+  assert.strictEqual(getUnusedCreditValue(pack, 100, 'USD'), 33.33);
+  assert.strictEqual(getUnusedCreditValue(pack, 1000, 'JPY'), 333);
+});
+
+test('expired, cancelled and missing packs have nothing left to refund', () => {
+  const pack = { creditsTotal: 10, creditsRemaining: 4 };
+
+  assert.strictEqual(getUnusedCreditValue({ ...pack, status: 'expired' }, 100, 'USD'), 0);
+  assert.strictEqual(getUnusedCreditValue({ ...pack, status: 'cancelled' }, 100, 'USD'), 0);
+  assert.strictEqual(getUnusedCreditValue(null, 100, 'USD'), 0);
+});
+
+test('revoking a pack removes its remaining credits in the ledger', async (t) => {
+  const pack = build(t, CreditPack, { status: 'active', creditsTotal: 10, creditsRemaining: 4 });
+  const ledger = [];
+  t.mock.method(CreditPack, 'findById', async () => pack);
+  t.mock.method(CreditTransaction, 'create', async (entry) => ledger.push(entry));
+
+  await revokeCreditPack(pack._id);
+
+  assert.strictEqual(pack.status, 'cancelled');
+  assert.strictEqual(pack.creditsRemaining, 0);
+  assert.deepStrictEqual(ledger.map(entry => [entry.type, entry.amount]), [['revoked', -4]]);
+});
+
+test('revoking an already cancelled pack does nothing', async (t) => {
+  const pack = build(t, CreditPack, { status: 'cancelled', creditsTotal: 10, creditsRemaining: 0 });
+  const ledger = [];
+  t.mock.method(CreditPack, 'findById', async () => pack);
+  t.mock.method(CreditTransaction, 'create', async (entry) => ledger.push(entry));
+
+  assert.strictEqual(await revokeCreditPack(pack._id), null);
+  assert.strictEqual(pack.status, 'cancelled');
+  assert.strictEqual(ledger.length, 0);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { roundAmount, toMinorUnits, fromMinorUnits, isValidCurrency } = require('../utils/currency');
+
+test('two decimal currencies are charged in cents', () => {
+  assert.strictEqual(toMinorUnits(19.99, 'USD'), 1999);
+  assert.strictEqual(toMinorUnits(0.1 + 0.2, 'usd'), 30);
+  assert.strictEqual(fromMinorUnits(1999, 'USD'), 19.99);
+  assert.strictEqual(roundAmount(10.005, 'EUR'), 10.01);
+});
+
+test('zero decimal currencies are charged in whole units', () => {
+  assert.strictEqual(toMinorUnits(1500, 'JPY'), 1500);
+  assert.strictEqual(toMinorUnits(1500.6, 'JPY'), 1501);
+  assert.strictEqual(fromMinorUnits(1500, 'JPY'), 1500);
+  assert.strictEqual(roundAmount(333.33, 'KRW'), 333);
+});
+
+test('three decimal currencies are charged in multiples of ten thousandths', () => {
+  assert.strictEqual(toMinorUnits(1.234, 'KWD'), 1230);
+  assert.strictEqual(toMinorUnits(1.235, 'KWD'), 1240);
+  assert.strictEqual(fromMinorUnits(1230, 'KWD'), 1.23);
+  assert.strictEqual(roundAmount(1.234, 'BHD'), 1.23);
+});
+
+test('refund totals add up without floating point drift', () => {
+  const refunds = [0.1, 0.2, 0.3];
+  const total = fromMinorUnits(
+    refunds.reduce((acc, amount) => acc + toMinorUnits(amount, 'USD'), 0),
+    'USD'
+  );
+
+  assert.strictEqual(total, 0.6);
+});
+
+test('only ISO currency codes are valid', () => {
+  assert.strictEqual(isValidCurrency('gbp'), true);
+  assert.strictEqual(isValidCurrency('XYZ'), false);
+  assert.strictEqual(isValidCurrency(undefined), false);
+});
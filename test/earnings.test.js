@@ -0,0 +1,51 @@
+const { newId } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Payment = require('../models/Payment');
+const { getTrainerEarnings } = require('../utils/earnings');
+
+const FROM = new Date('2027-01-01T00:00:00Z');
+const TO = new Date('2027-02-28T00:00:00Z');
+
+const row = (start, currency, fields) => ({
+  _id: { start: new Date(start), currency },
+  payments: 1,
+  gross: 0,
+  fees: 0,
+  refunds: 0,
+  transferred: 0,
+  ...fields
+});
+
+test('earnings are totalled per currency with fees and refunds taken off the net', async (t) => {
+  t.mock.method(Payment, 'aggregate', async () => [
+    row('2027-01-01', 'USD', { payments: 3, gross: 60, fees: 6, refunds: 10, transferred: 44 }),
+    row('2027-01-01', 'EUR', { payments: 1, gross: 25, fees: 2.5 }),
+    row('2027-02-01', 'USD', { payments: 2, gross: 40.1, fees: 4.01 })
+  ]);
+
+  const earnings = await getTrainerEarnings(newId(), { from: FROM, to: TO });
+
+  assert.strictEqual(earnings.period, 'month');
+  assert.deepStrictEqual(earnings.totals.map(total => [total.currency, total.payments, total.gross, total.fees, total.refunds, total.net]), [
+    ['EUR', 1, 25, 2.5, 0, 22.5],
+    ['USD', 5, 100.1, 10.01, 10, 80.09]
+  ]);
+  assert.strictEqual(earnings.totals[1].transferred, 44);
+  assert.deepStrictEqual(earnings.periods.map(period => [period.start.toISOString().slice(0, 10), period.currency, period.net]), [
+    ['2027-01-01', 'USD', 44],
+    ['2027-01-01', 'EUR', 22.5],
+    ['2027-02-01', 'USD', 36.09]
+  ]);
+});
+
+test('zero decimal currencies are rounded to whole units', async (t) => {
+  t.mock.method(Payment, 'aggregate', async () => [
+    row('2027-01-01', 'JPY', { payments: 1, gross: 3000, fees: 300.4 })
+  ]);
+
+  const [total] = (await getTrainerEarnings(newId(), { from: FROM, to: TO })).totals;
+
+  assert.strictEqual(total.fees, 300);
+  assert.strictEqual(total.net, 2700);
+});
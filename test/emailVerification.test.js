@@ -0,0 +1,58 @@
+const { newUser, signIn, captureEmails, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/api/auth');
+
+// Token from the link in the last verification email sent
+const linkToken = (sent) => sent[sent.length - 1].text.match(/\/verify-email\/(\S+)/)[1];
+
+test('the emailed link verifies the account', async (t) => {
+  const user = newUser(t, { isVerified: false });
+  const [token] = signIn(t, user);
+  const sent = captureEmails(t);
+
+  const resent = await request(router, 'POST', '/resend-verification', { token });
+
+  assert.strictEqual(resent.status, 200);
+  assert.deepStrictEqual(sent.map(mail => mail.to), ['sam@example.com']);
+
+  const res = await request(router, 'POST', `/verify-email/${linkToken(sent)}`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(user.isVerified, true);
+  assert.ok(user.verifiedAt);
+});
+
+test('verification emails can only be resent after a cooldown, and not once verified', async (t) => {
+  const user = newUser(t, { isVerified: false });
+  const [token] = signIn(t, user);
+  const sent = captureEmails(t);
+
+  await request(router, 'POST', '/resend-verification', { token });
+  const tooSoon = await request(router, 'POST', '/resend-verification', { token });
+
+  assert.strictEqual(tooSoon.status, 429);
+  assert.strictEqual(sent.length, 1);
+
+  user.isVerified = true;
+  const verified = await request(router, 'POST', '/resend-verification', { token });
+
+  assert.strictEqual(verified.status, 400);
+  assert.strictEqual(verified.body.msg, 'Email is already verified');
+});
+
+test('links stop working once the address changes, and login tokens are not links', async (t) => {
+  const user = newUser(t, { isVerified: false });
+  const [token] = signIn(t, user);
+  const sent = captureEmails(t);
+
+  await request(router, 'POST', '/resend-verification', { token });
+  user.email = 'sam@new.example.com';
+
+  const stale = await request(router, 'POST', `/verify-email/${linkToken(sent)}`);
+  const login = await request(router, 'POST', `/verify-email/${token}`);
+
+  assert.strictEqual(stale.status, 400);
+  assert.strictEqual(login.status, 400);
+  assert.strictEqual(user.isVerified, false);
+});
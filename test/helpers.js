@@ -0,0 +1,121 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { signAccessToken } = require('../utils/tokens');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Documents built from the real schemas whose save() keeps them in memory
+const build = (t, Model, fields) => {
+  const doc = new Model(fields);
+  t.mock.method(doc, 'save', async () => doc);
+  return doc;
+};
+
+const newUser = (t, fields) => build(t, User, {
+  name: 'Sam Client',
+  email: 'sam@example.com',
+  password: 'hashed',
+  userType: 'client',
+  isVerified: true,
+  ...fields
+});
+
+// Mimics a query so stubs can be awaited directly or through populate/select/sort/lean chains
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(typeof result === 'function' ? result() : result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Answers User.findById for the given users, as the auth middleware and routes look them up
+const signIn = (t, ...users) => {
+  t.mock.method(User, 'findById', (id) => query(users.find(user => user._id.equals(id)) || null));
+  return users.map(user => signAccessToken(user));
+};
+
+// Applies the atomic seat updates made by reserveSeat and releaseSeat to the given in-memory sessions
+const stubSeats = (t, ...sessions) => {
+  const find = (filter) => sessions.find(session => session._id.equals(filter._id));
+
+  t.mock.method(Session, 'findOneAndUpdate', async (filter) => {
+    const session = find(filter);
+    if (!session || session.bookedSeats >= session.capacity) return null;
+    session.bookedSeats += 1;
+    return session;
+  });
+
+  t.mock.method(Session, 'updateOne', async (filter) => {
+    const session = find(filter);
+    if (!session || session.bookedSeats <= 0) return { modifiedCount: 0 };
+    session.bookedSeats -= 1;
+    return { modifiedCount: 1 };
+  });
+};
+
+// Collects outgoing email instead of sending it
+const captureEmails = (t) => {
+  const sent = [];
+  t.mock.method(nodemailer, 'createTransport', () => ({ sendMail: async (mail) => sent.push(mail) }));
+  return sent;
+};
+
+// Calls a router mounted on its own app and returns the status, headers and parsed body.
+// String bodies are sent as they are and left unparsed, for routes such as the webhook that verify the raw payload.
+const request = async (router, method, path, { token, body, headers } = {}) => {
+  const raw = typeof body === 'string';
+  const app = express();
+  if (!raw) app.use(express.json());
+  app.use('/', router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token && { 'x-auth-token': token }),
+        ...headers
+      },
+      body: raw ? body : body && JSON.stringify(body)
+    });
+
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // Plain text responses such as 'Server error'
+    }
+
+    return { status: res.status, headers: res.headers, body: parsed };
+  } finally {
+    server.close();
+  }
+};
+
+module.exports = {
+  newId,
+  build,
+  newUser,
+  query,
+  signIn,
+  stubSeats,
+  captureEmails,
+  request
+};
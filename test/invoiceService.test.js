@@ -0,0 +1,107 @@
+const { newId } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { issueInvoice } = require('../utils/invoiceService');
+
+const newPayment = () => new Payment({
+  user: newId(),
+  trainer: newId(),
+  amount: 30,
+  originalAmount: 40,
+  discountAmount: 10,
+  currency: 'USD',
+  status: 'completed'
+});
+
+const YEAR = new Date().getUTCFullYear();
+
+// Keeps the payment's invoice and the invoice counter in memory, applying the same filters the database would
+const stubInvoices = (t, { stored = null, failNumbering = false } = {}) => {
+  const state = { invoice: stored, seq: 0 };
+
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ name: 'Sam', email: 'sam@example.com' }) }));
+  t.mock.method(Invoice, 'findOne', async () => state.invoice);
+  t.mock.method(Invoice, 'findById', async () => state.invoice);
+
+  t.mock.method(Invoice, 'findOneAndUpdate', async (filter, update, options) => {
+    if (options.upsert) {
+      const updatedExisting = Boolean(state.invoice);
+      if (!updatedExisting) state.invoice = { _id: newId(), ...update.$setOnInsert };
+      return { lastErrorObject: { updatedExisting }, value: state.invoice };
+    }
+
+    if (!state.invoice._id.equals(filter._id) || state.invoice.number !== undefined) return null;
+    Object.assign(state.invoice, update.$set);
+    return state.invoice;
+  });
+
+  t.mock.method(Counter, 'findByIdAndUpdate', async () => {
+    if (failNumbering) {
+      failNumbering = false;
+      throw new Error('counter unavailable');
+    }
+    state.seq += 1;
+    return { seq: state.seq };
+  });
+
+  return state;
+};
+
+test('the request that creates the invoice numbers it', async (t) => {
+  const state = stubInvoices(t);
+
+  const issued = await issueInvoice(newPayment());
+
+  assert.strictEqual(issued.number, `INV-${YEAR}-000001`);
+  assert.strictEqual(issued.subtotal, 40);
+  assert.strictEqual(issued.discount, 10);
+  assert.strictEqual(issued.total, 30);
+  assert.deepStrictEqual(issued.billTo, { name: 'Sam', email: 'sam@example.com' });
+  assert.strictEqual(state.seq, 1);
+});
+
+test('requests issuing the same invoice at once share one number', async (t) => {
+  const state = stubInvoices(t);
+  const payment = newPayment();
+
+  const issued = await Promise.all([issueInvoice(payment), issueInvoice(payment)]);
+
+  assert.deepStrictEqual(issued.map(invoice => invoice.number), [`INV-${YEAR}-000001`, `INV-${YEAR}-000001`]);
+  assert.strictEqual(state.seq, 1);
+});
+
+test('a request that finds the invoice still unnumbered waits for the request numbering it', async (t) => {
+  const stored = { _id: newId() };
+  const state = stubInvoices(t, { stored });
+  setTimeout(() => { stored.number = `INV-${YEAR}-000005`; }, 150);
+
+  const issued = await issueInvoice(newPayment());
+
+  assert.strictEqual(issued.number, `INV-${YEAR}-000005`);
+  assert.strictEqual(state.seq, 0);
+});
+
+test('an invoice left unnumbered is numbered by the next request for it', async (t) => {
+  const state = stubInvoices(t, { failNumbering: true });
+  const payment = newPayment();
+
+  await assert.rejects(issueInvoice(payment), /counter unavailable/);
+  assert.strictEqual(state.invoice.number, undefined);
+
+  const issued = await issueInvoice(payment);
+
+  assert.strictEqual(issued.number, `INV-${YEAR}-000001`);
+  assert.strictEqual(state.invoice.number, `INV-${YEAR}-000001`);
+});
+
+test('numbered invoices are returned as they are', async (t) => {
+  const stored = { _id: newId(), number: 'INV-2026-000001' };
+  const state = stubInvoices(t, { stored });
+
+  assert.strictEqual(await issueInvoice(newPayment()), stored);
+  assert.strictEqual(state.seq, 0);
+});
@@ -0,0 +1,120 @@
+const { newId, build, query } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const {
+  useMembershipBooking,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionDeleted
+} = require('../utils/membershipService');
+
+const newMembership = (t, fields) => build(t, Membership, {
+  user: newId(),
+  plan: newId(),
+  trainer: newId(),
+  bookingLimit: 8,
+  status: 'active',
+  stripeSubscriptionId: 'sub_1',
+  ...fields
+});
+
+// Memberships whose bookingsUsed go up as Membership.findOneAndUpdate applies the limit
+const stubMemberships = (t, memberships) => {
+  t.mock.method(Membership, 'find', () => query([...memberships]));
+  t.mock.method(Membership, 'findOneAndUpdate', async (filter) => {
+    const membership = memberships.find(m => m._id.equals(filter._id));
+    if (membership.bookingLimit != null && membership.bookingsUsed >= membership.bookingLimit) return null;
+    membership.bookingsUsed += 1;
+    return membership;
+  });
+};
+
+// Stripe invoice for a monthly period starting on the given date
+const paidInvoice = (start, fields) => ({
+  id: 'in_1',
+  subscription: 'sub_1',
+  payment_intent: 'pi_1',
+  amount_paid: 4900,
+  currency: 'usd',
+  lines: { data: [{ period: { start: start.getTime() / 1000, end: start.getTime() / 1000 + 30 * 24 * 60 * 60 } }] },
+  ...fields
+});
+
+// Records the payments created for paid invoices; receipts are treated as already sent
+const stubPayments = (t) => {
+  const payments = [];
+  t.mock.method(Payment, 'findOne', async (filter) => payments.find(p => p.transactionId === filter.transactionId) || null);
+  t.mock.method(Payment, 'create', async (doc) => {
+    const payment = new Payment(doc);
+    payments.push(payment);
+    return payment;
+  });
+  t.mock.method(Invoice, 'findOne', async () => ({ number: 'INV-2027-000001', emailedAt: new Date() }));
+  return payments;
+};
+
+test('trainer memberships are used before studio-wide ones', async (t) => {
+  const trainerId = newId();
+  const studio = newMembership(t, { trainer: undefined, bookingLimit: null });
+  const trainer = newMembership(t, { trainer: trainerId });
+  stubMemberships(t, [studio, trainer]);
+
+  const used = await useMembershipBooking(newId(), trainerId);
+
+  assert.strictEqual(used, trainer);
+  assert.strictEqual(trainer.bookingsUsed, 1);
+  assert.strictEqual(studio.bookingsUsed, 0);
+});
+
+test('a membership at its booking limit falls back to the next one, or to none', async (t) => {
+  const trainerId = newId();
+  const capped = newMembership(t, { trainer: trainerId, bookingLimit: 2, bookingsUsed: 2 });
+  const studio = newMembership(t, { trainer: undefined, bookingLimit: 1 });
+  stubMemberships(t, [capped, studio]);
+
+  assert.strictEqual(await useMembershipBooking(newId(), trainerId), studio);
+  assert.strictEqual(await useMembershipBooking(newId(), trainerId), null);
+  assert.strictEqual(capped.bookingsUsed, 2);
+});
+
+test('a paid invoice for a new period resets the bookings used and records the payment once', async (t) => {
+  const membership = newMembership(t, {
+    bookingsUsed: 8,
+    status: 'past_due',
+    currentPeriodStart: new Date('2027-01-01T00:00:00Z')
+  });
+  t.mock.method(Membership, 'findOne', async () => membership);
+  const payments = stubPayments(t);
+  const invoice = paidInvoice(new Date('2027-02-01T00:00:00Z'));
+
+  await handleInvoicePaid(invoice);
+
+  assert.strictEqual(membership.status, 'active');
+  assert.strictEqual(membership.bookingsUsed, 0);
+  assert.strictEqual(membership.currentPeriodStart.toISOString(), '2027-02-01T00:00:00.000Z');
+  assert.strictEqual(payments.length, 1);
+  assert.strictEqual(payments[0].amount, 49);
+  assert.strictEqual(payments[0].currency, 'USD');
+  assert.strictEqual(payments[0].status, 'completed');
+
+  membership.bookingsUsed = 3;
+  await handleInvoicePaid(invoice);
+
+  assert.strictEqual(membership.bookingsUsed, 3);
+  assert.strictEqual(payments.length, 1);
+});
+
+test('failed renewals put the membership past due and deleted subscriptions cancel it', async (t) => {
+  const membership = newMembership(t);
+  t.mock.method(Membership, 'findOne', async () => membership);
+
+  await handleInvoicePaymentFailed({ id: 'in_2', subscription: 'sub_1' });
+  assert.strictEqual(membership.status, 'past_due');
+
+  await handleSubscriptionDeleted({ id: 'sub_1' });
+  assert.strictEqual(membership.status, 'cancelled');
+  assert.ok(membership.cancelledAt);
+});
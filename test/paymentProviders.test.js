@@ -0,0 +1,66 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const paymentProvider = require('../utils/paymentProviders');
+
+test('PAYMENT_PROVIDER selects the provider and unknown names stop the app from starting', () => {
+  assert.strictEqual(paymentProvider.name, 'fake');
+
+  const result = spawnSync(process.execPath, ['-e', "require('./utils/paymentProviders')"], {
+    cwd: `${__dirname}/..`,
+    env: { ...process.env, PAYMENT_PROVIDER: 'paypal' },
+    encoding: 'utf8'
+  });
+
+  assert.notStrictEqual(result.status, 0);
+  assert.match(result.stderr, /Unknown PAYMENT_PROVIDER "paypal"\. Use one of: stripe, fake/);
+});
+
+test('simulated payments change the intent and return a signed delivery the provider accepts', async () => {
+  const intent = await paymentProvider.createPaymentIntent({ amount: 2000, currency: 'usd', metadata: { bookingId: 'b1' } });
+
+  const failed = await paymentProvider.simulatePaymentFailure(intent.id, 'Insufficient funds');
+  const failure = paymentProvider.constructWebhookEvent(failed.payload, failed.signature);
+
+  assert.strictEqual(failure.type, 'payment_intent.payment_failed');
+  assert.strictEqual(failure.data.object.last_payment_error.message, 'Insufficient funds');
+
+  const succeeded = await paymentProvider.simulatePaymentSuccess(intent.id);
+  const success = paymentProvider.constructWebhookEvent(Buffer.from(succeeded.payload), succeeded.signature);
+
+  assert.strictEqual(success.type, 'payment_intent.succeeded');
+  assert.strictEqual(success.data.object.metadata.bookingId, 'b1');
+  assert.strictEqual((await paymentProvider.retrievePaymentIntent(intent.id)).status, 'succeeded');
+});
+
+test('deliveries with a tampered payload or missing signature are rejected', async () => {
+  const intent = await paymentProvider.createPaymentIntent({ amount: 2000, currency: 'usd' });
+  const delivery = await paymentProvider.simulatePaymentSuccess(intent.id);
+  const tampered = delivery.payload.replace('"amount":2000', '"amount":1');
+
+  assert.throws(() => paymentProvider.constructWebhookEvent(tampered, delivery.signature), /No signatures found/);
+  assert.throws(() => paymentProvider.constructWebhookEvent(delivery.payload, undefined), /Unable to extract timestamp/);
+});
+
+test('refunds are limited to what was paid and not yet refunded', async () => {
+  const intent = await paymentProvider.createPaymentIntent({ amount: 2000, currency: 'usd' });
+
+  await assert.rejects(paymentProvider.createRefund({ paymentIntentId: intent.id }), /has not succeeded/);
+
+  await paymentProvider.simulatePaymentSuccess(intent.id);
+  const refunded = await paymentProvider.simulateRefund(intent.id, 500);
+  const partial = paymentProvider.constructWebhookEvent(refunded.payload, refunded.signature);
+
+  assert.strictEqual(partial.type, 'charge.refunded');
+  assert.strictEqual(partial.data.object.amount_refunded, 500);
+  assert.strictEqual(partial.data.object.refunded, false);
+
+  await assert.rejects(paymentProvider.createRefund({ paymentIntentId: intent.id, amount: 1600 }), /greater than unrefunded amount/);
+
+  const rest = await paymentProvider.simulateRefund(intent.id);
+
+  assert.strictEqual(rest.event.data.object.amount_refunded, 2000);
+  assert.strictEqual(rest.event.data.object.refunded, true);
+  assert.deepStrictEqual((await paymentProvider.listRefunds(intent.id)).map(refund => refund.amount), [500, 1500]);
+});
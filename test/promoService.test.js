@@ -0,0 +1,239 @@
+const { newId, build } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { quotePromoCode, redeemPromoCode, applyPromoRedemption } = require('../utils/promoService');
+
+const MINUTE_MS = 60 * 1000;
+const trainerId = newId();
+const userId = newId();
+
+const classItem = {
+  _id: newId(),
+  trainer: trainerId,
+  type: 'yoga',
+  price: 40,
+  currency: 'USD'
+};
+
+const newPromo = (t, fields) => build(t, PromoCode, {
+  trainer: trainerId,
+  code: 'SPRING',
+  discountType: 'percentage',
+  discountValue: 25,
+  ...fields
+});
+
+// A client's checkout that took a redemption of the code the given minutes ago
+const checkout = (promo, minutesAgo, fields) => ({
+  _id: newId(),
+  promoCode: promo._id,
+  user: userId,
+  status: 'pending',
+  createdAt: new Date(Date.now() - minutesAgo * MINUTE_MS),
+  ...fields
+});
+
+// Keeps the code and its redemptions in memory, applying the filters quotePromoCode and redeemPromoCode use
+const stubQuote = (t, promo, redemptions = []) => {
+  const statusMatches = (redemption, status) => (status.$in ? status.$in.includes(redemption.status) : redemption.status === status);
+
+  t.mock.method(PromoCode, 'findOne', async () => promo);
+  t.mock.method(PromoCode, 'findById', () => ({
+    select: async () => ({ redemptionCount: promo.redemptionCount })
+  }));
+  t.mock.method(PromoCode, 'findOneAndUpdate', async () => {
+    if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) return null;
+    promo.redemptionCount += 1;
+    return promo;
+  });
+  t.mock.method(PromoCode, 'updateOne', async (filter, update) => {
+    promo.redemptionCount += update.$inc.redemptionCount;
+    return { modifiedCount: 1 };
+  });
+
+  t.mock.method(PromoRedemption, 'countDocuments', async (filter) => redemptions
+    .filter(r => r.user.equals(filter.user) && statusMatches(r, filter.status)).length);
+  t.mock.method(PromoRedemption, 'findOneAndUpdate', async (filter, update) => {
+    const redemption = redemptions.find(r =>
+      r.user.equals(filter.user) &&
+      r.promoCode.equals(filter.promoCode) &&
+      statusMatches(r, filter.status) &&
+      (!filter.createdAt || r.createdAt < filter.createdAt.$lt)
+    );
+    return redemption ? Object.assign(redemption, update) : null;
+  });
+  t.mock.method(PromoRedemption, 'create', async (doc) => {
+    const redemption = { _id: newId(), status: 'pending', createdAt: new Date(), ...doc };
+    redemptions.push(redemption);
+    return redemption;
+  });
+
+  return redemptions;
+};
+
+test('percentage codes discount the class price', async (t) => {
+  stubQuote(t, newPromo(t));
+
+  const quote = await quotePromoCode(' spring ', { userId, classItem });
+
+  assert.strictEqual(quote.originalAmount, 40);
+  assert.strictEqual(quote.discountAmount, 10);
+  assert.strictEqual(quote.amount, 30);
+  assert.strictEqual(quote.currency, 'USD');
+});
+
+test('fixed discounts are capped at the price and rounded to the currency', async (t) => {
+  stubQuote(t, newPromo(t, { discountType: 'fixed', discountValue: 55.555, currency: 'USD' }));
+
+  const quote = await quotePromoCode('SPRING', { userId, classItem });
+
+  assert.strictEqual(quote.discountAmount, 40);
+  assert.strictEqual(quote.amount, 0);
+});
+
+test('fixed discounts in another currency do not apply', async (t) => {
+  stubQuote(t, newPromo(t, { discountType: 'fixed', discountValue: 5, currency: 'EUR' }));
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_NOT_APPLICABLE', status: 400 });
+});
+
+test('codes limited to other class types do not apply', async (t) => {
+  stubQuote(t, newPromo(t, { classTypes: ['pilates'] }));
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_NOT_APPLICABLE' });
+});
+
+test('inactive codes are refused', async (t) => {
+  stubQuote(t, newPromo(t, { isActive: false }));
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_NOT_FOUND' });
+});
+
+test('expired codes are refused', async (t) => {
+  stubQuote(t, newPromo(t, { expiresAt: new Date(Date.now() - 1000) }));
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_EXPIRED' });
+});
+
+test('fully redeemed codes are refused', async (t) => {
+  stubQuote(t, newPromo(t, { maxRedemptions: 5, redemptionCount: 5 }));
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_EXHAUSTED' });
+});
+
+test('clients cannot use a code more than their limit', async (t) => {
+  const promo = newPromo(t, { perUserLimit: 2 });
+  stubQuote(t, promo, [checkout(promo, 5, { status: 'applied' }), checkout(promo, 10, { status: 'applied' })]);
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_LIMIT_REACHED' });
+});
+
+test('abandoned checkouts give their redemptions back before the limits are checked', async (t) => {
+  const promo = newPromo(t, { maxRedemptions: 5, redemptionCount: 5 });
+  const abandoned = checkout(promo, 60);
+  const otherClient = checkout(promo, 60, { user: newId() });
+  stubQuote(t, promo, [abandoned, otherClient]);
+
+  const quote = await quotePromoCode('SPRING', { userId, classItem });
+
+  assert.strictEqual(quote.amount, 30);
+  assert.strictEqual(abandoned.status, 'reversed');
+  assert.strictEqual(otherClient.status, 'pending');
+  assert.strictEqual(promo.redemptionCount, 4);
+});
+
+test('checkouts still in progress keep their redemption', async (t) => {
+  const promo = newPromo(t, { maxRedemptions: 1, redemptionCount: 1 });
+  const inProgress = checkout(promo, 5);
+  stubQuote(t, promo, [inProgress]);
+
+  await assert.rejects(quotePromoCode('SPRING', { userId, classItem }), { code: 'PROMO_EXHAUSTED' });
+  assert.strictEqual(inProgress.status, 'pending');
+  assert.strictEqual(promo.redemptionCount, 1);
+});
+
+test('redeeming takes one of the code\'s redemptions for the payment', async (t) => {
+  const promo = newPromo(t, { maxRedemptions: 5, redemptionCount: 4 });
+  const redemptions = stubQuote(t, promo);
+  const paymentId = newId();
+
+  const redemption = await redeemPromoCode(promo, { userId, paymentId, discountAmount: 10 });
+
+  assert.strictEqual(promo.redemptionCount, 5);
+  assert.deepStrictEqual(redemptions, [redemption]);
+  assert.strictEqual(redemption.payment, paymentId);
+});
+
+test('redeeming fails when another client took the last redemption', async (t) => {
+  const promo = newPromo(t, { maxRedemptions: 5, redemptionCount: 5 });
+  const redemptions = stubQuote(t, promo);
+
+  await assert.rejects(
+    redeemPromoCode(promo, { userId, paymentId: newId(), discountAmount: 10 }),
+    { code: 'PROMO_EXHAUSTED' }
+  );
+  assert.strictEqual(redemptions.length, 0);
+  assert.strictEqual(promo.redemptionCount, 5);
+});
+
+// Keeps the code and one payment's redemption in memory, applying the filters applyPromoRedemption uses
+const stubApply = (t, { status, maxRedemptions = null, redemptionCount }) => {
+  const promo = { _id: newId(), maxRedemptions, redemptionCount };
+  const redemption = { _id: newId(), promoCode: promo._id, status };
+
+  t.mock.method(PromoRedemption, 'findOne', async (filter) => (redemption.status === filter.status ? redemption : null));
+  t.mock.method(PromoRedemption, 'findOneAndUpdate', async (filter, update) => {
+    if (redemption.status !== filter.status) return null;
+    redemption.status = update.status;
+    return redemption;
+  });
+  t.mock.method(PromoCode, 'findOneAndUpdate', async () => {
+    if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) return null;
+    promo.redemptionCount += 1;
+    return promo;
+  });
+  t.mock.method(PromoCode, 'updateOne', async () => {
+    promo.redemptionCount -= 1;
+    return { modifiedCount: 1 };
+  });
+
+  return { promo, redemption };
+};
+
+test('a payment that completes after its redemption was given back takes it again', async (t) => {
+  const { promo, redemption } = stubApply(t, { status: 'reversed', maxRedemptions: 10, redemptionCount: 4 });
+
+  assert.strictEqual(await applyPromoRedemption(newId()), redemption);
+
+  assert.strictEqual(redemption.status, 'applied');
+  assert.strictEqual(promo.redemptionCount, 5);
+});
+
+test('a given back redemption is not taken again once the code is fully redeemed', async (t) => {
+  const { promo, redemption } = stubApply(t, { status: 'reversed', maxRedemptions: 10, redemptionCount: 10 });
+
+  assert.strictEqual(await applyPromoRedemption(newId()), null);
+
+  assert.strictEqual(redemption.status, 'reversed');
+  assert.strictEqual(promo.redemptionCount, 10);
+});
+
+test('a given back redemption of an unlimited code is always taken again', async (t) => {
+  const { promo, redemption } = stubApply(t, { status: 'reversed', redemptionCount: 250 });
+
+  await applyPromoRedemption(newId());
+
+  assert.strictEqual(redemption.status, 'applied');
+  assert.strictEqual(promo.redemptionCount, 251);
+});
+
+test('applying a pending redemption does not count it twice', async (t) => {
+  const { promo, redemption } = stubApply(t, { status: 'pending', maxRedemptions: 10, redemptionCount: 10 });
+
+  await applyPromoRedemption(newId());
+
+  assert.strictEqual(redemption.status, 'applied');
+  assert.strictEqual(promo.redemptionCount, 10);
+});
@@ -0,0 +1,126 @@
+const { newId, build } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const paymentProvider = require('../utils/paymentProviders');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Booking = require('../models/Booking');
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const { processRefund } = require('../utils/stripeService');
+
+// A completed payment whose intent the fake provider has charged, for a booking whose payment status refunds update
+const newPaidPayment = async (t, { amount, currency = 'USD', ...fields }) => {
+  const intent = await paymentProvider.createPaymentIntent({
+    amount: Math.round(amount * (currency === 'JPY' ? 1 : 100)),
+    currency: currency.toLowerCase()
+  });
+  await paymentProvider.simulatePaymentSuccess(intent.id);
+
+  const booking = { _id: newId(), paymentStatus: 'paid' };
+  const payment = build(t, Payment, {
+    user: newId(),
+    booking: booking._id,
+    amount,
+    currency,
+    status: 'completed',
+    transactionId: intent.id,
+    ...fields
+  });
+
+  const refunds = [];
+  t.mock.method(Payment, 'findById', async () => payment);
+  t.mock.method(Refund.prototype, 'save', async function () {
+    if (!refunds.includes(this)) refunds.push(this);
+    return this;
+  });
+  t.mock.method(Refund, 'find', async () => refunds.filter(refund => ['pending', 'succeeded'].includes(refund.status)));
+  t.mock.method(Booking, 'findByIdAndUpdate', async (id, update) => {
+    if (booking._id.equals(id)) Object.assign(booking, update);
+    return booking;
+  });
+  t.mock.method(console, 'error', () => {});
+
+  return { payment, intent, booking, refunds };
+};
+
+test('partial refunds are recorded and the payment is marked partially refunded', async (t) => {
+  const { payment, intent, booking } = await newPaidPayment(t, { amount: 50 });
+
+  const result = await processRefund(payment._id, 'Client request', { amount: 20, initiatorRole: 'trainer' });
+
+  assert.strictEqual(result.amount, 20);
+  assert.strictEqual(result.status, 'succeeded');
+  assert.strictEqual(payment.status, 'partially_refunded');
+  assert.strictEqual(payment.refundedAmount, 20);
+  assert.deepStrictEqual((await paymentProvider.listRefunds(intent.id)).map(refund => refund.amount), [2000]);
+  assert.strictEqual(booking.paymentStatus, 'partially_refunded');
+});
+
+test('refunding the rest marks the payment refunded', async (t) => {
+  const { payment, booking } = await newPaidPayment(t, { amount: 50 });
+
+  await processRefund(payment._id, 'First', { amount: 19.99 });
+  const result = await processRefund(payment._id, 'Rest');
+
+  assert.strictEqual(result.amount, 30.01);
+  assert.strictEqual(payment.refundedAmount, 50);
+  assert.strictEqual(payment.status, 'refunded');
+  assert.strictEqual(booking.paymentStatus, 'refunded');
+});
+
+test('refunds above what is left are refused before reaching the provider', async (t) => {
+  const { payment, intent, refunds } = await newPaidPayment(t, { amount: 50, refundedAmount: 40, status: 'partially_refunded' });
+
+  await assert.rejects(processRefund(payment._id, 'Too much', { amount: 10.01 }), /at most 10/);
+  assert.deepStrictEqual(await paymentProvider.listRefunds(intent.id), []);
+  assert.strictEqual(refunds.length, 0);
+});
+
+test('payments that have not completed cannot be refunded', async (t) => {
+  const { payment } = await newPaidPayment(t, { amount: 50, status: 'pending' });
+
+  await assert.rejects(processRefund(payment._id, 'Refund'), /Only completed payments/);
+});
+
+test('zero decimal currencies are refunded in whole units', async (t) => {
+  const { payment, intent } = await newPaidPayment(t, { amount: 3000, currency: 'JPY' });
+
+  const result = await processRefund(payment._id, 'Refund', { amount: 1000.4 });
+
+  assert.strictEqual(result.amount, 1000);
+  assert.deepStrictEqual((await paymentProvider.listRefunds(intent.id)).map(refund => refund.amount), [1000]);
+});
+
+test('provider failures leave a failed refund record and the payment untouched', async (t) => {
+  const { payment, booking, refunds } = await newPaidPayment(t, { amount: 50 });
+  t.mock.method(paymentProvider, 'createRefund', async () => {
+    throw new Error('Card network unavailable');
+  });
+
+  await assert.rejects(processRefund(payment._id, 'Refund'), /Card network unavailable/);
+  assert.strictEqual(refunds[0].status, 'failed');
+  assert.strictEqual(payment.status, 'completed');
+  assert.strictEqual(payment.refundedAmount, 0);
+  assert.strictEqual(booking.paymentStatus, 'paid');
+});
+
+test('credit pack refunds are capped at the unused credits and close the pack', async (t) => {
+  const pack = build(t, CreditPack, { status: 'active', creditsTotal: 10, creditsRemaining: 4 });
+  const { payment } = await newPaidPayment(t, { amount: 100, creditPack: pack._id });
+  const ledger = [];
+  t.mock.method(CreditPack, 'findById', async () => pack);
+  t.mock.method(CreditTransaction, 'create', async (entry) => ledger.push(entry));
+
+  await assert.rejects(processRefund(payment._id, 'Refund', { amount: 50 }), /at most 40/);
+
+  const result = await processRefund(payment._id, 'Refund');
+
+  assert.strictEqual(result.amount, 40);
+  assert.strictEqual(payment.status, 'partially_refunded');
+  assert.strictEqual(pack.status, 'cancelled');
+  assert.strictEqual(pack.creditsRemaining, 0);
+  assert.deepStrictEqual(ledger.map(entry => entry.amount), [-4]);
+
+  await assert.rejects(processRefund(payment._id, 'Again'), /no unused credits left/);
+});
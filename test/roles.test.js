@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireRole, requirePermission } = require('../middleware/roles');
+const admin = require('../middleware/admin');
+const trainer = require('../middleware/trainer');
+
+const run = (middleware, userType) => {
+  const result = { next: false, status: null, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+
+  middleware({ user: { id: 'user-id', userType } }, res, () => {
+    result.next = true;
+  });
+
+  return result;
+};
+
+test('requireRole lets listed roles through', () => {
+  assert.strictEqual(run(requireRole('trainer', 'admin'), 'trainer').next, true);
+  assert.strictEqual(run(requireRole('trainer', 'admin'), 'admin').next, true);
+});
+
+test('requireRole refuses other roles with a 403', () => {
+  const result = run(requireRole('trainer', 'admin'), 'client');
+
+  assert.strictEqual(result.next, false);
+  assert.strictEqual(result.status, 403);
+  assert.strictEqual(result.body.msg, 'Access denied. Trainer or Admin role required.');
+});
+
+test('admin and trainer middleware only accept their own role', () => {
+  assert.strictEqual(run(admin, 'admin').next, true);
+  assert.strictEqual(run(admin, 'trainer').status, 403);
+  assert.strictEqual(run(trainer, 'trainer').next, true);
+  assert.strictEqual(run(trainer, 'admin').status, 403);
+  assert.strictEqual(run(trainer, 'client').status, 403);
+});
+
+test('requirePermission checks the role permissions', () => {
+  assert.strictEqual(run(requirePermission('payments:refund'), 'admin').next, true);
+  assert.strictEqual(run(requirePermission('payments:refund'), 'trainer').status, 403);
+  assert.strictEqual(run(requirePermission('payments:refund'), 'client').status, 403);
+  assert.strictEqual(run(requirePermission('payments:refund'), undefined).status, 403);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSessionTimes, isWithinAvailability, validateBookingSlot } = require('../utils/schedule');
+const { isValidLocalTime, convertWeeklySlot, normalizeDay } = require('../utils/timezone');
+const { weeklySlotsOverlap } = require('../utils/conflicts');
+
+// A Wednesday in winter, so New York is UTC-5 and London is UTC+0
+const WINTER = new Date('2027-01-06T12:00:00Z');
+
+test('session times are stored as instants in the class timezone', () => {
+  const { startAt, endAt } = getSessionTimes(new Date('2027-01-06'), '09:00', '10:00', 'America/New_York');
+
+  assert.strictEqual(startAt.toISOString(), '2027-01-06T14:00:00.000Z');
+  assert.strictEqual(endAt.toISOString(), '2027-01-06T15:00:00.000Z');
+});
+
+test('sessions ending after midnight end on the next day', () => {
+  const { startAt, endAt } = getSessionTimes(new Date('2027-01-06'), '23:30', '00:30', 'UTC');
+
+  assert.strictEqual(endAt - startAt, 60 * 60 * 1000);
+});
+
+test('times skipped by a daylight saving change are not valid', () => {
+  assert.strictEqual(isValidLocalTime(new Date('2027-03-14'), '02:30', 'America/New_York'), false);
+  assert.strictEqual(isValidLocalTime(new Date('2027-03-14'), '03:30', 'America/New_York'), true);
+});
+
+test('availability is checked in the trainer timezone', () => {
+  const availability = [{ day: 'Wednesday', startTime: '08:00', endTime: '12:00' }];
+  const { startAt, endAt } = getSessionTimes(new Date('2027-01-06'), '14:00', '15:00', 'Europe/London');
+
+  assert.strictEqual(isWithinAvailability(availability, startAt, endAt, 'America/New_York'), true);
+  assert.strictEqual(isWithinAvailability(availability, startAt, endAt, 'Europe/London'), false);
+  assert.strictEqual(isWithinAvailability([], startAt, endAt, 'Europe/London'), true);
+});
+
+test('bookings must match a scheduled slot of the class', () => {
+  const classItem = {
+    timezone: 'Europe/London',
+    duration: 60,
+    schedule: [{ day: 'Wednesday', startTime: '18:00', endTime: '19:00' }]
+  };
+  const wednesday = new Date('2027-01-06');
+
+  assert.strictEqual(validateBookingSlot(classItem, null, wednesday, '18:00', '19:00'), null);
+  assert.strictEqual(validateBookingSlot(classItem, null, wednesday, '18:00', '18:30').code, 'DURATION_MISMATCH');
+  assert.strictEqual(validateBookingSlot(classItem, null, wednesday, '17:00', '18:00').code, 'SLOT_NOT_IN_SCHEDULE');
+  assert.strictEqual(validateBookingSlot(classItem, null, new Date('2027-01-07'), '18:00', '19:00').code, 'SLOT_NOT_IN_SCHEDULE');
+  assert.strictEqual(validateBookingSlot(classItem, null, new Date('2020-01-01'), '18:00', '19:00').code, 'DATE_IN_PAST');
+});
+
+test('slots running past midnight can be booked', () => {
+  const classItem = {
+    timezone: 'UTC',
+    duration: 60,
+    schedule: [{ day: 'Wednesday', startTime: '23:30', endTime: '00:30' }]
+  };
+  const wednesday = new Date('2027-01-06');
+
+  assert.strictEqual(validateBookingSlot(classItem, null, wednesday, '23:30', '00:30'), null);
+  assert.strictEqual(validateBookingSlot(classItem, null, wednesday, '23:30', '01:00').code, 'DURATION_MISMATCH');
+});
+
+test('bookings outside the trainer availability are refused', () => {
+  const classItem = {
+    timezone: 'Europe/London',
+    duration: 60,
+    schedule: [{ day: 'Wednesday', startTime: '18:00', endTime: '19:00' }]
+  };
+  const trainer = {
+    timezone: 'Europe/London',
+    profile: { availability: [{ day: 'Wednesday', startTime: '09:00', endTime: '17:00' }] }
+  };
+
+  assert.strictEqual(validateBookingSlot(classItem, trainer, new Date('2027-01-06'), '18:00', '19:00').code, 'TRAINER_UNAVAILABLE');
+});
+
+test('weekly slots convert between zones, moving to another day when needed', () => {
+  const slot = { day: 'monday', startTime: '21:00', endTime: '22:00' };
+
+  assert.deepStrictEqual(
+    convertWeeklySlot(slot, 'America/New_York', 'Europe/London', WINTER),
+    { day: 'Tuesday', startTime: '02:00', endTime: '03:00' }
+  );
+  assert.strictEqual(convertWeeklySlot({ ...slot, day: 'Someday' }, 'UTC', 'UTC', WINTER), null);
+  assert.strictEqual(normalizeDay('FRIDAY'), 'Friday');
+  assert.strictEqual(normalizeDay('Fri'), null);
+});
+
+// Slots are compared at the current offsets, so these use zones without daylight saving
+test('weekly slots of classes in different zones overlap when their times do', () => {
+  const tokyo = { day: 'Monday', startTime: '09:00', endTime: '10:00' };
+
+  assert.strictEqual(weeklySlotsOverlap(tokyo, 'Asia/Tokyo', { day: 'Monday', startTime: '00:30', endTime: '01:30' }, 'UTC'), true);
+  assert.strictEqual(weeklySlotsOverlap(tokyo, 'Asia/Tokyo', { day: 'Monday', startTime: '06:00', endTime: '07:00' }, 'Asia/Kolkata'), true);
+  assert.strictEqual(weeklySlotsOverlap(tokyo, 'Asia/Tokyo', { day: 'Monday', startTime: '01:00', endTime: '02:00' }, 'UTC'), false);
+  assert.strictEqual(weeklySlotsOverlap(tokyo, 'Asia/Tokyo', { day: 'Monday', startTime: '09:00', endTime: '10:00' }, 'UTC'), false);
+});
+
+test('weekly slots overlap across the end of the week', () => {
+  const earlyMondayTokyo = { day: 'Monday', startTime: '08:30', endTime: '09:30' };
+  const earlyMondayUtc = { day: 'Monday', startTime: '00:00', endTime: '01:00' };
+  const lateSundayUtc = { day: 'Sunday', startTime: '23:00', endTime: '23:59' };
+
+  assert.strictEqual(weeklySlotsOverlap(earlyMondayTokyo, 'Asia/Tokyo', earlyMondayUtc, 'UTC'), true);
+  assert.strictEqual(weeklySlotsOverlap(earlyMondayUtc, 'UTC', earlyMondayTokyo, 'Asia/Tokyo'), true);
+  assert.strictEqual(weeklySlotsOverlap(lateSundayUtc, 'UTC', earlyMondayUtc, 'UTC'), false);
+});
@@ -0,0 +1,125 @@
+const { newId, build, query, stubSeats, captureEmails } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Class = require('../models/Class');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const Membership = require('../models/Membership');
+const { getSessionTimes } = require('../utils/schedule');
+const { syncSessions } = require('../utils/sessionService');
+
+const WEDNESDAY = new Date('2027-01-06');
+
+// A stored Wednesday 09:00-10:00 occurrence, so only fields changed afterwards count as modified
+const storedSession = (t, classItem, fields) => {
+  const session = Session.hydrate({
+    _id: newId(),
+    class: classItem._id,
+    trainer: classItem.trainer,
+    slotDate: WEDNESDAY,
+    slotStartTime: '09:00',
+    date: WEDNESDAY,
+    startTime: '09:00',
+    endTime: '10:00',
+    timezone: 'UTC',
+    ...getSessionTimes(WEDNESDAY, '09:00', '10:00', 'UTC'),
+    status: 'scheduled',
+    isRescheduled: false,
+    ...fields
+  });
+  t.mock.method(session, 'save', async () => session);
+  return session;
+};
+
+// Plain bookings, as populated ones are, that Booking.updateMany and the waitlist promotion update in place
+const stubBookings = (t, session, statuses) => {
+  const bookings = statuses.map((status, i) => ({
+    _id: newId(),
+    session: session._id,
+    user: { _id: newId(), name: `Client ${i}`, email: `client${i}@example.com` },
+    date: session.date,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    startAt: session.startAt,
+    endAt: session.endAt,
+    status,
+    save: async () => {}
+  }));
+
+  t.mock.method(Booking, 'updateMany', async (filter, update) => {
+    bookings
+      .filter(booking => booking.session.equals(filter.session) && booking.status !== filter.status.$ne)
+      .forEach(booking => Object.assign(booking, update));
+  });
+  t.mock.method(Booking, 'findOneAndUpdate', (filter, update) => {
+    const next = bookings.find(booking => booking.status === filter.status);
+    if (next) Object.assign(next, update);
+    return query(next || null);
+  });
+
+  return bookings;
+};
+
+test('a schedule change moves the bookings with the session and fills new seats from the waitlist', async (t) => {
+  const classItem = build(t, Class, {
+    trainer: newId(),
+    title: 'Morning Flow',
+    description: 'Vinyasa',
+    type: 'yoga',
+    duration: 90,
+    capacity: 2,
+    price: 20,
+    timezone: 'UTC',
+    schedule: [{ day: 'Wednesday', startTime: '09:00', endTime: '10:30', capacity: 3 }]
+  });
+  const session = storedSession(t, classItem, { capacity: 2, bookedSeats: 2 });
+  const [seated, , cancelled, first, second] = stubBookings(t, session, ['confirmed', 'pending', 'cancelled', 'waitlisted', 'waitlisted']);
+
+  stubSeats(t, session);
+  const sent = captureEmails(t);
+  t.mock.method(Session, 'find', () => query([session]));
+  t.mock.method(Session, 'findById', () => query({ _id: session._id, status: session.status, class: classItem }));
+  t.mock.method(Session, 'bulkWrite', async () => ({}));
+  t.mock.method(Membership, 'find', () => query([]));
+
+  await syncSessions(classItem);
+
+  assert.strictEqual(session.endTime, '10:30');
+  assert.strictEqual(session.endAt.toISOString(), '2027-01-06T10:30:00.000Z');
+  assert.strictEqual(seated.endTime, '10:30');
+  assert.strictEqual(seated.endAt.getTime(), session.endAt.getTime());
+  assert.strictEqual(cancelled.endTime, '10:00');
+
+  assert.strictEqual(session.capacity, 3);
+  assert.strictEqual(session.bookedSeats, 3);
+  assert.strictEqual(first.status, 'pending');
+  assert.strictEqual(second.status, 'waitlisted');
+  assert.deepStrictEqual(sent.map(mail => mail.to), ['client3@example.com']);
+});
+
+test('sessions matching the schedule leave their bookings alone', async (t) => {
+  const classItem = build(t, Class, {
+    trainer: newId(),
+    title: 'Morning Flow',
+    description: 'Vinyasa',
+    type: 'yoga',
+    duration: 60,
+    capacity: 2,
+    price: 20,
+    timezone: 'UTC',
+    schedule: [{ day: 'Wednesday', startTime: '09:00', endTime: '10:00' }]
+  });
+  const session = storedSession(t, classItem, { capacity: 2, bookedSeats: 2 });
+  const [seated, waiting] = stubBookings(t, session, ['confirmed', 'waitlisted']);
+
+  stubSeats(t, session);
+  t.mock.method(Session, 'find', () => query([session]));
+  t.mock.method(Session, 'bulkWrite', async () => ({}));
+
+  await syncSessions(classItem);
+
+  assert.strictEqual(seated.endTime, '10:00');
+  assert.strictEqual(seated.endAt.getTime(), session.endAt.getTime());
+  assert.strictEqual(waiting.status, 'waitlisted');
+  assert.strictEqual(session.bookedSeats, 2);
+});
@@ -0,0 +1,100 @@
+const { newId, newUser, query } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const paymentProvider = require('../utils/paymentProviders');
+const { createPaymentIntent, createConnectOnboardingLink, refreshConnectAccount } = require('../utils/stripeService');
+
+// An unpaid booking of a $20 class, the payments already made for it and its trainer, if they are to be looked up
+const stubBooking = (t, { payments = [], trainer = null } = {}) => {
+  const userId = newId();
+  // Plain, as the populated class can't be set on a Booking document
+  const booking = {
+    _id: newId(),
+    user: userId,
+    trainer: trainer ? trainer._id : newId(),
+    class: { _id: newId(), title: 'Morning Flow', price: 20, currency: 'USD', type: 'yoga', trainer: newId() }
+  };
+
+  const saved = [];
+  t.mock.method(Booking, 'findById', () => query(booking));
+  t.mock.method(Payment, 'findOne', async (filter) => payments.find(payment => filter.status.$in.includes(payment.status)) || null);
+  t.mock.method(Payment.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  t.mock.method(User, 'findById', () => query(trainer));
+  t.mock.method(console, 'error', () => {});
+
+  return { booking, userId: userId.toString(), saved };
+};
+
+test('bookings that have been paid for cannot be paid again', async (t) => {
+  for (const status of ['completed', 'partially_refunded']) {
+    await t.test(status, async (t) => {
+      const { booking, userId, saved } = stubBooking(t, { payments: [{ status }] });
+
+      await assert.rejects(createPaymentIntent(booking._id, userId, 'card'), /Payment already completed/);
+      assert.strictEqual(saved.length, 0);
+    });
+  }
+});
+
+test('bookings whose earlier payment failed can be paid again', async (t) => {
+  const { booking, userId, saved } = stubBooking(t, { payments: [{ status: 'failed' }] });
+
+  const result = await createPaymentIntent(booking._id, userId, 'card');
+
+  assert.strictEqual(result.status, 'pending');
+  assert.strictEqual(result.amount, 20);
+  assert.ok(result.clientSecret);
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(saved[0].status, 'pending');
+});
+
+test('payments for trainers with payouts enabled go to their account less the platform fee', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer', stripeConnect: { accountId: 'acct_1', payoutsEnabled: true } });
+  const { booking, userId, saved } = stubBooking(t, { trainer });
+
+  const result = await createPaymentIntent(booking._id, userId, 'card');
+
+  const intent = await paymentProvider.retrievePaymentIntent(saved[0].transactionId);
+  assert.strictEqual(result.amount, 20);
+  assert.strictEqual(saved[0].platformFee, 2);
+  assert.strictEqual(saved[0].transferDestination, 'acct_1');
+  assert.strictEqual(intent.amount, 2000);
+  assert.deepStrictEqual(intent.transfer_data, { destination: 'acct_1' });
+  assert.strictEqual(intent.application_fee_amount, 200);
+});
+
+test('payments for trainers who have not finished onboarding stay on the platform account', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer', stripeConnect: { accountId: 'acct_2', payoutsEnabled: false } });
+  const { booking, userId, saved } = stubBooking(t, { trainer });
+
+  await createPaymentIntent(booking._id, userId, 'card');
+
+  const intent = await paymentProvider.retrievePaymentIntent(saved[0].transactionId);
+  assert.strictEqual(saved[0].platformFee, 2);
+  assert.strictEqual(saved[0].transferDestination, undefined);
+  assert.strictEqual(intent.transfer_data, null);
+});
+
+test('Connect onboarding creates the trainer account once and picks up its payout status', async (t) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  t.mock.method(User, 'findById', () => query(trainer));
+  t.mock.method(User, 'findOne', async () => trainer);
+
+  const first = await createConnectOnboardingLink(trainer._id);
+  const second = await createConnectOnboardingLink(trainer._id);
+
+  assert.match(first.accountId, /^acct_/);
+  assert.strictEqual(second.accountId, first.accountId);
+  assert.strictEqual(trainer.stripeConnect.accountId, first.accountId);
+  assert.ok(first.url.includes(first.accountId));
+
+  const connect = await refreshConnectAccount(trainer._id);
+  assert.strictEqual(connect.detailsSubmitted, true);
+  assert.strictEqual(connect.payoutsEnabled, true);
+});
@@ -0,0 +1,118 @@
+const { newUser } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../utils/tokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const req = {
+  get: () => 'node-test',
+  ip: '127.0.0.1'
+};
+
+// Refresh tokens stored in memory, with the revocation filters applied as the database would
+const stubRefreshTokens = (t, ...users) => {
+  const stored = [];
+  const active = (record) => record.revokedAt === null && record.expiresAt > new Date();
+  const revoke = (record, update) => Object.assign(record, { revokedAt: update.revokedAt, revokedReason: update.revokedReason });
+
+  t.mock.method(RefreshToken, 'create', async (doc) => stored.push({ ...doc, revokedAt: null }));
+  t.mock.method(RefreshToken, 'findOne', async (filter) => stored.find(record => record.tokenHash === filter.tokenHash) || null);
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = stored.find(r => r.tokenHash === filter.tokenHash && active(r));
+    return record ? revoke(record, update) : null;
+  });
+  t.mock.method(RefreshToken, 'updateOne', async (filter, update) => {
+    const record = stored.find(r => r.tokenHash === filter.tokenHash && r.revokedAt === null);
+    if (record) revoke(record, update);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+  t.mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const records = stored.filter(record => record.revokedAt === null &&
+      (filter.family ? record.family === filter.family : record.user.equals(filter.user)));
+    records.forEach(record => revoke(record, update));
+    return { modifiedCount: records.length };
+  });
+
+  t.mock.method(User, 'findById', async (id) => users.find(user => user._id.equals(id)) || null);
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    const user = users.find(u => u._id.equals(filter._id));
+    user.tokenVersion += update.$inc.tokenVersion;
+  });
+
+  return stored;
+};
+
+test('rotating a refresh token issues a new pair and retires the old token', async (t) => {
+  const user = newUser(t, { tokenVersion: 3 });
+  stubRefreshTokens(t, user);
+  const first = await issueTokens(user, req);
+
+  const second = await rotateRefreshToken(first.refreshToken, req);
+
+  assert.notStrictEqual(second.refreshToken, first.refreshToken);
+  const decoded = jwt.verify(second.token, process.env.JWT_SECRET);
+  assert.strictEqual(decoded.user.id, user.id);
+  assert.strictEqual(decoded.user.tokenVersion, 3);
+
+  assert.ok(await rotateRefreshToken(second.refreshToken, req));
+});
+
+test('reusing a rotated refresh token revokes its whole family', async (t) => {
+  const user = newUser(t);
+  const stored = stubRefreshTokens(t, user);
+  const stolen = await issueTokens(user, req);
+  const rotated = await rotateRefreshToken(stolen.refreshToken, req);
+
+  assert.strictEqual(await rotateRefreshToken(stolen.refreshToken, req), null);
+  assert.strictEqual(await rotateRefreshToken(rotated.refreshToken, req), null);
+  assert.deepStrictEqual(stored.map(record => record.revokedReason), ['rotated', 'reuse_detected']);
+});
+
+test('tokens revoked by logging out are refused without signing out other devices', async (t) => {
+  const user = newUser(t);
+  stubRefreshTokens(t, user);
+  const laptop = await issueTokens(user, req);
+  const phone = await issueTokens(user, req);
+
+  assert.strictEqual(await revokeRefreshToken(laptop.refreshToken), true);
+
+  assert.strictEqual(await rotateRefreshToken(laptop.refreshToken, req), null);
+  assert.ok(await rotateRefreshToken(phone.refreshToken, req));
+});
+
+test('unknown and expired tokens are refused', async (t) => {
+  const user = newUser(t);
+  const stored = stubRefreshTokens(t, user);
+  const expired = await issueTokens(user, req);
+  stored[0].expiresAt = new Date(Date.now() - DAY_MS);
+
+  assert.strictEqual(await rotateRefreshToken('made-up-token', req), null);
+  assert.strictEqual(await rotateRefreshToken(expired.refreshToken, req), null);
+});
+
+test('deactivated users cannot refresh', async (t) => {
+  const user = newUser(t);
+  const stored = stubRefreshTokens(t, user);
+  const tokens = await issueTokens(user, req);
+  user.isActive = false;
+
+  assert.strictEqual(await rotateRefreshToken(tokens.refreshToken, req), null);
+  assert.strictEqual(stored.length, 1);
+});
+
+test('signing out everywhere bumps the token version and revokes every refresh token', async (t) => {
+  const user = newUser(t, { tokenVersion: 3 });
+  stubRefreshTokens(t, user);
+  const laptop = await issueTokens(user, req);
+  const phone = await issueTokens(user, req);
+
+  assert.strictEqual(await revokeAllSessions(user._id), 2);
+
+  assert.strictEqual(user.tokenVersion, 4);
+  assert.strictEqual(await rotateRefreshToken(laptop.refreshToken, req), null);
+  assert.strictEqual(await rotateRefreshToken(phone.refreshToken, req), null);
+});
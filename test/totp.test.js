@@ -0,0 +1,84 @@
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  encryptSecret,
+  decryptSecret,
+  hashBackupCode,
+  generateBackupCodes
+} = require('../utils/totp');
+
+// Base32 of the RFC 6238 SHA-1 test key "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.strictEqual(generateCode(RFC_SECRET, stepAt(59)), '287082');
+  assert.strictEqual(generateCode(RFC_SECRET, stepAt(1111111109)), '081804');
+  assert.strictEqual(generateCode(RFC_SECRET, stepAt(1234567890)), '005924');
+  assert.strictEqual(generateCode(RFC_SECRET, stepAt(2000000000)), '279037');
+});
+
+test('codes are accepted one step either side of now and no further', (t) => {
+  const now = 1111111109;
+  t.mock.method(Date, 'now', () => now * 1000);
+  const current = stepAt(now);
+
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current)), current);
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current - 1)), current - 1);
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current + 1)), current + 1);
+  assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current - 2)), null);
+});
+
+test('codes from a step already used are refused', (t) => {
+  const now = 1111111109;
+  t.mock.method(Date, 'now', () => now * 1000);
+  const current = stepAt(now);
+  const code = generateCode(RFC_SECRET, current);
+
+  assert.strictEqual(verifyCode(RFC_SECRET, code, { afterStep: current }), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, code, { afterStep: current - 1 }), current);
+});
+
+test('malformed codes are refused', () => {
+  assert.strictEqual(verifyCode(RFC_SECRET, ''), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, '12345'), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, '12a456'), null);
+  assert.strictEqual(verifyCode(RFC_SECRET, undefined), null);
+});
+
+test('codes typed with spaces are accepted', (t) => {
+  const now = 1111111109;
+  t.mock.method(Date, 'now', () => now * 1000);
+
+  assert.strictEqual(verifyCode(RFC_SECRET, '081 804'), stepAt(now));
+});
+
+test('secrets round trip through encryption and are not stored in the clear', () => {
+  const secret = generateSecret();
+  const encrypted = encryptSecret(secret);
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.ok(!encrypted.includes(secret));
+  assert.notStrictEqual(encryptSecret(secret), encrypted);
+  assert.strictEqual(decryptSecret(encrypted), secret);
+});
+
+test('tampered secrets fail to decrypt', () => {
+  const [iv, tag, data] = encryptSecret(generateSecret()).split(':');
+  const flipped = (data[0] === 'a' ? 'b' : 'a') + data.slice(1);
+
+  assert.throws(() => decryptSecret([iv, tag, flipped].join(':')));
+});
+
+test('backup codes are hashed ignoring case, spaces and dashes', () => {
+  const { codes, hashes } = generateBackupCodes();
+
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(new Set(codes).size, 10);
+  assert.strictEqual(hashes[0].codeHash, hashBackupCode(codes[0]));
+  assert.strictEqual(hashBackupCode(codes[0].toUpperCase().replace('-', ' ')), hashes[0].codeHash);
+});
@@ -0,0 +1,85 @@
+const { newUser, query, captureEmails } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const { getPublishingEligibility, flagExpiredCertifications } = require('../utils/trainerOnboarding');
+
+const NOW = new Date('2027-01-06T12:00:00Z');
+const LAST_YEAR = new Date('2026-01-06T12:00:00Z');
+const NEXT_YEAR = new Date('2028-01-06T12:00:00Z');
+
+const newTrainer = (t, { status = 'approved', certifications = [] } = {}) => newUser(t, {
+  name: 'Tia Trainer',
+  email: 'tia@example.com',
+  userType: 'trainer',
+  trainerApproval: { status },
+  profile: { certifications }
+});
+
+test('approved trainers with a verified, unexpired certification can publish', (t) => {
+  const trainer = newTrainer(t, {
+    certifications: [{ name: 'RYT 200', verificationStatus: 'verified', expirationDate: NEXT_YEAR }]
+  });
+
+  assert.deepStrictEqual(getPublishingEligibility(trainer, NOW), { allowed: true });
+});
+
+test('trainers cannot publish until their application is approved', (t) => {
+  const trainer = newTrainer(t, {
+    status: 'pending',
+    certifications: [{ name: 'RYT 200', verificationStatus: 'verified' }]
+  });
+
+  assert.strictEqual(getPublishingEligibility(trainer, NOW).code, 'TRAINER_NOT_APPROVED');
+});
+
+test('pending and expired certifications do not let a trainer publish', (t) => {
+  const trainer = newTrainer(t, {
+    certifications: [
+      { name: 'RYT 200', verificationStatus: 'pending' },
+      { name: 'CPR', verificationStatus: 'verified', expirationDate: LAST_YEAR }
+    ]
+  });
+
+  assert.strictEqual(getPublishingEligibility(trainer, NOW).code, 'NO_VALID_CERTIFICATION');
+});
+
+test('expired verified certifications are flagged and the trainer is told about them', async (t) => {
+  const trainer = newTrainer(t, {
+    certifications: [
+      { name: 'CPR', verificationStatus: 'verified', expirationDate: LAST_YEAR },
+      { name: 'RYT 200', verificationStatus: 'verified', expirationDate: NEXT_YEAR }
+    ]
+  });
+  t.mock.method(User, 'find', () => query([trainer]));
+  const sent = captureEmails(t);
+
+  assert.strictEqual(await flagExpiredCertifications(NOW), 1);
+
+  const [cpr, ryt] = trainer.profile.certifications;
+  assert.strictEqual(cpr.verificationStatus, 'expired');
+  assert.strictEqual(cpr.expiredAt.getTime(), NOW.getTime());
+  assert.strictEqual(ryt.verificationStatus, 'verified');
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].to, 'tia@example.com');
+  assert.match(sent[0].text, /CPR/);
+  assert.doesNotMatch(sent[0].text, /RYT 200/);
+});
+
+test('pending and rejected certifications past their expiry date are left alone', async (t) => {
+  const trainer = newTrainer(t, {
+    certifications: [
+      { name: 'CPR', verificationStatus: 'verified', expirationDate: LAST_YEAR },
+      { name: 'First Aid', verificationStatus: 'pending', expirationDate: LAST_YEAR },
+      { name: 'RYT 200', verificationStatus: 'rejected', expirationDate: LAST_YEAR }
+    ]
+  });
+  t.mock.method(User, 'find', () => query([trainer]));
+  const sent = captureEmails(t);
+
+  assert.strictEqual(await flagExpiredCertifications(NOW), 1);
+
+  assert.deepStrictEqual(trainer.profile.certifications.map(c => c.verificationStatus), ['expired', 'pending', 'rejected']);
+  assert.strictEqual(sent.length, 1);
+  assert.doesNotMatch(sent[0].text, /First Aid|RYT 200/);
+});
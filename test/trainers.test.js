@@ -0,0 +1,197 @@
+const { newId, newUser, query, signIn, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Class = require('../models/Class');
+const AuditLog = require('../models/AuditLog');
+const router = require('../routes/api/trainers');
+
+// A trainer with the given visible reviews; find and countDocuments apply the class filter and the requested page
+const stubReviews = (t, reviews) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const matching = (filter) => reviews.filter(review =>
+    !('class' in filter) || String(review.class) === String(filter.class)
+  );
+
+  t.mock.method(User, 'findById', () => query(trainer));
+  t.mock.method(Review, 'find', (filter) => {
+    let skip = 0;
+    let limit = reviews.length;
+    const chain = query(() => matching(filter).slice(skip, skip + limit));
+    chain.skip = (n) => { skip = n; return chain; };
+    chain.limit = (n) => { limit = n; return chain; };
+    return chain;
+  });
+  t.mock.method(Review, 'countDocuments', async (filter) => matching(filter).length);
+
+  return trainer;
+};
+
+const newReviews = (count, fields) =>
+  Array.from({ length: count }, (_, i) => ({ _id: newId(), rating: 5, comment: `Review ${i}`, class: null, ...fields }));
+
+test('trainer reviews are listed as an array with the pagination in headers', async (t) => {
+  const trainer = stubReviews(t, newReviews(25));
+
+  const res = await request(router, 'GET', `/${trainer._id}/reviews?page=2&limit=10`);
+
+  assert.strictEqual(res.status, 200);
+  assert.ok(Array.isArray(res.body));
+  assert.deepStrictEqual(res.body.map(review => review.comment), Array.from({ length: 10 }, (_, i) => `Review ${i + 10}`));
+  assert.strictEqual(res.headers.get('x-total-count'), '25');
+  assert.strictEqual(res.headers.get('x-page'), '2');
+  assert.strictEqual(res.headers.get('x-per-page'), '10');
+  assert.strictEqual(res.headers.get('x-total-pages'), '3');
+});
+
+test('reviews can be filtered by class, or to those of the trainer overall', async (t) => {
+  const classId = newId();
+  const trainer = stubReviews(t, [
+    ...newReviews(2, { class: classId }),
+    ...newReviews(1, { class: newId() }),
+    ...newReviews(3)
+  ]);
+
+  const byClass = await request(router, 'GET', `/${trainer._id}/reviews?classId=${classId}`);
+  assert.strictEqual(byClass.status, 200);
+  assert.strictEqual(byClass.body.length, 2);
+  assert.ok(byClass.body.every(review => review.class === classId.toString()));
+  assert.strictEqual(byClass.headers.get('x-total-count'), '2');
+
+  const overall = await request(router, 'GET', `/${trainer._id}/reviews?classId=none`);
+  assert.strictEqual(overall.status, 200);
+  assert.strictEqual(overall.body.length, 3);
+  assert.ok(overall.body.every(review => review.class === null));
+});
+
+test('reviews filtered by an invalid class id are refused', async (t) => {
+  const trainer = stubReviews(t, newReviews(1));
+
+  const res = await request(router, 'GET', `/${trainer._id}/reviews?classId=yoga`);
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.errors[0].path, 'classId');
+});
+
+// A trainer, a client with the given past bookings of the trainer's classes, and an admin. Reviews are kept
+// in memory and the trainer's rating is recomputed from the visible ones, as the aggregate would.
+const stubReviewing = (t, bookings = []) => {
+  const trainer = newUser(t, { userType: 'trainer' });
+  const otherTrainer = newUser(t, { userType: 'trainer' });
+  const client = newUser(t, { name: 'Sam Client' });
+  const admin = newUser(t, { userType: 'admin' });
+  const [clientToken, trainerToken, otherTrainerToken, adminToken] = signIn(t, client, trainer, otherTrainer, admin);
+  const reviews = [];
+
+  t.mock.method(Booking, 'find', (filter) => query(bookings
+    .map(fields => ({ _id: newId(), user: client._id, trainer: trainer._id, status: 'confirmed', ...fields }))
+    .filter(booking => booking.status === filter.status && booking.endAt < filter.endAt.$lt)
+    .filter(booking => !booking.attendance || booking.attendance.status !== filter['attendance.status'].$ne)));
+
+  t.mock.method(Review.prototype, 'save', async function () {
+    if (!reviews.includes(this)) reviews.push(this);
+    return this;
+  });
+  t.mock.method(Review, 'exists', async (filter) => reviews.some(review =>
+    review.trainerId.equals(filter.trainerId) && review.clientId.equals(filter.clientId) && (review.class || null) === filter.class
+  ));
+  t.mock.method(Review, 'findById', async (id) => reviews.find(review => review._id.equals(id)) || null);
+  t.mock.method(Review, 'aggregate', async ([{ $match }]) => {
+    const visible = reviews.filter(review => review.trainerId.equals($match.trainerId) && review.status !== $match.status.$ne);
+    return visible.length > 0
+      ? [{ rating: visible.reduce((acc, review) => acc + review.rating, 0) / visible.length, reviewCount: visible.length }]
+      : [];
+  });
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    if (trainer._id.equals(filter._id)) {
+      trainer.profile.rating = update['profile.rating'];
+      trainer.profile.reviewCount = update['profile.reviewCount'];
+    }
+  });
+  t.mock.method(Class, 'updateOne', async () => ({}));
+  const audits = [];
+  t.mock.method(AuditLog, 'create', async (entry) => audits.push(entry));
+
+  return { trainer, reviews, audits, clientToken, trainerToken, otherTrainerToken, adminToken };
+};
+
+const PAST = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+const FUTURE = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+const postReview = (trainer, token, rating = 4) => request(router, 'POST', `/${trainer._id}/reviews`, {
+  token,
+  body: { rating, comment: 'Great class' }
+});
+
+test('clients can only review trainers whose past classes they did not miss', async (t) => {
+  const { trainer, reviews, clientToken } = stubReviewing(t, [
+    { endAt: FUTURE },
+    { endAt: PAST, attendance: { status: 'no_show' } },
+    { endAt: PAST, status: 'cancelled' }
+  ]);
+
+  const res = await postReview(trainer, clientToken);
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.msg, 'You can only review trainers whose classes you have attended');
+  assert.strictEqual(reviews.length, 0);
+});
+
+test('a review from a recorded attendee is marked verified, updates the rating and can\'t be repeated', async (t) => {
+  const { trainer, reviews, clientToken } = stubReviewing(t, [
+    { endAt: PAST },
+    { endAt: PAST, attendance: { status: 'late' } }
+  ]);
+
+  const res = await postReview(trainer, clientToken, 4);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.verifiedAttendee, true);
+  assert.strictEqual(trainer.profile.rating, 4);
+  assert.strictEqual(trainer.profile.reviewCount, 1);
+
+  const again = await postReview(trainer, clientToken, 1);
+
+  assert.strictEqual(again.status, 400);
+  assert.strictEqual(reviews.length, 1);
+  assert.strictEqual(trainer.profile.rating, 4);
+});
+
+test('past bookings without recorded attendance still allow an unverified review', async (t) => {
+  const { trainer, clientToken } = stubReviewing(t, [{ endAt: PAST }]);
+
+  const res = await postReview(trainer, clientToken);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.verifiedAttendee, false);
+});
+
+test('trainers flag their own reviews, which stay counted until an admin hides them', async (t) => {
+  const { trainer, reviews, audits, clientToken, trainerToken, otherTrainerToken, adminToken } = stubReviewing(t, [{ endAt: PAST }]);
+  await postReview(trainer, clientToken, 2);
+  const [review] = reviews;
+  const flag = (token) => request(router, 'POST', `/reviews/${review._id}/flag`, { token, body: { reason: 'Never attended' } });
+
+  assert.strictEqual((await flag(otherTrainerToken)).status, 403);
+  assert.strictEqual((await flag(trainerToken)).status, 200);
+  assert.strictEqual((await flag(trainerToken)).status, 400);
+  assert.strictEqual(review.status, 'flagged');
+  assert.strictEqual(trainer.profile.reviewCount, 1);
+
+  const moderate = (token, action) => request(router, 'PUT', `/reviews/${review._id}/moderation`, { token, body: { action } });
+
+  assert.strictEqual((await moderate(trainerToken, 'hide')).status, 403);
+
+  const hidden = await moderate(adminToken, 'hide');
+  assert.strictEqual(hidden.status, 200);
+  assert.strictEqual(review.status, 'hidden');
+  assert.strictEqual(trainer.profile.rating, 0);
+  assert.strictEqual(trainer.profile.reviewCount, 0);
+
+  await moderate(adminToken, 'restore');
+  assert.strictEqual(review.status, 'published');
+  assert.strictEqual(trainer.profile.rating, 2);
+  assert.deepStrictEqual(audits.map(entry => entry.action), ['review.hide', 'review.restore']);
+});
@@ -0,0 +1,114 @@
+const { newUser } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { generateCode } = require('../utils/totp');
+const {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+// Codes are checked against a frozen Date.now; lock expiry is compared with the real clock
+const NOW = Date.now();
+const currentStep = Math.floor(NOW / 1000 / 30);
+
+// Enrols the user at NOW - 30s and returns the plain secret and backup codes
+const enrol = async (t, user) => {
+  t.mock.method(Date, 'now', () => NOW - 30 * 1000);
+  const { secret } = await startEnrollment(user);
+  const backupCodes = await completeEnrollment(user, generateCode(secret, currentStep - 1));
+  Date.now.mock.restore();
+  t.mock.method(Date, 'now', () => NOW);
+
+  return { secret, backupCodes };
+};
+
+test('enrolment needs a valid code from the new secret', async (t) => {
+  const user = newUser(t);
+  t.mock.method(Date, 'now', () => NOW);
+
+  await assert.rejects(completeEnrollment(user, '123456'), { code: 'TWO_FACTOR_NOT_STARTED' });
+
+  const { secret, otpauthUrl } = await startEnrollment(user);
+  assert.ok(otpauthUrl.startsWith('otpauth://totp/'));
+  assert.ok(otpauthUrl.includes(`secret=${secret}`));
+  assert.strictEqual(user.twoFactor.enabled, false);
+
+  const wrong = generateCode(secret, currentStep + 5);
+  await assert.rejects(completeEnrollment(user, wrong), { code: 'INVALID_TWO_FACTOR_CODE', status: 400 });
+
+  const codes = await completeEnrollment(user, generateCode(secret, currentStep));
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(user.twoFactor.enabled, true);
+  assert.strictEqual(user.twoFactor.pendingSecret, undefined);
+  assert.strictEqual(user.twoFactor.lastUsedStep, currentStep);
+});
+
+test('login accepts a fresh code but not the same code twice', async (t) => {
+  const user = newUser(t);
+  const { secret } = await enrol(t, user);
+  const code = generateCode(secret, currentStep);
+
+  const result = await verifySecondFactor(user, code);
+  assert.strictEqual(result.method, 'totp');
+  assert.strictEqual(result.backupCodesRemaining, 10);
+
+  await assert.rejects(verifySecondFactor(user, code), { code: 'INVALID_TWO_FACTOR_CODE' });
+});
+
+test('the enrolment code cannot be replayed to log in', async (t) => {
+  const user = newUser(t);
+  const { secret } = await enrol(t, user);
+
+  await assert.rejects(verifySecondFactor(user, generateCode(secret, currentStep - 1)), { code: 'INVALID_TWO_FACTOR_CODE' });
+});
+
+test('backup codes work once each', async (t) => {
+  const user = newUser(t);
+  const { backupCodes } = await enrol(t, user);
+
+  const result = await verifySecondFactor(user, backupCodes[3].toUpperCase());
+  assert.strictEqual(result.method, 'backup');
+  assert.strictEqual(result.backupCodesRemaining, 9);
+
+  await assert.rejects(verifySecondFactor(user, backupCodes[3]), { code: 'INVALID_TWO_FACTOR_CODE' });
+});
+
+test('too many wrong codes lock two-factor checks', async (t) => {
+  const user = newUser(t);
+  const { secret } = await enrol(t, user);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await assert.rejects(verifySecondFactor(user, '000000'), { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  assert.ok(user.twoFactor.lockedUntil > new Date(NOW));
+  await assert.rejects(verifySecondFactor(user, generateCode(secret, currentStep)), { code: 'TWO_FACTOR_LOCKED', status: 429 });
+});
+
+test('a correct code resets the failed attempts', async (t) => {
+  const user = newUser(t);
+  const { secret } = await enrol(t, user);
+
+  await assert.rejects(verifySecondFactor(user, '000000'));
+  assert.strictEqual(user.twoFactor.failedAttempts, 1);
+
+  await verifySecondFactor(user, generateCode(secret, currentStep));
+  assert.strictEqual(user.twoFactor.failedAttempts, 0);
+});
+
+test('users without two-factor cannot be checked', async (t) => {
+  await assert.rejects(verifySecondFactor(newUser(t), '123456'), { code: 'TWO_FACTOR_NOT_ENABLED' });
+});
+
+test('login challenges are only accepted for the two-factor step', (t) => {
+  const user = newUser(t);
+
+  assert.strictEqual(verifyLoginChallenge(createLoginChallenge(user)), user.id);
+  assert.strictEqual(verifyLoginChallenge(jwt.sign({ id: user.id }, process.env.JWT_SECRET)), null);
+  assert.strictEqual(verifyLoginChallenge(jwt.sign({ purpose: 'two-factor-login', id: user.id }, 'other-secret')), null);
+  assert.strictEqual(verifyLoginChallenge('not-a-token'), null);
+});
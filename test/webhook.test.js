@@ -0,0 +1,188 @@
+const { newId, build, newUser, query, signIn, request } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const paymentProvider = require('../utils/paymentProviders');
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const { processEvent } = require('../utils/webhookService');
+const router = require('../routes/api/webhook');
+
+// Stored events, with the unique event id and the claim and ordering filters applied as the database would
+const stubEvents = (t) => {
+  const records = [];
+  const find = (filter) => records.find(record =>
+    filter._id ? record._id.equals(filter._id) : record.stripeEventId === filter.stripeEventId
+  );
+
+  t.mock.method(WebhookEvent, 'create', async (doc) => {
+    if (records.some(record => record.stripeEventId === doc.stripeEventId)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const record = build(t, WebhookEvent, doc);
+    records.push(record);
+    return record;
+  });
+
+  t.mock.method(WebhookEvent, 'findOneAndUpdate', async (filter, update) => {
+    const record = find(filter);
+    const claimable = record && (filter.status
+      ? record.status === filter.status
+      : record.status === 'failed' ||
+        (record.status === 'processing' && record.lastAttemptAt < filter.$or[1].lastAttemptAt.$lt));
+
+    if (!claimable) return null;
+    record.status = update.status;
+    record.lastAttemptAt = update.lastAttemptAt;
+    record.attempts += update.$inc.attempts;
+    return record;
+  });
+
+  t.mock.method(WebhookEvent, 'exists', async (filter) => records.some(record =>
+    !record._id.equals(filter._id.$ne) &&
+    record.objectId === filter.objectId &&
+    filter.type.$in.includes(record.type) &&
+    record.status === filter.status &&
+    record.eventCreatedAt > filter.eventCreatedAt.$gt
+  ));
+
+  t.mock.method(WebhookEvent, 'findById', (id) => query(find({ _id: id }) || null));
+
+  return records;
+};
+
+// A pending $20 payment for an unpaid booking, charged through a fake intent. failLookups makes that
+// many payment lookups throw, as a database outage would.
+const stubPayment = async (t, { failLookups = 0 } = {}) => {
+  const intent = await paymentProvider.createPaymentIntent({ amount: 2000, currency: 'usd' });
+  const booking = { _id: newId(), status: 'pending', paymentStatus: 'unpaid' };
+  const payment = build(t, Payment, {
+    user: newId(),
+    booking: booking._id,
+    amount: 20,
+    currency: 'USD',
+    status: 'pending',
+    transactionId: intent.id
+  });
+
+  t.mock.method(Payment, 'findOne', async () => {
+    if (failLookups > 0) {
+      failLookups -= 1;
+      throw new Error('database unavailable');
+    }
+    return payment;
+  });
+  t.mock.method(Booking, 'updateOne', async (filter, update) => {
+    if (Object.keys(filter).filter(key => key !== '_id').every(key => booking[key] === filter[key])) {
+      Object.assign(booking, update);
+    }
+  });
+  // Receipts are treated as already sent
+  t.mock.method(Invoice, 'findOne', async () => ({ number: 'INV-2027-000001', emailedAt: new Date() }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  return { intent, booking, payment };
+};
+
+const deliver = (delivery) => request(router, 'POST', '/stripe', {
+  body: delivery.payload,
+  headers: { 'stripe-signature': delivery.signature }
+});
+
+test('a payment success completes the payment and confirms its booking', async (t) => {
+  const records = stubEvents(t);
+  const { intent, booking, payment } = await stubPayment(t);
+
+  const res = await deliver(await paymentProvider.simulatePaymentSuccess(intent.id));
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, 'processed');
+  assert.strictEqual(payment.status, 'completed');
+  assert.strictEqual(booking.status, 'confirmed');
+  assert.strictEqual(booking.paymentStatus, 'paid');
+  assert.deepStrictEqual(records.map(record => [record.type, record.status]), [['payment_intent.succeeded', 'processed']]);
+});
+
+test('a replayed delivery is acknowledged without running it again', async (t) => {
+  const records = stubEvents(t);
+  const { intent, payment } = await stubPayment(t);
+  const delivery = await paymentProvider.simulatePaymentSuccess(intent.id);
+
+  await deliver(delivery);
+  payment.status = 'partially_refunded';
+  const res = await deliver(delivery);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.duplicate, true);
+  assert.strictEqual(payment.status, 'partially_refunded');
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].attempts, 1);
+});
+
+test('deliveries with a bad signature are refused', async (t) => {
+  const records = stubEvents(t);
+  const { intent } = await stubPayment(t);
+  const delivery = await paymentProvider.simulatePaymentSuccess(intent.id);
+
+  const res = await deliver({ ...delivery, signature: 't=1,v1=forged' });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(records.length, 0);
+});
+
+test('a failed handler answers with an error so the delivery is retried, and the retry is processed', async (t) => {
+  const records = stubEvents(t);
+  const { intent, booking, payment } = await stubPayment(t, { failLookups: 1 });
+  const delivery = await paymentProvider.simulatePaymentSuccess(intent.id);
+
+  const failed = await deliver(delivery);
+
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(records[0].status, 'failed');
+  assert.strictEqual(records[0].error, 'database unavailable');
+  assert.strictEqual(payment.status, 'pending');
+
+  const retried = await deliver(delivery);
+
+  assert.strictEqual(retried.status, 200);
+  assert.strictEqual(records[0].status, 'processed');
+  assert.strictEqual(records[0].attempts, 2);
+  assert.strictEqual(payment.status, 'completed');
+  assert.strictEqual(booking.status, 'confirmed');
+});
+
+test('admins can re-run a failed event', async (t) => {
+  const records = stubEvents(t);
+  const { intent, payment } = await stubPayment(t, { failLookups: 1 });
+  const [token] = signIn(t, newUser(t, { userType: 'admin' }));
+
+  await deliver(await paymentProvider.simulatePaymentSuccess(intent.id));
+  const res = await request(router, 'POST', `/events/${records[0]._id}/retry`, { token });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, 'processed');
+  assert.strictEqual(payment.status, 'completed');
+
+  const again = await request(router, 'POST', `/events/${records[0]._id}/retry`, { token });
+  assert.strictEqual(again.status, 400);
+});
+
+test('an event older than one already processed for the same object is skipped', async (t) => {
+  const records = stubEvents(t);
+  const { intent, payment } = await stubPayment(t);
+  const succeeded = await paymentProvider.simulatePaymentSuccess(intent.id);
+
+  await deliver(succeeded);
+  const stale = await processEvent({
+    id: 'evt_stale_failure',
+    type: 'payment_intent.payment_failed',
+    created: succeeded.event.created - 60,
+    data: { object: { id: intent.id, last_payment_error: { message: 'Your card was declined.' } } }
+  });
+
+  assert.strictEqual(stale.status, 'skipped');
+  assert.strictEqual(payment.status, 'completed');
+  assert.deepStrictEqual(records.map(record => record.status), ['processed', 'skipped']);
+});
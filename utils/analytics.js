@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const { DAYS } = require('./schedule');
+const { getTrainerEarnings } = require('./earnings');
+const { VISIBLE_REVIEW_STATUS } = require('./ratings');
+
+const BUSIEST_SLOT_LIMIT = 5;
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+// Bookings are counted by when their session runs
+const bookingMatch = (trainerId, { from, to, classId }) => ({
+  trainer: new mongoose.Types.ObjectId(trainerId),
+  startAt: { $gte: from, $lte: to },
+  ...(classId && { class: new mongoose.Types.ObjectId(classId) })
+});
+
+const getBookingsPerClass = async (match) => {
+  const rows = await Booking.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$class',
+        total: { $sum: 1 },
+        confirmed: { $sum: { $cond: [{ $eq: ['$status', 'confirmed'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        waitlisted: { $sum: { $cond: [{ $eq: ['$status', 'waitlisted'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+      }
+    },
+    { $lookup: { from: 'classes', localField: '_id', foreignField: '_id', as: 'class' } },
+    { $unwind: '$class' },
+    {
+      $project: {
+        _id: 0,
+        classId: '$_id',
+        title: '$class.title',
+        type: '$class.type',
+        total: 1,
+        confirmed: 1,
+        pending: 1,
+        waitlisted: 1,
+        cancelled: 1
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  return rows;
+};
+
+const getBookingRates = async (match) => {
+  const [counts] = await Booking.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        cancelledByClient: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'cancelled'] }, { $eq: ['$cancelledBy', 'client'] }] }, 1, 0] }
+        },
+        cancelledByTrainer: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'cancelled'] }, { $eq: ['$cancelledBy', 'trainer'] }] }, 1, 0] }
+        },
+        attendanceRecorded: { $sum: { $cond: [{ $ifNull: ['$attendance.status', false] }, 1, 0] } },
+        attended: { $sum: { $cond: [{ $eq: ['$attendance.status', 'attended'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$attendance.status', 'late'] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ['$attendance.status', 'no_show'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const row = counts || {
+    total: 0, cancelled: 0, cancelledByClient: 0, cancelledByTrainer: 0,
+    attendanceRecorded: 0, attended: 0, late: 0, noShows: 0
+  };
+
+  // Attendance rates only count bookings the trainer has recorded attendance for
+  return {
+    bookings: row.total,
+    cancellationRate: ratio(row.cancelled, row.total),
+    clientCancellationRate: ratio(row.cancelledByClient, row.total),
+    trainerCancellationRate: ratio(row.cancelledByTrainer, row.total),
+    attendanceRecorded: row.attendanceRecorded,
+    attendanceRate: ratio(row.attended + row.late, row.attendanceRecorded),
+    lateRate: ratio(row.late, row.attendanceRecorded),
+    noShowRate: ratio(row.noShows, row.attendanceRecorded)
+  };
+};
+
+// Share of clients with more than one booking that wasn't cancelled
+const getRepeatClients = async (match) => {
+  const [row] = await Booking.aggregate([
+    { $match: { ...match, status: { $ne: 'cancelled' } } },
+    { $group: { _id: '$user', bookings: { $sum: 1 } } },
+    {
+      $group: {
+        _id: null,
+        clients: { $sum: 1 },
+        repeatClients: { $sum: { $cond: [{ $gt: ['$bookings', 1] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const clients = row ? row.clients : 0;
+  const repeatClients = row ? row.repeatClients : 0;
+
+  return { clients, repeatClients, repeatClientRate: ratio(repeatClients, clients) };
+};
+
+// Weekly slots with the most seats taken. Booking dates are the class's local date, so the weekday is read in UTC.
+const getBusiestSlots = async (match) => {
+  const rows = await Booking.aggregate([
+    { $match: { ...match, status: { $in: ['pending', 'confirmed'] } } },
+    {
+      $group: {
+        _id: { dayOfWeek: { $dayOfWeek: '$date' }, startTime: '$startTime', timezone: '$timezone' },
+        bookings: { $sum: 1 },
+        sessions: { $addToSet: '$session' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        dayOfWeek: '$_id.dayOfWeek',
+        startTime: '$_id.startTime',
+        timezone: '$_id.timezone',
+        bookings: 1,
+        sessions: { $size: '$sessions' }
+      }
+    },
+    { $sort: { bookings: -1, dayOfWeek: 1, startTime: 1 } },
+    { $limit: BUSIEST_SLOT_LIMIT }
+  ]);
+
+  // $dayOfWeek runs from 1 (Sunday) to 7 (Saturday)
+  return rows.map(({ dayOfWeek, ...slot }) => ({
+    day: DAYS[dayOfWeek - 1],
+    ...slot,
+    averagePerSession: slot.sessions > 0 ? Math.round((slot.bookings / slot.sessions) * 10) / 10 : 0
+  }));
+};
+
+const getRatingTrend = async (trainerId, { from, to, period, classId }) => {
+  const rows = await Review.aggregate([
+    {
+      $match: {
+        trainerId: new mongoose.Types.ObjectId(trainerId),
+        createdAt: { $gte: from, $lte: to },
+        status: VISIBLE_REVIEW_STATUS,
+        ...(classId && { class: new mongoose.Types.ObjectId(classId) })
+      }
+    },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: period } },
+        averageRating: { $avg: '$rating' },
+        reviews: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const reviews = rows.reduce((acc, row) => acc + row.reviews, 0);
+  const ratingTotal = rows.reduce((acc, row) => acc + row.averageRating * row.reviews, 0);
+
+  return {
+    averageRating: reviews > 0 ? Math.round((ratingTotal / reviews) * 100) / 100 : null,
+    reviews,
+    trend: rows.map(row => ({
+      start: row._id,
+      averageRating: Math.round(row.averageRating * 100) / 100,
+      reviews: row.reviews
+    }))
+  };
+};
+
+const getTrainerAnalytics = async (trainerId, { from, to, period = 'month', classId }) => {
+  const match = bookingMatch(trainerId, { from, to, classId });
+
+  const [revenue, bookingsPerClass, rates, repeatClients, busiestSlots, ratings] = await Promise.all([
+    getTrainerEarnings(trainerId, { from, to, period, classId }),
+    getBookingsPerClass(match),
+    getBookingRates(match),
+    getRepeatClients(match),
+    getBusiestSlots(match),
+    getRatingTrend(trainerId, { from, to, period, classId })
+  ]);
+
+  return {
+    from,
+    to,
+    period,
+    classId: classId || null,
+    revenue: { totals: revenue.totals, periods: revenue.periods },
+    bookingsPerClass,
+    rates,
+    ratings,
+    repeatClients,
+    busiestSlots
+  };
+};
+
+module.exports = {
+  getTrainerAnalytics
+};
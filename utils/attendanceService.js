@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { SEAT_STATUSES } = require('./bookingService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const CHECK_IN_OPENS_MINUTES = parseInt(process.env.CHECK_IN_OPENS_MINUTES, 10) || 30;
+const LATE_AFTER_MINUTES = parseInt(process.env.LATE_AFTER_MINUTES, 10) || 10;
+const NO_SHOW_LIMIT = parseInt(process.env.NO_SHOW_LIMIT, 10) || 3;
+const NO_SHOW_WINDOW_DAYS = parseInt(process.env.NO_SHOW_WINDOW_DAYS, 10) || 60;
+const NO_SHOW_RESTRICTION_DAYS = parseInt(process.env.NO_SHOW_RESTRICTION_DAYS, 10) || 14;
+
+const ATTENDANCE_STATUSES = ['attended', 'late', 'no_show'];
+const ATTENDED_STATUSES = ['attended', 'late'];
+
+// Kept apart from the login secret so a check-in token can never pass as an auth token
+const CHECK_IN_SECRET = process.env.CHECK_IN_SECRET || `${process.env.JWT_SECRET}:check-in`;
+
+const getCheckInWindow = (booking) => ({
+  opensAt: new Date(booking.startAt.getTime() - CHECK_IN_OPENS_MINUTES * MINUTE_MS),
+  closesAt: booking.endAt
+});
+
+// Returns { code, msg } if attendance can't be recorded for the booking right now, or null if it can
+const getAttendanceError = (booking, status, now = new Date()) => {
+  if (!SEAT_STATUSES.includes(booking.status)) {
+    return { code: 'BOOKING_NOT_ACTIVE', msg: `Attendance can't be recorded for a ${booking.status} booking` };
+  }
+
+  if (now < getCheckInWindow(booking).opensAt) {
+    return { code: 'CHECK_IN_NOT_OPEN', msg: `Attendance can be recorded from ${CHECK_IN_OPENS_MINUTES} minutes before the session starts` };
+  }
+
+  if (status === 'no_show' && now < booking.startAt) {
+    return { code: 'SESSION_NOT_STARTED', msg: 'A no-show can only be recorded once the session has started' };
+  }
+
+  return null;
+};
+
+// Clients checking in well after the start are marked late
+const getCheckInStatus = (booking, now = new Date()) =>
+  now.getTime() > booking.startAt.getTime() + LATE_AFTER_MINUTES * MINUTE_MS ? 'late' : 'attended';
+
+const getCheckInCode = async (booking) => {
+  if (booking.checkInCode) {
+    return booking.checkInCode;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    if (!(await Booking.exists({ session: booking.session, checkInCode: code }))) {
+      booking.checkInCode = code;
+      await booking.save();
+      return code;
+    }
+  }
+
+  throw new Error('Could not generate a unique check-in code');
+};
+
+// Signed token for the client's QR code, valid until the session ends
+const createCheckInToken = (booking) => {
+  const expiresIn = Math.max(Math.ceil((booking.endAt.getTime() - Date.now()) / 1000), 60);
+
+  return jwt.sign(
+    { checkIn: { booking: booking.id, session: booking.session.toString() } },
+    CHECK_IN_SECRET,
+    { expiresIn }
+  );
+};
+
+// Returns { booking, session } ids from a valid token; throws if it is invalid or expired
+const verifyCheckInToken = (token) => {
+  const decoded = jwt.verify(token, CHECK_IN_SECRET);
+
+  if (!decoded.checkIn) {
+    throw new Error('Not a check-in token');
+  }
+
+  return decoded.checkIn;
+};
+
+// Restricts booking for clients with too many recent no-shows, and lifts the restriction
+// again if a corrected record brings them back under the limit
+const refreshNoShowRestriction = async (userId) => {
+  const user = await User.findById(userId).select('name email noShowRestrictedUntil');
+
+  if (!user) {
+    return null;
+  }
+
+  const noShows = await Booking.countDocuments({
+    user: userId,
+    'attendance.status': 'no_show',
+    startAt: { $gte: new Date(Date.now() - NO_SHOW_WINDOW_DAYS * DAY_MS) }
+  });
+
+  const restricted = user.noShowRestrictedUntil && user.noShowRestrictedUntil > new Date();
+
+  if (noShows >= NO_SHOW_LIMIT && !restricted) {
+    user.noShowRestrictedUntil = new Date(Date.now() + NO_SHOW_RESTRICTION_DAYS * DAY_MS);
+    await user.save();
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: 'Booking paused after missed classes',
+        message: `Hi ${user.name}, you have missed ${noShows} classes in the last ${NO_SHOW_WINDOW_DAYS} days without cancelling, so new bookings are paused until ${user.noShowRestrictedUntil.toDateString()}. Your existing bookings are not affected.`
+      });
+    } catch (err) {
+      console.error('Error sending no-show restriction email:', err.message);
+    }
+  } else if (noShows < NO_SHOW_LIMIT && restricted) {
+    user.noShowRestrictedUntil = undefined;
+    await user.save();
+  }
+
+  return user.noShowRestrictedUntil || null;
+};
+
+const recordAttendance = async (booking, { status, method, markedBy }) => {
+  const previous = booking.attendance && booking.attendance.status;
+
+  booking.attendance = { status, method, markedBy, markedAt: Date.now() };
+  await booking.save();
+
+  if (status === 'no_show' || previous === 'no_show') {
+    await refreshNoShowRestriction(booking.user._id || booking.user);
+  }
+
+  return booking;
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  ATTENDED_STATUSES,
+  getCheckInWindow,
+  getAttendanceError,
+  getCheckInStatus,
+  getCheckInCode,
+  createCheckInToken,
+  verifyCheckInToken,
+  recordAttendance
+};
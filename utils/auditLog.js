@@ -0,0 +1,22 @@
+const AuditLog = require('../models/AuditLog');
+
+// An audit write failing shouldn't undo an action that has already happened, so errors are only logged
+const recordAudit = async (req, action, { targetType, targetId, details }) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user.id,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error('Error writing audit log:', err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit
+};
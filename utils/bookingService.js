@@ -0,0 +1,213 @@
+const Booking = require('../models/Booking');
+const Session = require('../models/Session');
+const Class = require('../models/Class');
+const Payment = require('../models/Payment');
+const sendEmail = require('./sendEmail');
+const { processRefund } = require('./stripeService');
+const { getRefundPercent } = require('./cancellationPolicy');
+const { consumeCredit, returnCredit } = require('./creditService');
+const { useMembershipBooking, releaseMembershipBooking } = require('./membershipService');
+const { roundAmount } = require('./currency');
+
+// Bookings in these states hold a seat in the session
+const SEAT_STATUSES = ['pending', 'confirmed'];
+
+const countBookedSeats = async (sessionId) => {
+  return Booking.countDocuments({
+    session: sessionId,
+    status: { $in: SEAT_STATUSES }
+  });
+};
+
+// Takes a seat in one atomic update, so concurrent bookings can't both get the last one.
+// Returns false when the session is full.
+const reserveSeat = async (sessionId) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, $expr: { $lt: ['$bookedSeats', '$capacity'] } },
+    { $inc: { bookedSeats: 1 } }
+  );
+
+  return Boolean(session);
+};
+
+const releaseSeat = async (sessionId) => {
+  await Session.updateOne(
+    { _id: sessionId, bookedSeats: { $gt: 0 } },
+    { $inc: { bookedSeats: -1 } }
+  );
+};
+
+const getWaitlistPosition = async (booking) => {
+  if (booking.status !== 'waitlisted' || !booking.session) {
+    return null;
+  }
+
+  const ahead = await Booking.countDocuments({
+    session: booking.session._id || booking.session,
+    status: 'waitlisted',
+    createdAt: { $lt: booking.createdAt }
+  });
+
+  return ahead + 1;
+};
+
+// Pays for the booking with one of the client's credits, or otherwise their membership, if they have one to use
+const coverBooking = async (booking, classItem, { useCredit }) => {
+  const userId = booking.user._id || booking.user;
+
+  if (useCredit) {
+    const pack = await consumeCredit(userId, classItem, booking._id);
+    if (pack) booking.creditPack = pack._id;
+  } else {
+    const membership = await useMembershipBooking(userId, classItem.trainer._id || classItem.trainer);
+    if (membership) booking.membership = membership._id;
+  }
+
+  if (booking.creditPack || booking.membership) {
+    booking.paymentStatus = 'paid';
+  }
+
+  return booking;
+};
+
+const promoteFromWaitlist = async (sessionId) => {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId).populate('class', 'title type trainer');
+
+  if (!session || session.status === 'cancelled') {
+    return null;
+  }
+
+  if (!await reserveSeat(session._id)) {
+    return null;
+  }
+
+  const next = await Booking.findOneAndUpdate(
+    { session: session._id, status: 'waitlisted' },
+    { status: 'pending' },
+    { new: true, sort: { createdAt: 1 } }
+  ).populate('user', 'name email');
+
+  if (!next) {
+    await releaseSeat(session._id);
+    return null;
+  }
+
+  // Waitlisted bookings only use a credit or membership once they have a seat
+  if (!next.creditPack && !next.membership) {
+    await coverBooking(next, session.class, { useCredit: next.payWithCredit });
+  }
+
+  // Bookings paid for with a credit or membership don't need to wait for payment
+  if (next.creditPack || next.membership) {
+    next.status = 'confirmed';
+    await next.save();
+  }
+
+  try {
+    await sendEmail({
+      email: next.user.email,
+      subject: 'You have a spot in your class',
+      message: `Good news ${next.user.name}! A seat opened up in ${session.class.title} on ${next.date.toDateString()} at ${next.startTime} and your booking has moved off the waitlist.`
+    });
+  } catch (err) {
+    console.error('Error sending waitlist promotion email:', err.message);
+  }
+
+  return next;
+};
+
+const refundCancelledBooking = async (booking, refundPercent, { reason, initiator, initiatedBy }) => {
+  if (!['paid', 'partially_refunded'].includes(booking.paymentStatus) || refundPercent <= 0) {
+    return null;
+  }
+
+  const payment = await Payment.findOne({
+    booking: booking._id,
+    status: { $in: ['completed', 'partially_refunded'] }
+  });
+
+  if (!payment) {
+    return null;
+  }
+
+  const remaining = roundAmount(payment.amount - payment.refundedAmount, payment.currency);
+  const amount = Math.min(roundAmount(payment.amount * refundPercent / 100, payment.currency), remaining);
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  return processRefund(payment._id, reason || 'Booking cancelled', {
+    amount,
+    initiatedBy,
+    initiatorRole: initiator
+  });
+};
+
+// Cancels a booking, refunding any payment according to the class policy and freeing its seat.
+// Cancellations by the trainer are always refunded in full.
+const cancelBooking = async (booking, { initiator, initiatedBy, reason }) => {
+  const heldSeat = SEAT_STATUSES.includes(booking.status);
+
+  booking.status = 'cancelled';
+  booking.cancelledBy = initiator;
+  booking.cancelledAt = Date.now();
+  if (reason) booking.cancellationReason = reason;
+
+  await booking.save();
+
+  let refundPercent = 100;
+
+  if (initiator !== 'trainer') {
+    const classItem = await Class.findById(booking.class._id || booking.class).select('cancellationPolicy');
+    refundPercent = getRefundPercent(classItem && classItem.cancellationPolicy, booking.startAt);
+  }
+
+  let refund = null;
+  let creditReturned = false;
+
+  try {
+    if (booking.creditPack || booking.membership) {
+      // Credits and membership bookings can't be split, so they are only returned when the policy allows a full refund
+      if (refundPercent >= 100 || !heldSeat) {
+        creditReturned = booking.creditPack
+          ? Boolean(await returnCredit(booking, reason))
+          : await releaseMembershipBooking(booking);
+
+        if (creditReturned) {
+          booking.paymentStatus = 'refunded';
+          await booking.save();
+        }
+      }
+    } else {
+      refund = await refundCancelledBooking(booking, refundPercent, { reason, initiator, initiatedBy });
+    }
+  } catch (err) {
+    console.error('Error refunding cancelled booking:', err.message);
+    refund = { error: err.message };
+  }
+
+  if (heldSeat && booking.session) {
+    const sessionId = booking.session._id || booking.session;
+
+    await releaseSeat(sessionId);
+    await promoteFromWaitlist(sessionId);
+  }
+
+  return { refundPercent, refund, creditReturned };
+};
+
+module.exports = {
+  SEAT_STATUSES,
+  countBookedSeats,
+  reserveSeat,
+  releaseSeat,
+  getWaitlistPosition,
+  coverBooking,
+  promoteFromWaitlist,
+  cancelBooking
+};
@@ -0,0 +1,19 @@
+// Applied to classes that have no policy of their own
+const DEFAULT_POLICY = [{ hoursBefore: 0, refundPercent: 100 }];
+
+const getRefundPercent = (policy, startAt, now = new Date()) => {
+  const tiers = (policy && policy.length > 0 ? policy : DEFAULT_POLICY)
+    .slice()
+    .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+  const hoursUntilStart = (new Date(startAt) - now) / (60 * 60 * 1000);
+
+  const tier = tiers.find(t => hoursUntilStart >= t.hoursBefore);
+
+  return tier ? tier.refundPercent : 0;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getRefundPercent
+};
@@ -0,0 +1,171 @@
+const Booking = require('../models/Booking');
+const Class = require('../models/Class');
+const { toMinutes, getDayName, getSessionTimes } = require('./schedule');
+const { DAYS, toLocal, convertWeeklySlot } = require('./timezone');
+const { SEAT_STATUSES } = require('./bookingService');
+
+const WEEK_MINUTES = 7 * 24 * 60;
+
+const overlaps = (startA, endA, startB, endB) =>
+  toMinutes(startA) < toMinutes(endB) && toMinutes(startB) < toMinutes(endA);
+
+// Places a weekly slot on a UTC minute-of-week line so slots from classes in different zones can be compared
+const toWeekInterval = (slot, zone) => {
+  const utc = convertWeeklySlot(slot, zone, 'UTC');
+
+  if (!utc) {
+    return null;
+  }
+
+  const start = DAYS.indexOf(utc.day) * 24 * 60 + toMinutes(utc.startTime);
+  return { start, end: start + toMinutes(slot.endTime) - toMinutes(slot.startTime) };
+};
+
+// Intervals near the end of the week can wrap into its start, so the other slot is also tried a week either side
+const weeklySlotsOverlap = (slotA, zoneA, slotB, zoneB) => {
+  const a = toWeekInterval(slotA, zoneA);
+  const b = toWeekInterval(slotB, zoneB);
+
+  if (!a || !b) {
+    return false;
+  }
+
+  return [-WEEK_MINUTES, 0, WEEK_MINUTES].some(shift => a.start < b.end + shift && b.start + shift < a.end);
+};
+
+const describeBooking = (type, booking) => ({
+  type,
+  bookingId: booking._id,
+  classId: booking.class._id || booking.class,
+  classTitle: booking.class.title,
+  date: booking.date,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  timezone: booking.timezone,
+  status: booking.status
+});
+
+const describeSlot = (classItem, slot) => ({
+  type: 'class',
+  classId: classItem._id,
+  classTitle: classItem.title,
+  day: slot.day,
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  timezone: classItem.timezone
+});
+
+// Checks a prospective booking against the trainer's other commitments and the client's own bookings
+const findBookingConflicts = async ({ userId, trainerId, classId, startAt, endAt, excludeBookingId }) => {
+  const overlapping = {
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt },
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } })
+  };
+
+  const [trainerBookings, clientBookings, otherClasses] = await Promise.all([
+    Booking.find({
+      ...overlapping,
+      trainer: trainerId,
+      class: { $ne: classId },
+      status: { $in: SEAT_STATUSES }
+    }).populate('class', 'title'),
+    Booking.find({
+      ...overlapping,
+      user: userId,
+      status: { $in: [...SEAT_STATUSES, 'waitlisted'] }
+    }).populate('class', 'title'),
+    Class.find({
+      trainer: trainerId,
+      _id: { $ne: classId },
+      isActive: true
+    }).select('title schedule timezone')
+  ]);
+
+  const conflicts = [];
+
+  trainerBookings.forEach(b => conflicts.push(describeBooking('trainer_booking', b)));
+  clientBookings.forEach(b => conflicts.push(describeBooking('client_booking', b)));
+
+  // Weekly slots are compared on the booking's calendar date in each class's own zone
+  otherClasses.forEach(classItem => {
+    const local = toLocal(startAt, classItem.timezone);
+    const date = new Date(`${local.date}T00:00:00.000Z`);
+
+    classItem.schedule
+      .filter(slot => slot.day === local.day)
+      .filter(slot => {
+        const slotTimes = getSessionTimes(date, slot.startTime, slot.endTime, classItem.timezone);
+        return slotTimes.startAt < endAt && startAt < slotTimes.endAt;
+      })
+      .forEach(slot => conflicts.push(describeSlot(classItem, slot)));
+  });
+
+  return conflicts;
+};
+
+// Checks a class's weekly schedule (in the class's timezone) against itself, the trainer's other classes
+// and bookings already made for it
+const findScheduleConflicts = async ({ trainerId, classId, schedule, timezone }) => {
+  const conflicts = [];
+
+  schedule.forEach((slot, i) => {
+    schedule.slice(i + 1)
+      .filter(other => other.day === slot.day && overlaps(slot.startTime, slot.endTime, other.startTime, other.endTime))
+      .forEach(other => conflicts.push({
+        type: 'schedule',
+        day: slot.day,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        overlapsWith: { startTime: other.startTime, endTime: other.endTime }
+      }));
+  });
+
+  const otherClasses = await Class.find({
+    trainer: trainerId,
+    ...(classId && { _id: { $ne: classId } }),
+    isActive: true
+  }).select('title schedule timezone');
+
+  otherClasses.forEach(classItem => {
+    classItem.schedule.forEach(existing => {
+      if (schedule.some(slot => weeklySlotsOverlap(slot, timezone, existing, classItem.timezone))) {
+        conflicts.push(describeSlot(classItem, existing));
+      }
+    });
+  });
+
+  if (classId) {
+    const bookings = await Booking.find({
+      class: classId,
+      startAt: { $gte: new Date() },
+      status: { $in: [...SEAT_STATUSES, 'waitlisted'] }
+    }).populate('class', 'title').populate('session', 'isRescheduled');
+
+    // Bookings are read in the class's (possibly new) zone
+    const bookingLocal = (b) => {
+      if (!b.startAt) {
+        return { day: getDayName(b.date), time: b.startTime };
+      }
+      const local = toLocal(b.startAt, timezone);
+      return { day: local.day, time: local.time };
+    };
+
+    bookings
+      .filter(b => !(b.session && b.session.isRescheduled))
+      .filter(b => {
+        const local = bookingLocal(b);
+        return !schedule.some(slot => slot.day === local.day && toMinutes(slot.startTime) === toMinutes(local.time));
+      })
+      .forEach(b => conflicts.push(describeBooking('existing_booking', b)));
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  overlaps,
+  weeklySlotsOverlap,
+  findBookingConflicts,
+  findScheduleConflicts
+};
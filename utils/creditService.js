@@ -0,0 +1,200 @@
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const Package = require('../models/Package');
+const { roundAmount } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const usableQuery = (userId, classItem) => ({
+  user: userId,
+  trainer: classItem.trainer._id || classItem.trainer,
+  status: 'active',
+  creditsRemaining: { $gt: 0 },
+  $and: [
+    { $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    { $or: [{ classTypes: { $size: 0 } }, { classTypes: classItem.type }] }
+  ]
+});
+
+// Packs that expire soonest are spent first; packs that never expire are spent last
+const byExpiry = (a, b) => {
+  if (!a.expiresAt) return 1;
+  if (!b.expiresAt) return -1;
+  return a.expiresAt - b.expiresAt;
+};
+
+const consumeCredit = async (userId, classItem, bookingId) => {
+  const packs = await CreditPack.find(usableQuery(userId, classItem)).select('expiresAt');
+
+  for (const candidate of packs.sort(byExpiry)) {
+    const pack = await CreditPack.findOneAndUpdate(
+      { _id: candidate._id, creditsRemaining: { $gt: 0 } },
+      { $inc: { creditsRemaining: -1 } },
+      { new: true }
+    );
+
+    if (pack) {
+      await CreditTransaction.create({
+        user: userId,
+        creditPack: pack._id,
+        booking: bookingId,
+        amount: -1,
+        type: 'booking',
+        note: `Booked ${classItem.title}`
+      });
+
+      return pack;
+    }
+  }
+
+  return null;
+};
+
+const hasUsableCredit = async (userId, classItem) =>
+  Boolean(await CreditPack.exists(usableQuery(userId, classItem)));
+
+const returnCredit = async (booking, note) => {
+  const pack = await CreditPack.findOneAndUpdate(
+    { _id: booking.creditPack, status: 'active' },
+    { $inc: { creditsRemaining: 1 } },
+    { new: true }
+  );
+
+  if (!pack) {
+    return null;
+  }
+
+  await CreditTransaction.create({
+    user: pack.user,
+    creditPack: pack._id,
+    booking: booking._id,
+    amount: 1,
+    type: 'return',
+    note: note || 'Booking cancelled'
+  });
+
+  return pack;
+};
+
+const activateCreditPack = async (creditPackId) => {
+  const pack = await CreditPack.findOne({ _id: creditPackId, status: 'pending' });
+
+  if (!pack) {
+    return null;
+  }
+
+  const packageItem = await Package.findById(pack.package).select('name expiryDays');
+
+  pack.status = 'active';
+  pack.creditsRemaining = pack.creditsTotal;
+  pack.purchasedAt = Date.now();
+  if (packageItem && packageItem.expiryDays) {
+    pack.expiresAt = new Date(Date.now() + packageItem.expiryDays * DAY_MS);
+  }
+
+  await pack.save();
+
+  await CreditTransaction.create({
+    user: pack.user,
+    creditPack: pack._id,
+    amount: pack.creditsTotal,
+    type: 'purchase',
+    note: packageItem ? `Purchased ${packageItem.name}` : 'Purchased credit pack'
+  });
+
+  return pack;
+};
+
+// Removes the remaining credits of a pack whose payment was refunded
+const revokeCreditPack = async (creditPackId, note) => {
+  const pack = await CreditPack.findById(creditPackId);
+
+  if (!pack || pack.status === 'cancelled') {
+    return null;
+  }
+
+  const remaining = pack.creditsRemaining;
+
+  pack.status = 'cancelled';
+  pack.creditsRemaining = 0;
+  await pack.save();
+
+  if (remaining > 0) {
+    await CreditTransaction.create({
+      user: pack.user,
+      creditPack: pack._id,
+      amount: -remaining,
+      type: 'revoked',
+      note: note || 'Pack payment refunded'
+    });
+  }
+
+  return pack;
+};
+
+// Credits already spent on bookings stay paid for, so only the unused share of a pack can be refunded
+const getUnusedCreditValue = (pack, amount, currency) => {
+  if (!pack || pack.status !== 'active' || !pack.creditsTotal) {
+    return 0;
+  }
+
+  return roundAmount(amount * pack.creditsRemaining / pack.creditsTotal, currency);
+};
+
+const expireCreditPacks = async (userId) => {
+  const expired = await CreditPack.find({
+    user: userId,
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const pack of expired) {
+    const remaining = pack.creditsRemaining;
+
+    pack.status = 'expired';
+    pack.creditsRemaining = 0;
+    await pack.save();
+
+    if (remaining > 0) {
+      await CreditTransaction.create({
+        user: userId,
+        creditPack: pack._id,
+        amount: -remaining,
+        type: 'expiry',
+        note: 'Credits expired'
+      });
+    }
+  }
+};
+
+const getCreditSummary = async (userId) => {
+  await expireCreditPacks(userId);
+
+  const [packs, ledger] = await Promise.all([
+    CreditPack.find({ user: userId, status: { $ne: 'pending' } })
+      .populate('package', 'name credits')
+      .populate('trainer', 'name')
+      .sort({ purchasedAt: -1 }),
+    CreditTransaction.find({ user: userId })
+      .populate('booking', 'date startTime endTime')
+      .sort({ createdAt: -1 })
+  ]);
+
+  return {
+    balance: packs
+      .filter(pack => pack.status === 'active')
+      .reduce((acc, pack) => acc + pack.creditsRemaining, 0),
+    packs,
+    ledger
+  };
+};
+
+module.exports = {
+  consumeCredit,
+  hasUsableCredit,
+  returnCredit,
+  activateCreditPack,
+  revokeCreditPack,
+  getUnusedCreditValue,
+  getCreditSummary
+};
@@ -0,0 +1,56 @@
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Currencies Stripe takes in whole units rather than hundredths
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+// Stripe takes these in thousandths but only accepts multiples of ten
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+const SUPPORTED_CURRENCIES = Intl.supportedValuesOf('currency');
+
+const isValidCurrency = (currency) =>
+  typeof currency === 'string' && SUPPORTED_CURRENCIES.includes(currency.toUpperCase());
+
+const getMinorUnitDigits = (currency) => {
+  const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+};
+
+// Smallest amount that can actually be charged: 1 yen, 0.01 dollars, 0.010 dinars
+const getChargeablePrecision = (currency) => {
+  const digits = getMinorUnitDigits(currency);
+  return digits === 3 ? 2 : digits;
+};
+
+// Rounds an amount in major units (dollars, yen) to what the currency can be charged in
+const roundAmount = (amount, currency) => {
+  const factor = 10 ** getChargeablePrecision(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+// Amount in major units to the integer the payment provider expects
+const toMinorUnits = (amount, currency) =>
+  Math.round(roundAmount(amount, currency) * 10 ** getMinorUnitDigits(currency));
+
+const fromMinorUnits = (amount, currency) => amount / 10 ** getMinorUnitDigits(currency);
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency: (currency || DEFAULT_CURRENCY).toUpperCase()
+  }).format(amount);
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isValidCurrency,
+  roundAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  formatAmount
+};
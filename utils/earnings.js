@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const { roundAmount, formatAmount } = require('./currency');
+
+const EARNING_PERIODS = ['day', 'week', 'month'];
+
+// Platform fees are refunded along with the charge, so only the share of the payment that was kept counts
+const keptFee = {
+  $cond: [
+    { $gt: ['$amount', 0] },
+    {
+      $multiply: [
+        { $ifNull: ['$platformFee', 0] },
+        { $divide: [{ $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] }, '$amount'] }
+      ]
+    },
+    0
+  ]
+};
+
+const summarize = (row, currency) => {
+  const gross = roundAmount(row.gross, currency);
+  const fees = roundAmount(row.fees, currency);
+  const refunds = roundAmount(row.refunds, currency);
+  const net = roundAmount(gross - fees - refunds, currency);
+
+  return {
+    currency,
+    payments: row.payments,
+    gross,
+    fees,
+    refunds,
+    net,
+    // Charges taken before the trainer finished Connect onboarding are still held by the platform
+    transferred: roundAmount(row.transferred, currency),
+    formattedNet: formatAmount(net, currency)
+  };
+};
+
+// Sums a trainer's completed payments between from and to, grouped by day, week or month (UTC).
+// Amounts in different currencies are never added together, so totals and periods have one entry per currency.
+// Limiting to a class leaves out package and membership payments, which aren't tied to one.
+const getTrainerEarnings = async (trainerId, { from, to, period = 'month', classId }) => {
+  const rows = await Payment.aggregate([
+    {
+      $match: {
+        trainer: new mongoose.Types.ObjectId(trainerId),
+        status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+        createdAt: { $gte: from, $lte: to }
+      }
+    },
+    ...(classId ? [
+      { $lookup: { from: 'bookings', localField: 'booking', foreignField: '_id', as: 'booking' } },
+      { $match: { 'booking.class': new mongoose.Types.ObjectId(classId) } }
+    ] : []),
+    {
+      $addFields: {
+        keptFee,
+        netAmount: {
+          $subtract: [{ $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] }, keptFee]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          start: { $dateTrunc: { date: '$createdAt', unit: period } },
+          currency: '$currency'
+        },
+        payments: { $sum: 1 },
+        gross: { $sum: '$amount' },
+        fees: { $sum: '$keptFee' },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        transferred: {
+          $sum: { $cond: [{ $ifNull: ['$transferDestination', false] }, '$netAmount', 0] }
+        }
+      }
+    },
+    { $sort: { '_id.start': 1, '_id.currency': 1 } }
+  ]);
+
+  const totals = {};
+
+  rows.forEach(row => {
+    const total = totals[row._id.currency] || { payments: 0, gross: 0, fees: 0, refunds: 0, transferred: 0 };
+
+    totals[row._id.currency] = {
+      payments: total.payments + row.payments,
+      gross: total.gross + row.gross,
+      fees: total.fees + row.fees,
+      refunds: total.refunds + row.refunds,
+      transferred: total.transferred + row.transferred
+    };
+  });
+
+  return {
+    period,
+    from,
+    to,
+    totals: Object.keys(totals).sort().map(currency => summarize(totals[currency], currency)),
+    periods: rows.map(row => ({ start: row._id.start, ...summarize(row, row._id.currency) }))
+  };
+};
+
+module.exports = {
+  EARNING_PERIODS,
+  getTrainerEarnings
+};
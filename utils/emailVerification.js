@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+const sendEmail = require('./sendEmail');
+
+const TOKEN_PURPOSE = 'verify-email';
+const VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const RESEND_COOLDOWN_MS = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60) * 1000;
+
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// The email is signed in so a link stops working once the address changes
+const createVerificationToken = (user) =>
+  jwt.sign(
+    { purpose: TOKEN_PURPOSE, id: user.id, email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFICATION_EXPIRES_IN }
+  );
+
+// Returns the decoded token, or null if it is invalid, expired or not a verification token
+const verifyVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TOKEN_PURPOSE ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const getResendWait = (user) => {
+  if (!user.verificationSentAt) {
+    return 0;
+  }
+
+  const elapsed = Date.now() - user.verificationSentAt.getTime();
+  return Math.max(0, Math.ceil((RESEND_COOLDOWN_MS - elapsed) / 1000));
+};
+
+const sendVerificationEmail = async (user) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const verifyUrl = `${frontendUrl}/verify-email/${createVerificationToken(user)}`;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Verify your email address',
+    message: `Hi ${user.name}, please confirm your email address by clicking on the following link: \n\n ${verifyUrl}\n\nThe link expires in ${VERIFICATION_EXPIRES_IN}.`
+  });
+
+  user.verificationSentAt = Date.now();
+  await user.save();
+};
+
+module.exports = {
+  isVerificationRequired,
+  createVerificationToken,
+  verifyVerificationToken,
+  getResendWait,
+  sendVerificationEmail
+};
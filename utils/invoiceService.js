@@ -0,0 +1,285 @@
+const path = require('path');
+const jade = require('jade');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const CreditPack = require('../models/CreditPack');
+const Membership = require('../models/Membership');
+const sendEmail = require('./sendEmail');
+const { roundAmount, formatAmount } = require('./currency');
+
+const BUSINESS_NAME = process.env.BUSINESS_NAME || process.env.FROM_NAME || 'Fitness Platform';
+// Prices are tax inclusive; a rate of 0 leaves tax off receipts entirely
+const TAX_RATE_PERCENT = parseFloat(process.env.TAX_RATE_PERCENT || '0');
+const TAX_NAME = process.env.TAX_NAME || 'Tax';
+
+const RECEIPT_TEMPLATE = path.join(__dirname, '..', 'views', 'receipt.jade');
+
+// Numbers restart each year: INV-2026-000001
+const nextInvoiceNumber = async (date) => {
+  const year = date.getUTCFullYear();
+
+  const counter = await Counter.findByIdAndUpdate(
+    `invoice-${year}`,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return `INV-${year}-${String(counter.seq).padStart(6, '0')}`;
+};
+
+// Works out what the payment bought and who sold it
+const describePayment = async (payment) => {
+  if (payment.booking) {
+    const booking = await Booking.findById(payment.booking)
+      .populate('class', 'title')
+      .populate('trainer', 'name');
+
+    return {
+      trainer: booking.trainer,
+      description: booking.class.title,
+      details: `${booking.date.toDateString()}, ${booking.startTime}-${booking.endTime} (${booking.timezone})`
+    };
+  }
+
+  if (payment.creditPack) {
+    const pack = await CreditPack.findById(payment.creditPack)
+      .populate('package', 'name')
+      .populate('trainer', 'name');
+
+    return {
+      trainer: pack.trainer,
+      description: pack.package ? pack.package.name : 'Class package',
+      details: `${pack.creditsTotal} class credits`
+    };
+  }
+
+  if (payment.membership) {
+    const membership = await Membership.findById(payment.membership)
+      .populate('plan', 'name interval')
+      .populate('trainer', 'name');
+
+    return {
+      trainer: membership.trainer,
+      description: `${membership.plan.name} membership`,
+      details: membership.currentPeriodStart && membership.currentPeriodEnd
+        ? `${membership.currentPeriodStart.toDateString()} to ${membership.currentPeriodEnd.toDateString()}`
+        : `Billed every ${membership.plan.interval}`
+    };
+  }
+
+  return { trainer: null, description: 'Payment', details: null };
+};
+
+// Returns the payment's invoice, numbering and saving it the first time
+const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id });
+
+  if (existing) {
+    return numberExistingInvoice(existing);
+  }
+
+  const user = await User.findById(payment.user).select('name email');
+  const { trainer, description, details } = await describePayment(payment);
+
+  const currency = payment.currency;
+  const subtotal = payment.originalAmount !== undefined ? payment.originalAmount : payment.amount;
+  const total = payment.amount;
+
+  const taxLines = TAX_RATE_PERCENT > 0
+    ? [{
+      name: TAX_NAME,
+      rate: TAX_RATE_PERCENT,
+      amount: roundAmount(total * TAX_RATE_PERCENT / (100 + TAX_RATE_PERCENT), currency)
+    }]
+    : [];
+
+  let promoCode;
+  if (payment.promoCode) {
+    await payment.populate('promoCode', 'code');
+    promoCode = payment.promoCode.code;
+  }
+
+  // Reserve the payment's invoice first so only the request that creates it takes a number
+  const result = await Invoice.findOneAndUpdate(
+    { payment: payment._id },
+    {
+      $setOnInsert: {
+        payment: payment._id,
+        user: payment.user,
+        trainer: trainer ? trainer._id : payment.trainer,
+        billTo: { name: user.name, email: user.email },
+        trainerName: trainer ? trainer.name : undefined,
+        currency,
+        lineItems: [{ description, details, quantity: 1, unitAmount: subtotal, amount: subtotal }],
+        subtotal,
+        discount: payment.discountAmount || 0,
+        promoCode,
+        taxLines,
+        total
+      }
+    },
+    { new: true, upsert: true, includeResultMetadata: true }
+  );
+
+  if (result.lastErrorObject.updatedExisting) {
+    return numberExistingInvoice(result.value);
+  }
+
+  return assignInvoiceNumber(result.value);
+};
+
+// Numbers the invoice unless another request already has, in which case that number is kept
+const assignInvoiceNumber = async (invoice) => {
+  const number = await nextInvoiceNumber(new Date());
+
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, number: { $exists: false } },
+    { $set: { number } },
+    { new: true }
+  );
+
+  return numbered || Invoice.findById(invoice._id);
+};
+
+// Another request created the invoice and should be numbering it. If it never does
+// (say it failed before taking a number) this request numbers the invoice instead.
+const numberExistingInvoice = async (invoice) => {
+  for (let attempt = 0; !invoice.number && attempt < 10; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    invoice = await Invoice.findById(invoice._id);
+  }
+
+  if (invoice.number) {
+    return invoice;
+  }
+
+  return assignInvoiceNumber(invoice);
+};
+
+// Everything the receipt templates need, including refunds made up to now
+const getReceipt = async (invoice, payment) => {
+  const refunds = await Refund.find({
+    payment: payment._id,
+    status: { $in: ['pending', 'succeeded'] }
+  }).sort({ createdAt: 1 });
+
+  return {
+    businessName: BUSINESS_NAME,
+    invoice: invoice.toObject(),
+    status: payment.status,
+    refunds: refunds.map(refund => ({
+      date: refund.createdAt,
+      amount: refund.amount,
+      reason: refund.reason,
+      status: refund.status
+    })),
+    netPaid: roundAmount(invoice.total - (payment.refundedAmount || 0), invoice.currency),
+    format: (amount) => formatAmount(amount, invoice.currency)
+  };
+};
+
+const renderReceiptHtml = (receipt) => jade.renderFile(RECEIPT_TEMPLATE, receipt);
+
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const { invoice, refunds, format } = receipt;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const row = (label, amount, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 50, y, { width: 350 })
+      .text(amount, 400, y, { width: 145, align: 'right' });
+    doc.moveDown(0.5);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(20).text(receipt.businessName);
+  doc.moveDown(0.5);
+  doc.fontSize(12).text(`Receipt ${invoice.number}`);
+  doc.font('Helvetica').fontSize(10).text(`Issued ${invoice.issuedAt.toDateString()}`);
+  doc.moveDown();
+  doc.text(`Billed to ${invoice.billTo.name} <${invoice.billTo.email}>`);
+  if (invoice.trainerName) doc.text(`Trainer: ${invoice.trainerName}`);
+  doc.moveDown();
+
+  invoice.lineItems.forEach(item => {
+    row(`${item.description}${item.quantity > 1 ? ` x${item.quantity}` : ''}`, format(item.amount));
+    if (item.details) {
+      doc.fillColor('#666').text(item.details, 50).fillColor('#000');
+      doc.moveDown(0.5);
+    }
+  });
+
+  row('Subtotal', format(invoice.subtotal));
+  if (invoice.discount > 0) {
+    row(`Discount${invoice.promoCode ? ` (${invoice.promoCode})` : ''}`, `-${format(invoice.discount)}`);
+  }
+  row('Total paid', format(invoice.total), { bold: true });
+  invoice.taxLines.forEach(tax => row(`Includes ${tax.name} (${tax.rate}%)`, format(tax.amount)));
+
+  if (refunds.length > 0) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Refunds', 50);
+    doc.moveDown(0.5);
+    refunds.forEach(refund => row(
+      `${refund.date.toDateString()}${refund.reason ? ` - ${refund.reason}` : ''}`,
+      `-${format(refund.amount)}`
+    ));
+    row('Net paid', format(receipt.netPaid), { bold: true });
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica').fillColor('#666').text(`Payment status: ${receipt.status}`, 50);
+
+  doc.end();
+});
+
+// Issues the invoice for a completed payment and emails the receipt once.
+// Receipt problems are logged rather than thrown so they never fail the payment itself.
+const sendPaymentReceipt = async (payment) => {
+  try {
+    const invoice = await issueInvoice(payment);
+
+    if (invoice.emailedAt) {
+      return invoice;
+    }
+
+    const receipt = await getReceipt(invoice, payment);
+
+    await sendEmail({
+      email: invoice.billTo.email,
+      subject: `Your receipt ${invoice.number}`,
+      message: `Hi ${invoice.billTo.name}, thanks for your payment of ${receipt.format(invoice.total)} for ${invoice.lineItems.map(item => item.description).join(', ')}. Your receipt ${invoice.number} is attached.`,
+      html: renderReceiptHtml(receipt),
+      attachments: [{
+        filename: `${invoice.number}.pdf`,
+        content: await renderReceiptPdf(receipt),
+        contentType: 'application/pdf'
+      }]
+    });
+
+    invoice.emailedAt = Date.now();
+    await invoice.save();
+
+    return invoice;
+  } catch (err) {
+    console.error('Error sending payment receipt:', err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  issueInvoice,
+  getReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  sendPaymentReceipt
+};
@@ -0,0 +1,155 @@
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const { getPlatformFee } = require('./stripeService');
+const { fromMinorUnits } = require('./currency');
+const { sendPaymentReceipt } = require('./invoiceService');
+
+// Covers a booking with the client's membership for that trainer (or a studio-wide one) if it has room left
+const useMembershipBooking = async (userId, trainerId) => {
+  const memberships = await Membership.find({
+    user: userId,
+    status: 'active',
+    $or: [{ trainer: trainerId }, { trainer: null }]
+  });
+
+  // Trainer-specific memberships are used before studio-wide ones
+  memberships.sort((a, b) => (a.trainer ? 0 : 1) - (b.trainer ? 0 : 1));
+
+  for (const candidate of memberships) {
+    const membership = await Membership.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: 'active',
+        $or: [
+          { bookingLimit: null },
+          { $expr: { $lt: ['$bookingsUsed', '$bookingLimit'] } }
+        ]
+      },
+      { $inc: { bookingsUsed: 1 } },
+      { new: true }
+    );
+
+    if (membership) {
+      return membership;
+    }
+  }
+
+  return null;
+};
+
+const releaseMembershipBooking = async (booking) => {
+  const result = await Membership.updateOne(
+    { _id: booking.membership, bookingsUsed: { $gt: 0 } },
+    { $inc: { bookingsUsed: -1 } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Older Stripe API versions put the subscription on the invoice itself, newer ones under parent
+const getInvoiceSubscriptionId = (invoice) =>
+  invoice.subscription || invoice.parent?.subscription_details?.subscription;
+
+const handleInvoicePaid = async (invoice) => {
+  const membership = await Membership.findOne({
+    stripeSubscriptionId: getInvoiceSubscriptionId(invoice)
+  });
+
+  if (!membership) {
+    return null;
+  }
+
+  const period = invoice.lines?.data?.[0]?.period;
+
+  if (period) {
+    const start = new Date(period.start * 1000);
+
+    if (!membership.currentPeriodStart || start > membership.currentPeriodStart) {
+      membership.bookingsUsed = 0;
+    }
+
+    membership.currentPeriodStart = start;
+    membership.currentPeriodEnd = new Date(period.end * 1000);
+  }
+
+  membership.status = 'active';
+  await membership.save();
+
+  if (invoice.amount_paid > 0) {
+    const transactionId = invoice.payment_intent || invoice.id;
+    const existing = await Payment.findOne({ transactionId });
+
+    if (!existing) {
+      const amount = fromMinorUnits(invoice.amount_paid, invoice.currency);
+
+      const payment = await Payment.create({
+        user: membership.user,
+        membership: membership._id,
+        trainer: membership.trainer,
+        amount,
+        platformFee: getPlatformFee(amount, invoice.currency),
+        transferDestination: invoice.transfer_data?.destination,
+        currency: invoice.currency.toUpperCase(),
+        status: 'completed',
+        paymentMethod: 'subscription',
+        transactionId,
+        receiptUrl: invoice.hosted_invoice_url
+      });
+
+      await sendPaymentReceipt(payment);
+    }
+  }
+
+  return membership;
+};
+
+const handleInvoicePaymentFailed = async (invoice) => {
+  const membership = await Membership.findOne({
+    stripeSubscriptionId: getInvoiceSubscriptionId(invoice)
+  });
+
+  if (!membership) {
+    return null;
+  }
+
+  membership.status = 'past_due';
+  await membership.save();
+
+  return membership;
+};
+
+const handleSubscriptionUpdated = async (subscription) => {
+  const membership = await Membership.findOne({ stripeSubscriptionId: subscription.id });
+
+  if (!membership) {
+    return null;
+  }
+
+  membership.cancelAtPeriodEnd = Boolean(subscription.cancel_at_period_end);
+  await membership.save();
+
+  return membership;
+};
+
+const handleSubscriptionDeleted = async (subscription) => {
+  const membership = await Membership.findOne({ stripeSubscriptionId: subscription.id });
+
+  if (!membership) {
+    return null;
+  }
+
+  membership.status = 'cancelled';
+  membership.cancelledAt = Date.now();
+  await membership.save();
+
+  return membership;
+};
+
+module.exports = {
+  useMembershipBooking,
+  releaseMembershipBooking,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionUpdated,
+  handleSubscriptionDeleted
+};
@@ -0,0 +1,38 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Reads ?page= and ?limit=, clamping both to sane values
+const getPagination = (query, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// For list endpoints whose body stays a plain array
+const PAGINATION_HEADERS = ['X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages'];
+
+const setPaginationHeaders = (res, pagination, total) => {
+  const { page, limit, pages } = paginationMeta(pagination, total);
+
+  res.set({
+    'X-Total-Count': total,
+    'X-Page': page,
+    'X-Per-Page': limit,
+    'X-Total-Pages': pages
+  });
+};
+
+module.exports = {
+  PAGINATION_HEADERS,
+  getPagination,
+  paginationMeta,
+  setPaginationHeaders
+};
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for Stripe for local development and offline testing.
+// Objects and webhook events use Stripe's shapes so the rest of the app can't tell the difference.
+// Nothing is persisted, so restarting the server forgets every intent and refund.
+
+const WEBHOOK_SECRET = process.env.FAKE_WEBHOOK_SECRET || 'whsec_fake';
+
+const paymentIntents = new Map();
+const refunds = new Map();
+const prices = new Map();
+const accounts = new Map();
+
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const findIntent = (paymentIntentId) => {
+  const intent = paymentIntents.get(paymentIntentId);
+
+  if (!intent) {
+    throw new Error(`No such payment_intent: '${paymentIntentId}'`);
+  }
+
+  return intent;
+};
+
+const sign = (payload, timestamp) =>
+  crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+
+// Builds a signed delivery in the same form Stripe posts to the webhook endpoint
+const buildDelivery = (type, object) => {
+  const event = {
+    id: newId('evt'),
+    object: 'event',
+    type,
+    created: now(),
+    data: { object }
+  };
+
+  const payload = JSON.stringify(event);
+  const timestamp = now();
+
+  return {
+    event,
+    payload,
+    signature: `t=${timestamp},v1=${sign(payload, timestamp)}`
+  };
+};
+
+const createPaymentIntent = async ({ amount, currency, metadata, transferDestination, applicationFeeAmount }) => {
+  const id = newId('pi');
+
+  const intent = {
+    id,
+    object: 'payment_intent',
+    amount,
+    currency,
+    status: 'requires_payment_method',
+    client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    metadata: metadata || {},
+    transfer_data: transferDestination ? { destination: transferDestination } : null,
+    application_fee_amount: transferDestination ? applicationFeeAmount : null,
+    last_payment_error: null,
+    charges: { data: [] },
+    created: now()
+  };
+
+  paymentIntents.set(id, intent);
+
+  return { ...intent };
+};
+
+const retrievePaymentIntent = async (paymentIntentId) => ({ ...findIntent(paymentIntentId) });
+
+const succeedIntent = (intent) => {
+  intent.status = 'succeeded';
+  intent.last_payment_error = null;
+  intent.charges = {
+    data: [{
+      id: newId('ch'),
+      object: 'charge',
+      amount: intent.amount,
+      receipt_url: `https://example.com/fake-receipts/${intent.id}`
+    }]
+  };
+};
+
+const failIntent = (intent, message) => {
+  intent.status = 'requires_payment_method';
+  intent.last_payment_error = { message: message || 'Your card was declined.' };
+};
+
+const refundedAmount = (paymentIntentId) =>
+  [...refunds.values()]
+    .filter(refund => refund.payment_intent === paymentIntentId && refund.status === 'succeeded')
+    .reduce((acc, refund) => acc + refund.amount, 0);
+
+const createRefund = async ({ paymentIntentId, amount, metadata }) => {
+  const intent = findIntent(paymentIntentId);
+
+  if (intent.status !== 'succeeded') {
+    throw new Error(`PaymentIntent ${paymentIntentId} has not succeeded and can't be refunded`);
+  }
+
+  const remaining = intent.amount - refundedAmount(paymentIntentId);
+  const refundAmount = amount === undefined ? remaining : amount;
+
+  if (refundAmount <= 0 || refundAmount > remaining) {
+    throw new Error(`Refund amount (${refundAmount}) is greater than unrefunded amount on charge (${remaining})`);
+  }
+
+  const refund = {
+    id: newId('re'),
+    object: 'refund',
+    payment_intent: paymentIntentId,
+    amount: refundAmount,
+    currency: intent.currency,
+    status: 'succeeded',
+    metadata: metadata || {},
+    created: now()
+  };
+
+  refunds.set(refund.id, refund);
+
+  return { ...refund };
+};
+
+const listRefunds = async (paymentIntentId) =>
+  [...refunds.values()]
+    .filter(refund => refund.payment_intent === paymentIntentId)
+    .map(refund => ({ ...refund }));
+
+const constructWebhookEvent = (payload, signature) => {
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
+  const parts = Object.fromEntries((signature || '').split(',').map(part => part.split('=')));
+
+  if (!parts.t || !parts.v1) {
+    throw new Error('Unable to extract timestamp and signatures from header');
+  }
+
+  const expected = Buffer.from(sign(body, parts.t));
+  const received = Buffer.from(parts.v1);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('No signatures found matching the expected signature for payload');
+  }
+
+  return JSON.parse(body);
+};
+
+const createCustomer = async ({ email, name, metadata }) => ({
+  id: newId('cus'),
+  object: 'customer',
+  email,
+  name,
+  metadata: metadata || {}
+});
+
+const createRecurringPrice = async ({ amount, currency, interval }) => {
+  const priceId = newId('price');
+  prices.set(priceId, { amount, currency, interval });
+
+  return { productId: newId('prod'), priceId };
+};
+
+const createSubscription = async ({ priceId, transferDestination, metadata }) => {
+  // Prices created before a restart are gone, so their first invoice is for nothing
+  const price = prices.get(priceId) || { amount: 0, currency: 'usd' };
+
+  const paymentIntent = await createPaymentIntent({
+    amount: price.amount,
+    currency: price.currency,
+    metadata,
+    transferDestination
+  });
+
+  return {
+    id: newId('sub'),
+    object: 'subscription',
+    status: 'incomplete',
+    items: { data: [{ price: { id: priceId } }] },
+    latest_invoice: { id: newId('in'), payment_intent: paymentIntent },
+    cancel_at_period_end: false,
+    metadata: metadata || {}
+  };
+};
+
+const cancelSubscriptionAtPeriodEnd = async (subscriptionId) => ({
+  id: subscriptionId,
+  object: 'subscription',
+  cancel_at_period_end: true
+});
+
+// Fake connected accounts are ready to receive payouts straight away
+const createConnectAccount = async ({ email, metadata }) => {
+  const account = {
+    id: newId('acct'),
+    object: 'account',
+    email,
+    details_submitted: true,
+    charges_enabled: true,
+    payouts_enabled: true,
+    metadata: metadata || {}
+  };
+
+  accounts.set(account.id, account);
+
+  return { ...account };
+};
+
+const createAccountLink = async ({ accountId, returnUrl }) => ({
+  object: 'account_link',
+  url: `${returnUrl}?fake_account=${accountId}`,
+  expires_at: now() + 300
+});
+
+const retrieveAccount = async (accountId) => {
+  const account = accounts.get(accountId);
+
+  if (!account) {
+    throw new Error(`No such account: '${accountId}'`);
+  }
+
+  return { ...account };
+};
+
+// Simulations change the fake's state the way a real payment, decline or dashboard refund would,
+// and return the signed webhook delivery Stripe would send for it
+const simulatePaymentSuccess = async (paymentIntentId) => {
+  const intent = findIntent(paymentIntentId);
+  succeedIntent(intent);
+
+  return buildDelivery('payment_intent.succeeded', { ...intent });
+};
+
+const simulatePaymentFailure = async (paymentIntentId, message) => {
+  const intent = findIntent(paymentIntentId);
+  failIntent(intent, message);
+
+  return buildDelivery('payment_intent.payment_failed', { ...intent });
+};
+
+// amount is in the smallest currency unit; defaults to whatever is left unrefunded
+const simulateRefund = async (paymentIntentId, amount) => {
+  const intent = findIntent(paymentIntentId);
+  await createRefund({ paymentIntentId, amount });
+
+  const amountRefunded = refundedAmount(paymentIntentId);
+
+  return buildDelivery('charge.refunded', {
+    id: intent.charges.data[0]?.id || newId('ch'),
+    object: 'charge',
+    payment_intent: paymentIntentId,
+    amount: intent.amount,
+    amount_refunded: amountRefunded,
+    refunded: amountRefunded >= intent.amount
+  });
+};
+
+module.exports = {
+  name: 'fake',
+  createPaymentIntent,
+  retrievePaymentIntent,
+  createRefund,
+  listRefunds,
+  constructWebhookEvent,
+  createCustomer,
+  createRecurringPrice,
+  createSubscription,
+  cancelSubscriptionAtPeriodEnd,
+  createConnectAccount,
+  createAccountLink,
+  retrieveAccount,
+  simulatePaymentSuccess,
+  simulatePaymentFailure,
+  simulateRefund
+};
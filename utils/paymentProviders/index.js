@@ -0,0 +1,18 @@
+// Every provider implements the same functions and returns objects in Stripe's shapes:
+//   createPaymentIntent, retrievePaymentIntent,
+//   createRefund, listRefunds, constructWebhookEvent,
+//   createCustomer, createRecurringPrice, createSubscription, cancelSubscriptionAtPeriodEnd,
+//   createConnectAccount, createAccountLink, retrieveAccount
+// Amounts are in the smallest currency unit.
+const providers = {
+  stripe: () => require('./stripe'),
+  fake: () => require('./fake')
+};
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'stripe';
+
+if (!providers[PAYMENT_PROVIDER]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}". Use one of: ${Object.keys(providers).join(', ')}`);
+}
+
+module.exports = providers[PAYMENT_PROVIDER]();
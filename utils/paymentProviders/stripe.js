@@ -0,0 +1,118 @@
+const Stripe = require('stripe');
+
+// Created on first use so the app can start without Stripe keys when another provider is configured
+let client;
+const getClient = () => {
+  if (!client) {
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const createPaymentIntent = ({ amount, currency, metadata, transferDestination, applicationFeeAmount }) =>
+  getClient().paymentIntents.create({
+    amount,
+    currency,
+    ...(transferDestination && {
+      transfer_data: { destination: transferDestination },
+      application_fee_amount: applicationFeeAmount
+    }),
+    metadata
+  });
+
+const retrievePaymentIntent = (paymentIntentId) =>
+  getClient().paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+
+const createRefund = ({ paymentIntentId, amount, reverseTransfer, metadata }) =>
+  getClient().refunds.create({
+    payment_intent: paymentIntentId,
+    amount,
+    reason: 'requested_by_customer',
+    // Pull the trainer's share and the platform fee back proportionally for destination charges
+    ...(reverseTransfer && {
+      reverse_transfer: true,
+      refund_application_fee: true
+    }),
+    metadata
+  });
+
+const listRefunds = async (paymentIntentId) => {
+  const refunds = await getClient().refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+  return refunds.data;
+};
+
+const constructWebhookEvent = (payload, signature) =>
+  getClient().webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+
+const createCustomer = ({ email, name, metadata }) =>
+  getClient().customers.create({ email, name, metadata });
+
+const createRecurringPrice = async ({ name, amount, currency, interval, metadata }) => {
+  const product = await getClient().products.create({ name, metadata });
+
+  const price = await getClient().prices.create({
+    product: product.id,
+    unit_amount: amount,
+    currency,
+    recurring: { interval }
+  });
+
+  return { productId: product.id, priceId: price.id };
+};
+
+// Returned with latest_invoice.payment_intent expanded so the client can pay the first invoice
+const createSubscription = ({ customerId, priceId, transferDestination, transferPercent, metadata }) =>
+  getClient().subscriptions.create({
+    customer: customerId,
+    items: [{ price: priceId }],
+    ...(transferDestination && {
+      transfer_data: {
+        destination: transferDestination,
+        amount_percent: transferPercent
+      }
+    }),
+    payment_behavior: 'default_incomplete',
+    payment_settings: { save_default_payment_method: 'on_subscription' },
+    expand: ['latest_invoice.payment_intent'],
+    metadata
+  });
+
+const cancelSubscriptionAtPeriodEnd = (subscriptionId) =>
+  getClient().subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+
+const createConnectAccount = ({ email, metadata }) =>
+  getClient().accounts.create({
+    type: 'express',
+    email,
+    capabilities: {
+      card_payments: { requested: true },
+      transfers: { requested: true }
+    },
+    metadata
+  });
+
+const createAccountLink = ({ accountId, refreshUrl, returnUrl }) =>
+  getClient().accountLinks.create({
+    account: accountId,
+    refresh_url: refreshUrl,
+    return_url: returnUrl,
+    type: 'account_onboarding'
+  });
+
+const retrieveAccount = (accountId) => getClient().accounts.retrieve(accountId);
+
+module.exports = {
+  name: 'stripe',
+  createPaymentIntent,
+  retrievePaymentIntent,
+  createRefund,
+  listRefunds,
+  constructWebhookEvent,
+  createCustomer,
+  createRecurringPrice,
+  createSubscription,
+  cancelSubscriptionAtPeriodEnd,
+  createConnectAccount,
+  createAccountLink,
+  retrieveAccount
+};
@@ -0,0 +1,23 @@
+// What each role may do beyond its own resources; routes check these with requirePermission
+const ROLE_PERMISSIONS = {
+  admin: [
+    'users:read',
+    'users:manage',
+    'trainers:approve',
+    'bookings:read',
+    'payments:read',
+    'payments:refund',
+    'reviews:moderate',
+    'audit:read'
+  ],
+  trainer: [],
+  client: []
+};
+
+const hasPermission = (userType, permission) =>
+  (ROLE_PERMISSIONS[userType] || []).includes(permission);
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,200 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { roundAmount } = require('./currency');
+
+const ACTIVE_REDEMPTION_STATUSES = ['pending', 'applied'];
+// Checkouts left unpaid for longer than this no longer hold a redemption
+const PENDING_REDEMPTION_MINUTES = parseInt(process.env.PROMO_PENDING_MINUTES, 10) || 30;
+
+// Matches codes without a redemption limit or with redemptions left
+const HAS_REDEMPTIONS_LEFT = {
+  $or: [
+    { maxRedemptions: null },
+    { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+  ]
+};
+
+const promoError = (code, msg) => {
+  const err = new Error(msg);
+  err.status = 400;
+  err.code = code;
+  return err;
+};
+
+const getDiscount = (promo, price, currency) => {
+  const discount = promo.discountType === 'percentage'
+    ? price * promo.discountValue / 100
+    : promo.discountValue;
+
+  return Math.min(roundAmount(discount, currency), price);
+};
+
+// Checks that the client can use the code on the class and works out the discounted price.
+// Throws a 400 error with a code when it can't be used.
+const quotePromoCode = async (code, { userId, classItem }) => {
+  const promo = await PromoCode.findOne({ code: code.trim().toUpperCase() });
+
+  if (!promo || !promo.isActive) {
+    throw promoError('PROMO_NOT_FOUND', 'Promo code not found');
+  }
+
+  if (promo.expiresAt && promo.expiresAt <= new Date()) {
+    throw promoError('PROMO_EXPIRED', 'This promo code has expired');
+  }
+
+  const trainerId = classItem.trainer._id || classItem.trainer;
+
+  if (
+    !promo.trainer.equals(trainerId) ||
+    (promo.classes.length > 0 && !promo.classes.some(id => id.equals(classItem._id))) ||
+    (promo.classTypes.length > 0 && !promo.classTypes.includes(classItem.type)) ||
+    (promo.discountType === 'fixed' && promo.currency !== classItem.currency)
+  ) {
+    throw promoError('PROMO_NOT_APPLICABLE', 'This promo code does not apply to this class');
+  }
+
+  if (await releaseStaleRedemptions(promo._id, userId) > 0) {
+    promo.redemptionCount = (await PromoCode.findById(promo._id).select('redemptionCount')).redemptionCount;
+  }
+
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    throw promoError('PROMO_EXHAUSTED', 'This promo code has been fully redeemed');
+  }
+
+  const used = await PromoRedemption.countDocuments({
+    promoCode: promo._id,
+    user: userId,
+    status: { $in: ACTIVE_REDEMPTION_STATUSES }
+  });
+
+  if (used >= promo.perUserLimit) {
+    throw promoError('PROMO_LIMIT_REACHED', 'You have already used this promo code');
+  }
+
+  const discountAmount = getDiscount(promo, classItem.price, classItem.currency);
+
+  return {
+    promo,
+    originalAmount: classItem.price,
+    discountAmount,
+    currency: classItem.currency,
+    amount: roundAmount(classItem.price - discountAmount, classItem.currency)
+  };
+};
+
+// Takes one of the code's redemptions for the payment, failing if another client got the last one first
+const redeemPromoCode = async (promo, { userId, paymentId, bookingId, discountAmount }) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    { _id: promo._id, isActive: true, ...HAS_REDEMPTIONS_LEFT },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw promoError('PROMO_EXHAUSTED', 'This promo code has been fully redeemed');
+  }
+
+  return PromoRedemption.create({
+    promoCode: promo._id,
+    user: userId,
+    payment: paymentId,
+    booking: bookingId,
+    discountAmount
+  });
+};
+
+const reverseRedemption = async (filter) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { status: { $in: ACTIVE_REDEMPTION_STATUSES }, ...filter },
+    { status: 'reversed', reversedAt: Date.now() },
+    { new: true }
+  );
+
+  if (redemption) {
+    await PromoCode.updateOne(
+      { _id: redemption.promoCode, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+  }
+
+  return redemption;
+};
+
+// Gives the redemption back when the payment fails or is fully refunded
+const reversePromoRedemption = (paymentId) => reverseRedemption({ payment: paymentId });
+
+// A new checkout for the same booking replaces earlier attempts that were never paid
+const releaseAbandonedRedemptions = async (bookingId) => {
+  while (await reverseRedemption({ booking: bookingId, status: 'pending' }));
+};
+
+// Gives back the client's redemptions of the code from checkouts that were abandoned before payment.
+// If one of those payments does complete later, applyPromoRedemption takes the redemption again.
+const releaseStaleRedemptions = async (promoId, userId) => {
+  const cutoff = new Date(Date.now() - PENDING_REDEMPTION_MINUTES * 60 * 1000);
+  let released = 0;
+
+  while (await reverseRedemption({
+    promoCode: promoId,
+    user: userId,
+    status: 'pending',
+    createdAt: { $lt: cutoff }
+  })) {
+    released++;
+  }
+
+  return released;
+};
+
+const applyPromoRedemption = async (paymentId) => {
+  const pending = await PromoRedemption.findOneAndUpdate(
+    { payment: paymentId, status: 'pending' },
+    { status: 'applied' },
+    { new: true }
+  );
+
+  if (pending) {
+    return pending;
+  }
+
+  // The payment went through after failing once, so its redemption had already been given back.
+  // It is only taken again if the code has one left; otherwise it stays reversed.
+  const reversed = await PromoRedemption.findOne({ payment: paymentId, status: 'reversed' });
+
+  if (!reversed) {
+    return null;
+  }
+
+  const claimed = await PromoCode.findOneAndUpdate(
+    { _id: reversed.promoCode, ...HAS_REDEMPTIONS_LEFT },
+    { $inc: { redemptionCount: 1 } }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  const applied = await PromoRedemption.findOneAndUpdate(
+    { _id: reversed._id, status: 'reversed' },
+    { status: 'applied', $unset: { reversedAt: 1 } },
+    { new: true }
+  );
+
+  // A concurrent request applied it first and took its own redemption
+  if (!applied) {
+    await PromoCode.updateOne(
+      { _id: reversed.promoCode, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+  }
+
+  return applied;
+};
+
+module.exports = {
+  quotePromoCode,
+  redeemPromoCode,
+  reversePromoRedemption,
+  releaseAbandonedRedemptions,
+  applyPromoRedemption
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Booking = require('../models/Booking');
+const { ATTENDED_STATUSES } = require('./attendanceService');
+
+// Reviews written before moderation existed have no status and count as published
+const VISIBLE_REVIEW_STATUS = { $ne: 'hidden' };
+
+// Hidden reviews don't count towards ratings
+const summarizeRatings = async (match) => {
+  const [row] = await Review.aggregate([
+    { $match: { ...match, status: VISIBLE_REVIEW_STATUS } },
+    { $group: { _id: null, rating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  return row
+    ? { rating: Math.round(row.rating * 100) / 100, reviewCount: row.reviewCount }
+    : { rating: 0, reviewCount: 0 };
+};
+
+// Trainer ratings average every review of the trainer, class reviews included
+const refreshTrainerRating = async (trainerId) => {
+  const { rating, reviewCount } = await summarizeRatings({
+    trainerId: new mongoose.Types.ObjectId(trainerId)
+  });
+
+  await User.updateOne(
+    { _id: trainerId },
+    { 'profile.rating': rating, 'profile.reviewCount': reviewCount }
+  );
+
+  return { rating, reviewCount };
+};
+
+const refreshClassRating = async (classId) => {
+  const summary = await summarizeRatings({ class: new mongoose.Types.ObjectId(classId) });
+
+  await Class.updateOne({ _id: classId }, summary);
+
+  return summary;
+};
+
+// Finds the past booking that lets a client review the trainer (or one class), preferring one with recorded
+// attendance. Bookings the client was marked a no-show for never count.
+const findReviewableBooking = async (clientId, trainerId, classId) => {
+  const bookings = await Booking.find({
+    user: clientId,
+    trainer: trainerId,
+    ...(classId && { class: classId }),
+    status: 'confirmed',
+    endAt: { $lt: new Date() },
+    'attendance.status': { $ne: 'no_show' }
+  })
+    .select('attendance endAt')
+    .sort({ endAt: -1 });
+
+  const attended = bookings.find(b => b.attendance && ATTENDED_STATUSES.includes(b.attendance.status));
+
+  if (attended) {
+    return { booking: attended, verifiedAttendee: true };
+  }
+
+  return bookings.length > 0 ? { booking: bookings[0], verifiedAttendee: false } : null;
+};
+
+// Recomputes every rating a review counts towards after it changes
+const refreshReviewRatings = async (review) => {
+  await refreshTrainerRating(review.trainerId);
+
+  if (review.class) {
+    await refreshClassRating(review.class);
+  }
+};
+
+module.exports = {
+  VISIBLE_REVIEW_STATUS,
+  refreshTrainerRating,
+  refreshReviewRatings,
+  refreshClassRating,
+  findReviewableBooking
+};
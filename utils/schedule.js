@@ -0,0 +1,118 @@
+const { DAYS, toInstant, toLocal, isValidLocalTime } = require('./timezone');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => {
+  const hours = Math.floor(total / 60) % 24;
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const getDayName = (date) => DAYS[new Date(date).getUTCDay()];
+
+const toDateOnly = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Date and time are wall-clock values in the class's timezone
+const getSessionStart = (date, startTime, zone) => toInstant(date, startTime, zone);
+
+const getSessionTimes = (date, startTime, endTime, zone) => {
+  const startAt = toInstant(date, startTime, zone);
+  const endAt = toInstant(date, endTime, zone);
+
+  // A slot ending at or before it starts runs past midnight
+  if (endAt <= startAt) {
+    endAt.setTime(endAt.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return { startAt, endAt };
+};
+
+const findScheduleSlot = (classItem, date, startTime, endTime) => {
+  const day = getDayName(date);
+
+  return classItem.schedule.find(slot =>
+    slot.day === day &&
+    toMinutes(slot.startTime) === toMinutes(startTime) &&
+    (!endTime || toMinutes(slot.endTime) === toMinutes(endTime))
+  );
+};
+
+// Availability is expressed in the trainer's own timezone, so the session instants are converted into it first
+const isWithinAvailability = (availability, startAt, endAt, zone) => {
+  if (!availability || availability.length === 0) {
+    return true;
+  }
+
+  const localStart = toLocal(startAt, zone);
+  const localEnd = toLocal(endAt, zone);
+
+  if (localStart.date !== localEnd.date) {
+    return false;
+  }
+
+  const start = toMinutes(localStart.time);
+  const end = toMinutes(localEnd.time);
+
+  return availability.some(slot =>
+    slot.day === localStart.day &&
+    toMinutes(slot.startTime) <= start &&
+    toMinutes(slot.endTime) >= end
+  );
+};
+
+// Returns { code, msg } describing why the requested slot cannot be booked, or null if it can
+const validateBookingSlot = (classItem, trainer, date, startTime, endTime) => {
+  if (!isValidLocalTime(date, startTime, classItem.timezone)) {
+    return {
+      code: 'INVALID_LOCAL_TIME',
+      msg: `${startTime} does not exist on this date in ${classItem.timezone} because of a daylight saving change`
+    };
+  }
+
+  // Slots ending at or before their start time run past midnight
+  const { startAt, endAt } = getSessionTimes(date, startTime, endTime, classItem.timezone);
+
+  if (startAt < new Date()) {
+    return { code: 'DATE_IN_PAST', msg: 'Cannot book a session in the past' };
+  }
+
+  if ((endAt - startAt) / 60000 !== classItem.duration) {
+    return {
+      code: 'DURATION_MISMATCH',
+      msg: `Booking must match the class duration of ${classItem.duration} minutes`
+    };
+  }
+
+  if (!findScheduleSlot(classItem, date, startTime, endTime)) {
+    return {
+      code: 'SLOT_NOT_IN_SCHEDULE',
+      msg: `This class is not scheduled on ${getDayName(date)} from ${startTime} to ${endTime}`
+    };
+  }
+
+  if (trainer && !isWithinAvailability(trainer.profile.availability, startAt, endAt, trainer.timezone)) {
+    return { code: 'TRAINER_UNAVAILABLE', msg: 'The trainer is not available at this time' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  DAYS,
+  toMinutes,
+  fromMinutes,
+  getDayName,
+  toDateOnly,
+  getSessionStart,
+  getSessionTimes,
+  findScheduleSlot,
+  isWithinAvailability,
+  validateBookingSlot
+};
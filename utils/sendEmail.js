@@ -14,7 +14,9 @@ const sendEmail = async (options) => {
     from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
     to: options.email,
     subject: options.subject,
-    text: options.message
+    text: options.message,
+    ...(options.html && { html: options.html }),
+    ...(options.attachments && { attachments: options.attachments })
   };
 
   await transporter.sendMail(mailOptions);
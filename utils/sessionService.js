@@ -0,0 +1,330 @@
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { DAYS, toDateOnly, getSessionTimes, findScheduleSlot, validateBookingSlot } = require('./schedule');
+const { SEAT_STATUSES, promoteFromWaitlist, cancelBooking } = require('./bookingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_WINDOW_DAYS = parseInt(process.env.SESSION_WINDOW_DAYS, 10) || 28;
+
+const getDefaultWindow = () => {
+  const from = toDateOnly(new Date());
+  return { from, to: new Date(from.getTime() + SESSION_WINDOW_DAYS * DAY_MS) };
+};
+
+// Creates any missing occurrences of the class's weekly slots between from and to (inclusive)
+const generateSessions = async (classItem, from, to) => {
+  const ops = [];
+  const last = toDateOnly(to);
+
+  for (let day = toDateOnly(from); day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    const dayName = DAYS[day.getUTCDay()];
+
+    classItem.schedule
+      .filter(slot => slot.day === dayName)
+      .forEach(slot => {
+        ops.push({
+          updateOne: {
+            filter: { class: classItem._id, slotDate: day, slotStartTime: slot.startTime },
+            update: {
+              $setOnInsert: {
+                trainer: classItem.trainer._id || classItem.trainer,
+                date: day,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                timezone: classItem.timezone,
+                ...getSessionTimes(day, slot.startTime, slot.endTime, classItem.timezone),
+                capacity: slot.capacity || classItem.capacity,
+                bookedSeats: 0,
+                status: 'scheduled',
+                isRescheduled: false,
+                createdAt: new Date()
+              }
+            },
+            upsert: true
+          }
+        });
+      });
+  }
+
+  if (ops.length === 0) {
+    return;
+  }
+
+  try {
+    await Session.bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    // A concurrent request generated the same occurrence first
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+// Brings future, untouched occurrences in line with the class's current schedule
+const syncSessions = async (classItem) => {
+  const { from, to } = getDefaultWindow();
+
+  const sessions = await Session.find({
+    class: classItem._id,
+    slotDate: { $gte: from },
+    status: 'scheduled',
+    isRescheduled: false
+  });
+
+  for (const session of sessions) {
+    const slot = findScheduleSlot(classItem, session.slotDate, session.slotStartTime);
+
+    if (!slot) {
+      const hasBookings = await Booking.exists({
+        session: session._id,
+        status: { $in: [...SEAT_STATUSES, 'waitlisted'] }
+      });
+
+      if (!hasBookings) {
+        await session.deleteOne();
+      }
+      continue;
+    }
+
+    const previousCapacity = session.capacity;
+
+    session.endTime = slot.endTime;
+    session.timezone = classItem.timezone;
+    Object.assign(session, getSessionTimes(session.date, session.startTime, slot.endTime, classItem.timezone));
+    session.capacity = slot.capacity || classItem.capacity;
+
+    const timesChanged = session.isModified(['endTime', 'timezone', 'startAt', 'endAt']);
+    await session.save();
+
+    if (timesChanged) {
+      await Booking.updateMany(
+        { session: session._id, status: { $ne: 'cancelled' } },
+        { endTime: session.endTime, timezone: session.timezone, startAt: session.startAt, endAt: session.endAt }
+      );
+    }
+
+    if (session.capacity > previousCapacity) {
+      while (await promoteFromWaitlist(session._id));
+    }
+  }
+
+  await generateSessions(classItem, from, to);
+};
+
+// Finds the occurrence running at the given date and time, generating it from the schedule if needed
+const ensureSession = async (classItem, date, startTime) => {
+  const day = toDateOnly(date);
+
+  const existing = await Session.findOne({
+    class: classItem._id,
+    date: day,
+    startTime
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  const slot = findScheduleSlot(classItem, day, startTime);
+  if (!slot) {
+    return null;
+  }
+
+  await generateSessions(classItem, day, day);
+
+  return Session.findOne({
+    class: classItem._id,
+    slotDate: day,
+    slotStartTime: slot.startTime
+  });
+};
+
+// Returns { code, msg } if the occurrence can no longer be booked, or null if it can
+const getSessionError = (session) => {
+  if (session.status === 'cancelled') {
+    return { code: 'SESSION_CANCELLED', msg: 'This session has been cancelled by the trainer' };
+  }
+
+  if (session.startAt < new Date()) {
+    return { code: 'DATE_IN_PAST', msg: 'Cannot book a session in the past' };
+  }
+
+  return null;
+};
+
+// Resolves the occurrence a booking request points at, either a known session or a class date and start time.
+// Date and times without a session are wall-clock values in the class's timezone.
+// Returns { session } when it can be booked, otherwise { status, error }.
+const resolveBookableSession = async (classItem, { session, date, startTime, endTime }) => {
+  if (!session) {
+    session = await ensureSession(classItem, date, startTime);
+
+    if (!session || !session.isRescheduled) {
+      const trainer = await User.findById(classItem.trainer).select('timezone profile.availability');
+
+      const slotError = validateBookingSlot(classItem, trainer, date, startTime, endTime);
+      if (slotError) {
+        return { status: 400, error: slotError };
+      }
+    }
+
+    if (session.date.getTime() !== toDateOnly(date).getTime() || session.startTime !== startTime) {
+      return {
+        status: 400,
+        error: { code: 'SESSION_RESCHEDULED', msg: 'This session has been moved by the trainer', session }
+      };
+    }
+  }
+
+  const sessionError = getSessionError(session);
+  if (sessionError) {
+    return { status: 400, error: sessionError };
+  }
+
+  return { session };
+};
+
+const withAvailability = async (sessions) => {
+  const counts = await Booking.aggregate([
+    {
+      $match: {
+        session: { $in: sessions.map(s => s._id) },
+        status: { $in: [...SEAT_STATUSES, 'waitlisted'] }
+      }
+    },
+    {
+      $group: {
+        _id: { session: '$session', waitlisted: { $eq: ['$status', 'waitlisted'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const countFor = (sessionId, waitlisted) => {
+    const match = counts.find(c =>
+      c._id.session.toString() === sessionId.toString() && c._id.waitlisted === waitlisted
+    );
+    return match ? match.count : 0;
+  };
+
+  return sessions.map(session => {
+    const bookedSeats = countFor(session._id, false);
+
+    return {
+      ...session.toObject(),
+      bookedSeats,
+      remainingSeats: session.status === 'cancelled' ? 0 : Math.max(session.capacity - bookedSeats, 0),
+      waitlistCount: countFor(session._id, true)
+    };
+  });
+};
+
+const notifySessionBookings = async (bookings, subject, message) => {
+  for (const booking of bookings) {
+    try {
+      await sendEmail({
+        email: booking.user.email,
+        subject,
+        message: `Hi ${booking.user.name}, ${message}`
+      });
+    } catch (err) {
+      console.error('Error sending session update email:', err.message);
+    }
+  }
+};
+
+const cancelSession = async (session, classItem, reason) => {
+  session.status = 'cancelled';
+  if (reason) session.notes = reason;
+  await session.save();
+
+  const bookings = await Booking.find({
+    session: session._id,
+    status: { $in: [...SEAT_STATUSES, 'waitlisted'] }
+  }).populate('user', 'name email');
+
+  for (const booking of bookings) {
+    await cancelBooking(booking, {
+      initiator: 'trainer',
+      initiatedBy: session.trainer,
+      reason: reason || 'Session cancelled'
+    });
+  }
+
+  await notifySessionBookings(
+    bookings,
+    'Your class session has been cancelled',
+    `${classItem.title} on ${session.date.toDateString()} at ${session.startTime} has been cancelled by the trainer.${reason ? ` Reason: ${reason}` : ''}`
+  );
+
+  return session;
+};
+
+const rescheduleSession = async (session, classItem, { date, startTime, endTime }) => {
+  const previous = `${session.date.toDateString()} at ${session.startTime}`;
+
+  session.date = toDateOnly(date);
+  session.startTime = startTime;
+  session.endTime = endTime;
+  Object.assign(session, getSessionTimes(session.date, startTime, endTime, session.timezone));
+  session.isRescheduled = true;
+  await session.save();
+
+  await Booking.updateMany(
+    { session: session._id, status: { $ne: 'cancelled' } },
+    { date: session.date, startTime, endTime, startAt: session.startAt, endAt: session.endAt }
+  );
+
+  const bookings = await Booking.find({
+    session: session._id,
+    status: { $in: [...SEAT_STATUSES, 'waitlisted'] }
+  }).populate('user', 'name email');
+
+  await notifySessionBookings(
+    bookings,
+    'Your class session has been rescheduled',
+    `${classItem.title} on ${previous} has moved to ${session.date.toDateString()} from ${startTime} to ${endTime}.`
+  );
+
+  return session;
+};
+
+const findSessionOverlaps = async (session, { date, startTime, endTime }) => {
+  const { startAt, endAt } = getSessionTimes(date, startTime, endTime, session.timezone);
+
+  const sessions = await Session.find({
+    trainer: session.trainer,
+    _id: { $ne: session._id },
+    status: 'scheduled',
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
+  }).populate('class', 'title');
+
+  return sessions
+    .map(s => ({
+      type: 'session',
+      sessionId: s._id,
+      classId: s.class._id,
+      classTitle: s.class.title,
+      date: s.date,
+      startTime: s.startTime,
+      endTime: s.endTime,
+      timezone: s.timezone
+    }));
+};
+
+module.exports = {
+  SESSION_WINDOW_DAYS,
+  getDefaultWindow,
+  generateSessions,
+  syncSessions,
+  ensureSession,
+  getSessionError,
+  resolveBookableSession,
+  withAvailability,
+  cancelSession,
+  rescheduleSession,
+  findSessionOverlaps
+};
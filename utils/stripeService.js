@@ -1,10 +1,48 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const paymentProvider = require('./paymentProviders');
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const Package = require('../models/Package');
+const CreditPack = require('../models/CreditPack');
+const User = require('../models/User');
+const MembershipPlan = require('../models/MembershipPlan');
+const Membership = require('../models/Membership');
+const { activateCreditPack, revokeCreditPack, getUnusedCreditValue } = require('./creditService');
+const {
+  quotePromoCode,
+  redeemPromoCode,
+  reversePromoRedemption,
+  releaseAbandonedRedemptions,
+  applyPromoRedemption
+} = require('./promoService');
+const { sendPaymentReceipt } = require('./invoiceService');
+const { roundAmount, toMinorUnits, fromMinorUnits } = require('./currency');
 
-const createPaymentIntent = async (bookingId, userId, paymentMethod) => {
+const PLATFORM_FEE_PERCENT = parseFloat(process.env.PLATFORM_FEE_PERCENT || '10');
+
+const getPlatformFee = (amount, currency) => roundAmount(amount * PLATFORM_FEE_PERCENT / 100, currency);
+
+// Charges for a trainer who has finished Connect onboarding go to their account as destination charges,
+// with the platform fee kept back; otherwise the funds stay on the platform account
+const getTrainerRouting = async (trainerId, amount, currency) => {
+  const platformFee = getPlatformFee(amount, currency);
+  const trainer = trainerId ? await User.findById(trainerId).select('stripeConnect') : null;
+  const connect = trainer && trainer.stripeConnect;
+
+  if (!connect || !connect.accountId || !connect.payoutsEnabled) {
+    return { platformFee };
+  }
+
+  return {
+    platformFee,
+    transferDestination: connect.accountId,
+    applicationFeeAmount: toMinorUnits(platformFee, currency)
+  };
+};
+
+const createPaymentIntent = async (bookingId, userId, paymentMethod, { promoCode } = {}) => {
   try {
-    const booking = await Booking.findById(bookingId).populate('class', 'price');
+    const booking = await Booking.findById(bookingId).populate('class', 'title price currency type trainer');
     
     if (!booking) {
       throw new Error('Booking not found');
@@ -13,72 +51,235 @@ const createPaymentIntent = async (bookingId, userId, paymentMethod) => {
     if (booking.user.toString() !== userId) {
       throw new Error('Unauthorized access to booking');
     }
+
+    if (booking.creditPack || booking.membership) {
+      throw new Error('This booking is already covered by a package credit or membership');
+    }
     
+    // A partial refund still leaves the booking paid for
     const existingPayment = await Payment.findOne({ 
       booking: bookingId,
-      status: 'completed'
+      status: { $in: ['completed', 'partially_refunded'] }
     });
     
     if (existingPayment) {
       throw new Error('Payment already completed for this booking');
     }
+
+    let quote = { promo: null, originalAmount: booking.class.price, discountAmount: 0, amount: booking.class.price };
+
+    if (promoCode) {
+      await releaseAbandonedRedemptions(booking._id);
+      quote = await quotePromoCode(promoCode, { userId, classItem: booking.class });
+    }
+
+    const payment = new Payment({
+      user: userId,
+      booking: bookingId,
+      trainer: booking.trainer,
+      amount: quote.amount,
+      currency: booking.class.currency,
+      originalAmount: quote.originalAmount,
+      discountAmount: quote.discountAmount,
+      promoCode: quote.promo ? quote.promo._id : undefined,
+      paymentMethod,
+      status: 'pending'
+    });
+
+    if (quote.promo) {
+      await redeemPromoCode(quote.promo, {
+        userId,
+        paymentId: payment._id,
+        bookingId: booking._id,
+        discountAmount: quote.discountAmount
+      });
+    }
+
+    let paymentIntent = null;
+
+    try {
+      if (quote.amount > 0) {
+        const routing = await getTrainerRouting(booking.trainer, quote.amount, payment.currency);
+
+        paymentIntent = await paymentProvider.createPaymentIntent({
+          amount: toMinorUnits(quote.amount, payment.currency),
+          currency: payment.currency.toLowerCase(),
+          transferDestination: routing.transferDestination,
+          applicationFeeAmount: routing.applicationFeeAmount,
+          metadata: {
+            bookingId,
+            userId,
+            classTitle: booking.class.title,
+            ...(quote.promo && { promoCode: quote.promo.code })
+          }
+        });
+
+        payment.platformFee = routing.platformFee;
+        payment.transferDestination = routing.transferDestination;
+        payment.transactionId = paymentIntent.id;
+      } else {
+        // Nothing left to charge, so there is no intent to wait for
+        payment.paymentMethod = 'promo';
+        payment.status = 'completed';
+      }
+
+      await payment.save();
+    } catch (error) {
+      if (quote.promo) {
+        await reversePromoRedemption(payment._id);
+      }
+      throw error;
+    }
+
+    if (payment.status === 'completed') {
+      if (quote.promo) {
+        await applyPromoRedemption(payment._id);
+      }
+      await fulfilPayment(payment);
+      await sendPaymentReceipt(payment);
+    }
     
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(booking.class.price * 100),
-      currency: 'usd',
+    return {
+      paymentId: payment._id,
+      clientSecret: paymentIntent ? paymentIntent.client_secret : null,
+      status: payment.status,
+      amount: quote.amount,
+      currency: payment.currency,
+      originalAmount: quote.originalAmount,
+      discountAmount: quote.discountAmount
+    };
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+    throw error;
+  }
+};
+
+const createPackagePaymentIntent = async (packageId, userId, paymentMethod) => {
+  try {
+    const packageItem = await Package.findById(packageId);
+
+    if (!packageItem || !packageItem.isActive) {
+      throw new Error('Package not found');
+    }
+
+    const creditPack = new CreditPack({
+      user: userId,
+      package: packageItem._id,
+      trainer: packageItem.trainer,
+      creditsTotal: packageItem.credits,
+      classTypes: packageItem.classTypes
+    });
+
+    const routing = await getTrainerRouting(packageItem.trainer, packageItem.price, packageItem.currency);
+
+    const paymentIntent = await paymentProvider.createPaymentIntent({
+      amount: toMinorUnits(packageItem.price, packageItem.currency),
+      currency: packageItem.currency.toLowerCase(),
+      transferDestination: routing.transferDestination,
+      applicationFeeAmount: routing.applicationFeeAmount,
       metadata: {
-        bookingId,
+        creditPackId: creditPack._id.toString(),
         userId,
-        classTitle: booking.class.title
+        packageName: packageItem.name
       }
     });
-    
+
     const payment = new Payment({
       user: userId,
-      booking: bookingId,
-      amount: booking.class.price,
+      creditPack: creditPack._id,
+      trainer: packageItem.trainer,
+      amount: packageItem.price,
+      currency: packageItem.currency,
+      platformFee: routing.platformFee,
+      transferDestination: routing.transferDestination,
       paymentMethod,
       transactionId: paymentIntent.id,
       status: 'pending'
     });
-    
+
+    creditPack.payment = payment._id;
+
+    await creditPack.save();
     await payment.save();
-    
+
     return {
       paymentId: payment._id,
+      creditPackId: creditPack._id,
       clientSecret: paymentIntent.client_secret,
-      amount: booking.class.price
+      amount: packageItem.price
     };
   } catch (error) {
-    console.error('Error creating payment intent:', error);
+    console.error('Error creating package payment intent:', error);
     throw error;
   }
 };
 
 
+// Marks the payment behind a succeeded intent as completed and fulfils what it paid for.
+// Used by both confirmPayment and the payment_intent.succeeded webhook so they leave the same state.
+const completePayment = async (paymentIntent) => {
+  const payment = await Payment.findOne({ transactionId: paymentIntent.id });
+
+  if (!payment) {
+    return null;
+  }
+
+  // A replayed success must not undo refunds recorded since
+  const justCompleted = ['pending', 'failed'].includes(payment.status);
+
+  if (justCompleted) {
+    payment.status = 'completed';
+
+    if (payment.promoCode) {
+      await applyPromoRedemption(payment._id);
+    }
+  }
+  // Newer API versions drop charges from the intent; latest_charge is only an object when expanded
+  payment.receiptUrl = paymentIntent.charges?.data[0]?.receipt_url ||
+    paymentIntent.latest_charge?.receipt_url ||
+    payment.receiptUrl ||
+    null;
+
+  await payment.save();
+  await fulfilPayment(payment);
+
+  if (justCompleted) {
+    await sendPaymentReceipt(payment);
+  }
+
+  return payment;
+};
+
+// Hands over what a completed payment bought: the credit pack, or a paid and confirmed booking
+const fulfilPayment = async (payment) => {
+  if (payment.creditPack) {
+    await activateCreditPack(payment.creditPack);
+  } else if (payment.booking) {
+    await Booking.updateOne(
+      { _id: payment.booking, paymentStatus: 'unpaid' },
+      { paymentStatus: 'paid' }
+    );
+    // Waitlisted and cancelled bookings keep their status
+    await Booking.updateOne(
+      { _id: payment.booking, status: 'pending' },
+      { status: 'confirmed' }
+    );
+  }
+};
+
 const confirmPayment = async (paymentIntentId) => {
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(paymentIntentId);
     
     if (paymentIntent.status !== 'succeeded') {
       throw new Error(`Payment not successful. Status: ${paymentIntent.status}`);
     }
     
-    const payment = await Payment.findOne({ transactionId: paymentIntentId });
+    const payment = await completePayment(paymentIntent);
     
     if (!payment) {
       throw new Error('Payment record not found');
     }
-    
-    payment.status = 'completed';
-    payment.receiptUrl = paymentIntent.charges?.data[0]?.receipt_url || null;
-    
-    await payment.save();
-    
-    await Booking.findByIdAndUpdate(payment.booking, { 
-      paymentStatus: 'paid',
-      status: 'confirmed' 
-    });
 
     const populatedPayment = await Payment.findById(payment._id)
       .populate('booking', 'date startTime endTime status paymentStatus')
@@ -98,7 +299,234 @@ const confirmPayment = async (paymentIntentId) => {
 };
 
 
-const processRefund = async (paymentId, reason) => {
+const getOrCreateCustomer = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await paymentProvider.createCustomer({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user.id }
+  });
+
+  user.stripeCustomerId = customer.id;
+  await user.save();
+
+  return customer.id;
+};
+
+// Plans get their Stripe product and recurring price the first time someone subscribes
+const ensurePlanPrice = async (plan) => {
+  if (plan.stripePriceId) {
+    return plan.stripePriceId;
+  }
+
+  const { productId, priceId } = await paymentProvider.createRecurringPrice({
+    name: plan.name,
+    amount: toMinorUnits(plan.price, plan.currency),
+    currency: plan.currency.toLowerCase(),
+    interval: plan.interval,
+    metadata: { planId: plan.id }
+  });
+
+  plan.stripeProductId = productId;
+  plan.stripePriceId = priceId;
+  await plan.save();
+
+  return priceId;
+};
+
+const createMembershipSubscription = async (planId, userId) => {
+  try {
+    const plan = await MembershipPlan.findById(planId);
+
+    if (!plan || !plan.isActive) {
+      throw new Error('Membership plan not found');
+    }
+
+    const existing = await Membership.findOne({
+      user: userId,
+      plan: plan._id,
+      status: { $in: ['active', 'past_due'] }
+    });
+
+    if (existing) {
+      throw new Error('You already have a membership on this plan');
+    }
+
+    const customerId = await getOrCreateCustomer(userId);
+    const priceId = await ensurePlanPrice(plan);
+
+    const membership = new Membership({
+      user: userId,
+      plan: plan._id,
+      trainer: plan.trainer,
+      bookingLimit: plan.bookingLimit,
+      stripeCustomerId: customerId
+    });
+
+    const routing = await getTrainerRouting(plan.trainer, plan.price, plan.currency);
+
+    const subscription = await paymentProvider.createSubscription({
+      customerId,
+      priceId,
+      transferDestination: routing.transferDestination,
+      transferPercent: 100 - PLATFORM_FEE_PERCENT,
+      metadata: {
+        membershipId: membership._id.toString(),
+        userId,
+        planId: plan.id
+      }
+    });
+
+    membership.stripeSubscriptionId = subscription.id;
+    await membership.save();
+
+    return {
+      membershipId: membership._id,
+      subscriptionId: subscription.id,
+      clientSecret: subscription.latest_invoice?.payment_intent?.client_secret || null,
+      amount: plan.price,
+      interval: plan.interval
+    };
+  } catch (error) {
+    console.error('Error creating membership subscription:', error);
+    throw error;
+  }
+};
+
+const cancelMembershipSubscription = async (membership) => {
+  try {
+    await paymentProvider.cancelSubscriptionAtPeriodEnd(membership.stripeSubscriptionId);
+
+    membership.cancelAtPeriodEnd = true;
+    await membership.save();
+
+    return membership;
+  } catch (error) {
+    console.error('Error cancelling membership subscription:', error);
+    throw error;
+  }
+};
+
+const createConnectOnboardingLink = async (userId) => {
+  try {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.stripeConnect || !user.stripeConnect.accountId) {
+      const account = await paymentProvider.createConnectAccount({
+        email: user.email,
+        metadata: { userId: user.id }
+      });
+
+      user.stripeConnect = { accountId: account.id };
+      await user.save();
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    const link = await paymentProvider.createAccountLink({
+      accountId: user.stripeConnect.accountId,
+      refreshUrl: `${frontendUrl}/trainer/payouts?refresh=true`,
+      returnUrl: `${frontendUrl}/trainer/payouts`
+    });
+
+    return {
+      accountId: user.stripeConnect.accountId,
+      url: link.url,
+      expiresAt: new Date(link.expires_at * 1000)
+    };
+  } catch (error) {
+    console.error('Error creating Connect onboarding link:', error);
+    throw error;
+  }
+};
+
+const syncConnectAccount = async (account) => {
+  const user = await User.findOne({ 'stripeConnect.accountId': account.id });
+
+  if (!user) {
+    return null;
+  }
+
+  user.stripeConnect.detailsSubmitted = Boolean(account.details_submitted);
+  user.stripeConnect.chargesEnabled = Boolean(account.charges_enabled);
+  user.stripeConnect.payoutsEnabled = Boolean(account.payouts_enabled);
+  await user.save();
+
+  return user.stripeConnect;
+};
+
+const refreshConnectAccount = async (userId) => {
+  const user = await User.findById(userId).select('stripeConnect');
+
+  if (!user || !user.stripeConnect || !user.stripeConnect.accountId) {
+    return null;
+  }
+
+  const account = await paymentProvider.retrieveAccount(user.stripeConnect.accountId);
+
+  return syncConnectAccount(account);
+};
+
+// Stripe refund statuses that are not one of our own map to pending until they settle
+const toRefundStatus = (stripeStatus) =>
+  ['succeeded', 'failed', 'canceled'].includes(stripeStatus) ? stripeStatus : 'pending';
+
+// Recomputes the refunded total and state of a payment and its booking from its refund records
+const syncRefundTotals = async (payment) => {
+  const refunds = await Refund.find({
+    payment: payment._id,
+    status: { $in: ['pending', 'succeeded'] }
+  });
+
+  const refunded = fromMinorUnits(
+    refunds.reduce((acc, refund) => acc + toMinorUnits(refund.amount, payment.currency), 0),
+    payment.currency
+  );
+
+  payment.refundedAmount = refunded;
+
+  if (refunded >= payment.amount) {
+    payment.status = 'refunded';
+  } else if (refunded > 0) {
+    payment.status = 'partially_refunded';
+  } else if (['refunded', 'partially_refunded'].includes(payment.status)) {
+    payment.status = 'completed';
+  }
+
+  await payment.save();
+
+  if (payment.booking) {
+    await Booking.findByIdAndUpdate(payment.booking, {
+      paymentStatus: payment.status === 'completed' ? 'paid' : payment.status
+    });
+  }
+
+  // A pack refund buys back its unused credits, so the pack is closed afterwards
+  if (payment.creditPack && payment.refundedAmount > 0) {
+    await revokeCreditPack(payment.creditPack);
+  }
+
+  if (payment.promoCode && payment.status === 'refunded') {
+    await reversePromoRedemption(payment._id);
+  }
+
+  return payment;
+};
+
+const processRefund = async (paymentId, reason, options = {}) => {
   try {
     const payment = await Payment.findById(paymentId);
     
@@ -106,29 +534,71 @@ const processRefund = async (paymentId, reason) => {
       throw new Error('Payment not found');
     }
     
-    if (payment.status !== 'completed') {
+    if (!['completed', 'partially_refunded'].includes(payment.status)) {
       throw new Error('Only completed payments can be refunded');
     }
-    
-    const refund = await stripe.refunds.create({
-      payment_intent: payment.transactionId,
-      reason: 'requested_by_customer'
-    });
-    
-    payment.status = 'refunded';
-    payment.notes = reason || 'Refund processed';
-    
-    await payment.save();
-    
-    await Booking.findByIdAndUpdate(payment.booking, { 
-      paymentStatus: 'refunded' 
+
+    let remaining = roundAmount(payment.amount - payment.refundedAmount, payment.currency);
+
+    if (payment.creditPack) {
+      const pack = await CreditPack.findById(payment.creditPack);
+      remaining = Math.min(remaining, getUnusedCreditValue(pack, payment.amount, payment.currency));
+
+      if (remaining <= 0) {
+        throw new Error('This credit pack has no unused credits left to refund');
+      }
+    }
+
+    const amount = options.amount !== undefined ? roundAmount(options.amount, payment.currency) : remaining;
+
+    if (amount <= 0 || amount > remaining) {
+      throw new Error(`Refund amount must be greater than 0 and at most ${remaining}`);
+    }
+
+    const record = new Refund({
+      payment: payment._id,
+      user: payment.user,
+      amount,
+      currency: payment.currency,
+      reason: reason || 'Refund processed',
+      initiatedBy: options.initiatedBy,
+      initiatorRole: options.initiatorRole || 'system'
     });
+
+    await record.save();
+
+    let refund;
+    try {
+      refund = await paymentProvider.createRefund({
+        paymentIntentId: payment.transactionId,
+        amount: toMinorUnits(amount, payment.currency),
+        reverseTransfer: Boolean(payment.transferDestination),
+        metadata: {
+          refundId: record._id.toString(),
+          paymentId: payment._id.toString()
+        }
+      });
+    } catch (error) {
+      record.status = 'failed';
+      record.failureReason = error.message;
+      await record.save();
+      throw error;
+    }
+
+    record.stripeRefundId = refund.id;
+    record.status = toRefundStatus(refund.status);
+    await record.save();
+
+    await syncRefundTotals(payment);
     
     return {
-      refundId: refund.id,
+      refundId: record._id,
+      stripeRefundId: refund.id,
       paymentId: payment._id,
-      amount: payment.amount,
-      status: 'refunded'
+      amount,
+      status: record.status,
+      paymentStatus: payment.status,
+      refundedAmount: payment.refundedAmount
     };
   } catch (error) {
     console.error('Error processing refund:', error);
@@ -136,8 +606,56 @@ const processRefund = async (paymentId, reason) => {
   }
 };
 
+// Brings local refund records for a payment intent in line with the refunds Stripe knows about,
+// including any issued outside this API (e.g. from the Stripe dashboard)
+const reconcileRefunds = async (paymentIntentId) => {
+  const payment = await Payment.findOne({ transactionId: paymentIntentId });
+
+  if (!payment) {
+    return null;
+  }
+
+  const stripeRefunds = await paymentProvider.listRefunds(paymentIntentId);
+
+  for (const stripeRefund of stripeRefunds) {
+    let record = await Refund.findOne({ stripeRefundId: stripeRefund.id });
+
+    if (!record && stripeRefund.metadata && stripeRefund.metadata.refundId) {
+      record = await Refund.findById(stripeRefund.metadata.refundId);
+    }
+
+    if (!record) {
+      record = new Refund({
+        payment: payment._id,
+        user: payment.user,
+        amount: fromMinorUnits(stripeRefund.amount, payment.currency),
+        currency: payment.currency,
+        reason: stripeRefund.reason || 'Refunded via Stripe',
+        initiatorRole: 'system'
+      });
+    }
+
+    record.stripeRefundId = stripeRefund.id;
+    record.status = toRefundStatus(stripeRefund.status);
+    if (stripeRefund.failure_reason) record.failureReason = stripeRefund.failure_reason;
+
+    await record.save();
+  }
+
+  return syncRefundTotals(payment);
+};
+
 module.exports = {
+  getPlatformFee,
   createPaymentIntent,
+  createPackagePaymentIntent,
+  completePayment,
   confirmPayment,
-  processRefund
+  processRefund,
+  reconcileRefunds,
+  createMembershipSubscription,
+  cancelMembershipSubscription,
+  createConnectOnboardingLink,
+  syncConnectAccount,
+  refreshConnectAccount
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+const { DateTime, IANAZone } = require('luxon');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const isValidTimezone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+// Calendar dates are stored as UTC midnight; this reads them back as plain year/month/day
+const dateParts = (date) => {
+  const d = new Date(date);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+const toZonedDateTime = (date, time, zone = DEFAULT_TIMEZONE) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return DateTime.fromObject({ ...dateParts(date), hour, minute }, { zone });
+};
+
+// Converts a wall-clock time on a calendar date in the given zone to an absolute instant
+const toInstant = (date, time, zone = DEFAULT_TIMEZONE) => toZonedDateTime(date, time, zone).toJSDate();
+
+// False when the wall-clock time is skipped by a DST transition in that zone
+const isValidLocalTime = (date, time, zone = DEFAULT_TIMEZONE) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const dt = toZonedDateTime(date, time, zone);
+  return dt.hour === hour && dt.minute === minute;
+};
+
+const toLocal = (instant, zone = DEFAULT_TIMEZONE) => {
+  const dt = DateTime.fromJSDate(new Date(instant), { zone });
+  return {
+    date: dt.toISODate(),
+    day: dt.setLocale('en-US').weekdayLong,
+    time: dt.toFormat('HH:mm'),
+    offset: dt.toFormat('ZZ')
+  };
+};
+
+const localizeTimes = (item, zone) => {
+  if (!item.startAt || !item.endAt) {
+    return null;
+  }
+
+  const start = toLocal(item.startAt, zone);
+  const end = toLocal(item.endAt, zone);
+
+  return {
+    timezone: zone,
+    date: start.date,
+    day: start.day,
+    startTime: start.time,
+    endTime: end.time,
+    offset: start.offset
+  };
+};
+
+// Adds a `local` block with the item's times as seen from the given zone
+const withLocalTimes = (doc, zone) => {
+  const item = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return { ...item, local: localizeTimes(item, zone) };
+};
+
+// Matches a day name case-insensitively, returning its canonical form or null
+const normalizeDay = (day) => {
+  if (typeof day !== 'string') {
+    return null;
+  }
+
+  const lower = day.trim().toLowerCase();
+  return DAYS.find(name => name.toLowerCase() === lower) || null;
+};
+
+// Converts a weekly day/time slot between zones using its next occurrence, so the current DST offset applies.
+// Returns null for a slot whose day isn't a weekday name.
+const convertWeeklySlot = (slot, fromZone, toZone, reference = new Date()) => {
+  const day = normalizeDay(slot.day);
+
+  if (!day) {
+    return null;
+  }
+
+  const from = DateTime.fromJSDate(reference, { zone: fromZone }).setLocale('en-US');
+  let occurrence = from.startOf('day');
+
+  for (let i = 0; i < DAYS.length && occurrence.weekdayLong !== day; i++) {
+    occurrence = occurrence.plus({ days: 1 });
+  }
+
+  const date = new Date(Date.UTC(occurrence.year, occurrence.month - 1, occurrence.day));
+  const start = toLocal(toInstant(date, slot.startTime, fromZone), toZone);
+  const end = toLocal(toInstant(date, slot.endTime, fromZone), toZone);
+
+  return {
+    day: start.day,
+    startTime: start.time,
+    endTime: end.time
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAYS,
+  normalizeDay,
+  isValidTimezone,
+  toInstant,
+  isValidLocalTime,
+  toLocal,
+  withLocalTimes,
+  convertWeeklySlot
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_PURPOSE = 'access';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// tokenVersion is bumped to invalidate every access token issued before it. The purpose keeps
+// verification and 2FA challenge tokens, signed with the same secret, from passing as access tokens.
+const signAccessToken = (user) =>
+  jwt.sign(
+    {
+      purpose: ACCESS_TOKEN_PURPOSE,
+      user: {
+        id: user.id,
+        userType: user.userType,
+        tokenVersion: user.tokenVersion || 0
+      }
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+const createRefreshToken = async (user, { family, userAgent, ip } = {}) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+    userAgent,
+    ip
+  });
+
+  return token;
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+const issueTokens = async (user, req, family) => ({
+  token: signAccessToken(user),
+  refreshToken: await createRefreshToken(user, { family, ...getClientInfo(req) }),
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Swaps a refresh token for a new pair. Presenting one that was already rotated means it
+// has leaked, so the whole family is revoked and the legitimate holder has to log in again.
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: Date.now(), revokedReason: 'rotated' },
+    { new: true }
+  );
+
+  if (!current) {
+    const stale = await RefreshToken.findOne({ tokenHash });
+
+    if (stale && stale.revokedReason === 'rotated') {
+      await RefreshToken.updateMany(
+        { family: stale.family, revokedAt: null },
+        { revokedAt: Date.now(), revokedReason: 'reuse_detected' }
+      );
+    }
+
+    return null;
+  }
+
+  const user = await User.findById(current.user);
+
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return issueTokens(user, req, current.family);
+};
+
+const revokeRefreshToken = async (token, reason = 'logout') => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Signs the user out everywhere: refresh tokens are revoked and outstanding access tokens stop validating
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_PURPOSE,
+  ACCESS_TOKEN_EXPIRES_IN,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,93 @@
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+
+const isCertificationExpired = (certification, now = new Date()) =>
+  Boolean(certification.expirationDate) && certification.expirationDate <= now;
+
+const isCertificationValid = (certification, now = new Date()) =>
+  certification.verificationStatus === 'verified' && !isCertificationExpired(certification, now);
+
+// Trainers need an approved application and at least one verified, unexpired certification to publish classes.
+// Trainers registered before applications existed have no status and count as pending.
+const getPublishingEligibility = (trainer, now = new Date()) => {
+  const certifications = trainer.profile?.certifications || [];
+
+  if (trainer.trainerApproval?.status !== 'approved') {
+    return {
+      allowed: false,
+      code: 'TRAINER_NOT_APPROVED',
+      msg: 'Your trainer application must be approved before you can publish classes'
+    };
+  }
+
+  if (!certifications.some(certification => isCertificationValid(certification, now))) {
+    return {
+      allowed: false,
+      code: 'NO_VALID_CERTIFICATION',
+      msg: 'You need at least one verified, unexpired certification to publish classes'
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Marks verified certifications whose expirationDate has passed and lets each trainer know.
+// Pending and rejected ones never counted towards publishing, so there is nothing to warn about.
+const flagExpiredCertifications = async (now = new Date()) => {
+  const trainers = await User.find({
+    userType: 'trainer',
+    'profile.certifications': {
+      $elemMatch: {
+        expirationDate: { $lte: now },
+        verificationStatus: 'verified'
+      }
+    }
+  });
+
+  let flagged = 0;
+
+  for (const trainer of trainers) {
+    const expired = trainer.profile.certifications.filter(certification =>
+      isCertificationExpired(certification, now) && certification.verificationStatus === 'verified'
+    );
+
+    expired.forEach(certification => {
+      certification.verificationStatus = 'expired';
+      certification.expiredAt = now;
+    });
+
+    await trainer.save();
+    flagged += expired.length;
+
+    try {
+      await sendEmail({
+        email: trainer.email,
+        subject: 'A certification has expired',
+        message: `Hi ${trainer.name}, the following certifications on your profile have expired: ${expired.map(certification => certification.name).join(', ')}. Upload a renewed certificate to keep publishing classes.`
+      });
+    } catch (err) {
+      console.error('Error sending certification expiry email:', err.message);
+    }
+  }
+
+  return flagged;
+};
+
+// Started by the server entry point once the app, and so dotenv, has loaded
+const startCertificationExpiryChecks = () => {
+  const hours = parseInt(process.env.CERTIFICATION_CHECK_INTERVAL_HOURS, 10) || 24;
+  const run = () => flagExpiredCertifications().catch(err => {
+    console.error('Error flagging expired certifications:', err.message);
+  });
+
+  run();
+  return setInterval(run, hours * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  isCertificationExpired,
+  isCertificationValid,
+  getPublishingEligibility,
+  flagExpiredCertifications,
+  startCertificationExpiryChecks
+};
@@ -0,0 +1,161 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashBackupCode,
+  generateBackupCodes
+} = require('./totp');
+
+const CHALLENGE_PURPOSE = 'two-factor-login';
+const CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 10) || 5;
+const LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES, 10) || 15;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const twoFactorError = (status, code, msg) => {
+  const err = new Error(msg);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+const createLoginChallenge = (user) =>
+  jwt.sign(
+    { purpose: CHALLENGE_PURPOSE, id: user.id },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+
+// Returns the user id the challenge was issued for, or null
+const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const findUserWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri(secret, user.email)
+  };
+};
+
+// Confirms enrolment with a code from the new secret and returns the backup codes to show once
+const completeEnrollment = async (user, code) => {
+  if (!user.twoFactor.pendingSecret) {
+    throw twoFactorError(400, 'TWO_FACTOR_NOT_STARTED', 'Start two-factor setup first');
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), code);
+
+  if (step === null) {
+    throw twoFactorError(400, 'INVALID_TWO_FACTOR_CODE', 'Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+  user.twoFactor.failedAttempts = 0;
+  await user.save();
+
+  return codes;
+};
+
+// Accepts a TOTP code or an unused backup code. Too many wrong codes lock 2FA checks for a while.
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactor.enabled) {
+    throw twoFactorError(400, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+  }
+
+  if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+    throw twoFactorError(429, 'TWO_FACTOR_LOCKED', 'Too many invalid codes, please try again later');
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code, {
+    afterStep: user.twoFactor.lastUsedStep
+  });
+
+  let method = null;
+
+  if (step !== null) {
+    user.twoFactor.lastUsedStep = step;
+    method = 'totp';
+  } else {
+    const codeHash = hashBackupCode(code || '');
+    const backupCode = user.twoFactor.backupCodes.find(entry => entry.codeHash === codeHash && !entry.usedAt);
+
+    if (backupCode) {
+      backupCode.usedAt = Date.now();
+      method = 'backup';
+    }
+  }
+
+  if (!method) {
+    user.twoFactor.failedAttempts += 1;
+
+    if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      user.twoFactor.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+      user.twoFactor.failedAttempts = 0;
+    }
+
+    await user.save();
+    throw twoFactorError(400, 'INVALID_TWO_FACTOR_CODE', 'Invalid authentication code');
+  }
+
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = undefined;
+  await user.save();
+
+  return {
+    method,
+    backupCodesRemaining: user.twoFactor.backupCodes.filter(entry => !entry.usedAt).length
+  };
+};
+
+const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.backupCodes = hashes;
+  await user.save();
+
+  return codes;
+};
+
+const disableTwoFactor = async (user) => {
+  user.twoFactor = {
+    enabled: false,
+    failedAttempts: 0
+  };
+  await user.save();
+};
+
+module.exports = {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  findUserWithSecrets,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+};
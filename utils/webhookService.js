@@ -0,0 +1,226 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const { completePayment, reconcileRefunds, syncConnectAccount } = require('./stripeService');
+const {
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionUpdated,
+  handleSubscriptionDeleted
+} = require('./membershipService');
+const { reversePromoRedemption } = require('./promoService');
+
+// An event left in processing this long is assumed to have died with its worker and may be picked up again
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// These events carry the object's state at the time they were sent, so an older one
+// arriving after a newer one for the same object must not be applied.
+// Refund events are not listed because reconcileRefunds always reads the current state from Stripe.
+const ORDERED_EVENT_TYPES = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'account.updated'
+];
+
+// Each handler throws on failure and returns a short description of what it did
+const handlers = {
+  'payment_intent.succeeded': async (paymentIntent) => {
+    const payment = await completePayment(paymentIntent);
+
+    return payment
+      ? `Payment ${payment._id} marked as completed`
+      : `Payment record not found for intent: ${paymentIntent.id}`;
+  },
+
+  'payment_intent.payment_failed': async (paymentIntent) => {
+    const payment = await Payment.findOne({ transactionId: paymentIntent.id });
+
+    if (!payment) {
+      return `Payment record not found for failed intent: ${paymentIntent.id}`;
+    }
+
+    if (payment.status !== 'pending') {
+      return `Payment ${payment._id} is already ${payment.status}`;
+    }
+
+    payment.status = 'failed';
+    payment.notes = paymentIntent.last_payment_error?.message || 'Payment failed';
+    await payment.save();
+
+    if (payment.promoCode) {
+      await reversePromoRedemption(payment._id);
+    }
+
+    return `Payment ${payment._id} marked as failed`;
+  },
+
+  'charge.refunded': async (charge) => {
+    const payment = await reconcileRefunds(charge.payment_intent);
+
+    return payment
+      ? `Payment ${payment._id} refunds reconciled (${payment.status})`
+      : `Payment record not found for refund of intent: ${charge.payment_intent}`;
+  },
+
+  'charge.refund.updated': async (refund) => {
+    const payment = await reconcileRefunds(refund.payment_intent);
+
+    return payment
+      ? `Payment ${payment._id} refunds reconciled (${payment.status})`
+      : `Payment record not found for refund of intent: ${refund.payment_intent}`;
+  },
+
+  'invoice.paid': async (invoice) => {
+    const membership = await handleInvoicePaid(invoice);
+
+    return membership
+      ? `Membership ${membership._id} renewed`
+      : `Membership not found for invoice: ${invoice.id}`;
+  },
+
+  'invoice.payment_failed': async (invoice) => {
+    const membership = await handleInvoicePaymentFailed(invoice);
+
+    return membership
+      ? `Membership ${membership._id} marked as past due`
+      : `Membership not found for failed invoice: ${invoice.id}`;
+  },
+
+  'customer.subscription.updated': async (subscription) => {
+    const membership = await handleSubscriptionUpdated(subscription);
+
+    return membership
+      ? `Membership ${membership._id} updated`
+      : `Membership not found for subscription: ${subscription.id}`;
+  },
+
+  'customer.subscription.deleted': async (subscription) => {
+    const membership = await handleSubscriptionDeleted(subscription);
+
+    return membership
+      ? `Membership ${membership._id} cancelled`
+      : `Membership not found for subscription: ${subscription.id}`;
+  },
+
+  'account.updated': async (account) => {
+    const stripeConnect = await syncConnectAccount(account);
+
+    return stripeConnect
+      ? `Connected account ${account.id} synced`
+      : `Trainer not found for connected account: ${account.id}`;
+  }
+};
+
+// Records the event and claims it for processing. Returns null when it was already
+// handled, or is being handled by another delivery right now.
+const claimEvent = async (event) => {
+  try {
+    return await WebhookEvent.create({
+      stripeEventId: event.id,
+      type: event.type,
+      objectId: event.data.object.id,
+      payload: event,
+      eventCreatedAt: new Date(event.created * 1000),
+      status: 'processing',
+      attempts: 1,
+      lastAttemptAt: Date.now()
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      stripeEventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { status: 'processing', lastAttemptAt: Date.now(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+const isSuperseded = async (record) => {
+  if (!ORDERED_EVENT_TYPES.includes(record.type) || !record.objectId) {
+    return false;
+  }
+
+  return Boolean(await WebhookEvent.exists({
+    _id: { $ne: record._id },
+    objectId: record.objectId,
+    type: { $in: ORDERED_EVENT_TYPES },
+    status: 'processed',
+    eventCreatedAt: { $gt: record.eventCreatedAt }
+  }));
+};
+
+const runEvent = async (record) => {
+  const event = record.payload;
+  const handler = handlers[event.type];
+
+  try {
+    if (!handler) {
+      record.status = 'skipped';
+      record.error = `Unhandled event type ${event.type}`;
+    } else if (await isSuperseded(record)) {
+      record.status = 'skipped';
+      record.error = 'A newer event for this object was already processed';
+    } else {
+      console.log(await handler(event.data.object, event));
+      record.status = 'processed';
+      record.error = undefined;
+    }
+
+    record.processedAt = Date.now();
+    await record.save();
+  } catch (err) {
+    console.error(`Error processing webhook ${event.id} (${event.type}):`, err);
+
+    record.status = 'failed';
+    record.error = err.message;
+    await record.save();
+
+    throw err;
+  }
+
+  return record;
+};
+
+// Processes a verified Stripe event at most once. Returns the stored record, or null for a duplicate delivery.
+// Throws if the handler fails so the caller can ask Stripe to retry.
+const processEvent = async (event) => {
+  const record = await claimEvent(event);
+
+  if (!record) {
+    return null;
+  }
+
+  return runEvent(record);
+};
+
+// Re-runs a failed event from its stored payload
+const retryEvent = async (id) => {
+  const record = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    { status: 'processing', lastAttemptAt: Date.now(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!record) {
+    return null;
+  }
+
+  return runEvent(record);
+};
+
+module.exports = {
+  processEvent,
+  retryEvent
+};